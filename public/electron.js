@@ -1,13 +1,74 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, clipboard, dialog, Notification, Tray, Menu, nativeImage } = require('electron');
 const path = require('path');
 const isDev = require('electron-is-dev');
-const { KubeConfig, CoreV1Api, CustomObjectsApi } = require('@kubernetes/client-node');
+const { KubeConfig, Watch } = require('@kubernetes/client-node');
 const { execSync } = require('child_process');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { createSettingsStore } = require('./settings');
+const { createHealthHistory } = require('./healthHistory');
+const { createClaimNotifier } = require('./notifications');
 
 let mainWindow;
 let kubeConfig = null;
 
+// Preferences and per-context UI state, kept in the userData directory
+let settingsStore = null;
+
+// Claim health transitions and namespace health counts over time
+let healthHistory = null;
+
+// Diffs the renderer's claim lists into desktop notifications
+let claimNotifier = null;
+// Shown notifications, kept so their click handlers aren't garbage collected
+const shownNotifications = new Set();
+
+// Tray (menu bar on macOS) icon, while the app is set to keep running in the
+// background. trayState is what the renderer last reported for its menu.
+let tray = null;
+let trayState = { live: true, currentContext: null, contexts: [] };
+// How many unhealthy claims the tray menu lists
+const TRAY_CLAIM_LIMIT = 10;
+// Set once the app is really quitting; until then closing the window with
+// the tray on only hides it
+let isQuitting = false;
+
+// Links like crossplane-portal://context/namespace/kind/name?tab=trace open
+// a claim. The latest one waits here until the renderer picks it up.
+const DEEP_LINK_PROTOCOL = 'crossplane-portal';
+let pendingDeepLink = null;
+
+// A KubeConfig per context, so several clusters can be used side by side
+const contextConfigs = new Map();
+
+// Active watches keyed by context and collection path
+const watches = new Map();
+// Watch subscriptions per renderer: webContents id -> Map(watch key -> count),
+// so a renderer that reloads or goes away releases the watches it held
+const watchSubscriptions = new Map();
+// Renderers whose lifecycle events already release their subscriptions
+const watchedSenders = new WeakSet();
+const WATCH_BACKOFF_MIN = 1000;
+const WATCH_BACKOFF_MAX = 30000;
+// Items per page when listing a collection before watching it
+const WATCH_LIST_PAGE_SIZE = 500;
+
+// Field manager recorded on objects the portal writes
+const FIELD_MANAGER = 'crossplane-portal';
+
+// How long a copied secret value stays on the clipboard
+const CLIPBOARD_CLEAR_MS = 30000;
+let clipboardTimer = null;
+
+// Content types for the supported PATCH flavours
+const PATCH_CONTENT_TYPES = {
+  merge: 'application/merge-patch+json',
+  json: 'application/json-patch+json',
+  strategic: 'application/strategic-merge-patch+json',
+  apply: 'application/apply-patch+yaml'
+};
+
 // Function to get the shell environment
 function getShellEnvironment() {
   try {
@@ -38,8 +99,96 @@ function getShellEnvironment() {
 const shellEnv = getShellEnvironment();
 process.env = { ...process.env, ...shellEnv };
 
+// Resolve the AWS CLI for EKS users whose kubeconfig runs `aws` to get a
+// token, since GUI apps don't inherit the shell's PATH
+function configureAwsExec(user) {
+  if (!user.exec || user.exec.command !== 'aws') {
+    return;
+  }
+
+  const commonAwsPaths = [
+    '/usr/local/bin/aws',
+    '/opt/homebrew/bin/aws',
+    '/usr/bin/aws',
+    `${process.env.HOME}/.local/bin/aws`,
+    `${process.env.HOME}/bin/aws`
+  ];
+
+  let resolvedPath = null;
+
+  // First check if the command is already an absolute path
+  if (user.exec.command.startsWith('/')) {
+    if (fs.existsSync(user.exec.command)) {
+      resolvedPath = user.exec.command;
+      console.log(`Using provided absolute AWS CLI path: ${resolvedPath}`);
+    }
+  }
+
+  // If not an absolute path or the path doesn't exist, try to resolve it
+  if (!resolvedPath) {
+    // Try using 'which' with the shell environment
+    try {
+      const whichOutput = execSync('which aws', { env: process.env });
+      const whichPath = whichOutput.toString().trim();
+      if (fs.existsSync(whichPath)) {
+        resolvedPath = whichPath;
+        user.exec.command = resolvedPath;
+        console.log(`Resolved AWS CLI via 'which': ${resolvedPath}`);
+      }
+    } catch (err) {
+      console.warn('Could not resolve aws with "which aws":', err.message);
+    }
+
+    // If 'which' failed, try searching in common installation locations
+    if (!resolvedPath) {
+      for (const possiblePath of commonAwsPaths) {
+        if (fs.existsSync(possiblePath)) {
+          resolvedPath = possiblePath;
+          user.exec.command = resolvedPath;
+          console.log(`Found AWS CLI at: ${resolvedPath}`);
+          break;
+        }
+      }
+    }
+  }
+
+  if (!resolvedPath) {
+    const error = new Error(
+      'Unable to find AWS CLI. Please ensure AWS CLI is installed and either:\n' +
+      '1. Specify the absolute path to AWS CLI in your kubeconfig (e.g., command: /path/to/aws)\n' +
+      '2. Install AWS CLI in a standard location or add it to your PATH'
+    );
+    console.error(error.message);
+    throw error;
+  }
+
+  // Ensure environment variables are properly set
+  user.exec.env = user.exec.env || [];
+  // Add AWS environment variables if they exist
+  if (process.env.AWS_ACCESS_KEY_ID) {
+    user.exec.env.push({ name: 'AWS_ACCESS_KEY_ID', value: process.env.AWS_ACCESS_KEY_ID });
+  }
+  if (process.env.AWS_SECRET_ACCESS_KEY) {
+    user.exec.env.push({ name: 'AWS_SECRET_ACCESS_KEY', value: process.env.AWS_SECRET_ACCESS_KEY });
+  }
+  if (process.env.AWS_SESSION_TOKEN) {
+    user.exec.env.push({ name: 'AWS_SESSION_TOKEN', value: process.env.AWS_SESSION_TOKEN });
+  }
+  if (process.env.AWS_DEFAULT_REGION) {
+    user.exec.env.push({ name: 'AWS_DEFAULT_REGION', value: process.env.AWS_DEFAULT_REGION });
+  }
+
+  // Log the final exec configuration for debugging
+  console.log('Final exec configuration:', {
+    command: user.exec.command,
+    args: user.exec.args,
+    env: user.exec.env
+  });
+}
+
 function initializeKubeConfig() {
   try {
+    contextConfigs.clear();
     kubeConfig = new KubeConfig();
     kubeConfig.loadFromDefault();
 
@@ -56,94 +205,267 @@ function initializeKubeConfig() {
       return;
     }
 
-    if (user.exec && user.exec.command === 'aws') {
-      const commonAwsPaths = [
-        '/usr/local/bin/aws',
-        '/opt/homebrew/bin/aws',
-        '/usr/bin/aws',
-        `${process.env.HOME}/.local/bin/aws`,
-        `${process.env.HOME}/bin/aws`
-      ];
-
-      let resolvedPath = null;
-
-      // First check if the command is already an absolute path
-      if (user.exec.command.startsWith('/')) {
-        if (fs.existsSync(user.exec.command)) {
-          resolvedPath = user.exec.command;
-          console.log(`Using provided absolute AWS CLI path: ${resolvedPath}`);
-        }
-      }
+    configureAwsExec(user);
+
+    console.log('Successfully initialized KubeConfig for context:', currentContext);
+  } catch (error) {
+    console.error('Error initializing KubeConfig:', error);
+    kubeConfig = null;
+  }
+}
 
-      // If not an absolute path or the path doesn't exist, try to resolve it
-      if (!resolvedPath) {
-        // Try using 'which' with the shell environment
+// Get the KubeConfig for a context, defaulting to the current one. Each is
+// loaded separately so switching one never affects requests to another.
+function getContextConfig(contextName) {
+  if (!kubeConfig) {
+    initializeKubeConfig();
+  }
+  if (!kubeConfig) {
+    throw new Error('Unable to load kubeconfig. Please check your kubeconfig file.');
+  }
+
+  const name = contextName || kubeConfig.getCurrentContext();
+  if (!name) {
+    throw new Error('No Kubernetes context selected. Please select a context from the dropdown.');
+  }
+
+  if (!contextConfigs.has(name)) {
+    const config = new KubeConfig();
+    config.loadFromDefault();
+
+    const context = config.getContextObject(name);
+    if (!context) {
+      throw new Error(`Context '${name}' not found in kubeconfig.`);
+    }
+    config.setCurrentContext(name);
+
+    const user = config.getUser(context.user);
+    if (user) {
+      configureAwsExec(user);
+    }
+    contextConfigs.set(name, config);
+  }
+
+  return contextConfigs.get(name);
+}
+
+// Make a raw request against a cluster, using the kubeconfig for TLS and
+// authentication. The typed clients can't reach arbitrary paths.
+async function kubeRequest({ method = 'GET', path: requestPath, body, headers = {}, config = kubeConfig }) {
+  const cluster = config.getCurrentCluster();
+  // Keep any path prefix in the server URL (e.g. Rancher proxies)
+  const url = new URL(cluster.server.replace(/\/+$/, '') + requestPath);
+  const options = {
+    method,
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: url.pathname + url.search,
+    headers: { Accept: 'application/json', ...headers }
+  };
+  await config.applyToHTTPSOptions(options);
+
+  const payload = body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body));
+  if (payload !== undefined) {
+    options.headers['Content-Type'] = options.headers['Content-Type'] || 'application/json';
+    options.headers['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  const transport = url.protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(options, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => {
+        let data = raw;
         try {
-          const whichOutput = execSync('which aws', { env: process.env });
-          const whichPath = whichOutput.toString().trim();
-          if (fs.existsSync(whichPath)) {
-            resolvedPath = whichPath;
-            user.exec.command = resolvedPath;
-            console.log(`Resolved AWS CLI via 'which': ${resolvedPath}`);
-          }
+          data = raw ? JSON.parse(raw) : null;
         } catch (err) {
-          console.warn('Could not resolve aws with "which aws":', err.message);
+          // Leave non-JSON bodies as text
         }
 
-        // If 'which' failed, try searching in common installation locations
-        if (!resolvedPath) {
-          for (const possiblePath of commonAwsPaths) {
-            if (fs.existsSync(possiblePath)) {
-              resolvedPath = possiblePath;
-              user.exec.command = resolvedPath;
-              console.log(`Found AWS CLI at: ${resolvedPath}`);
-              break;
-            }
-          }
+        if (res.statusCode >= 400) {
+          const error = new Error(data?.message || `Request failed with status ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.response = { statusCode: res.statusCode, body: data };
+          reject(error);
+          return;
         }
-      }
 
-      if (!resolvedPath) {
-        const error = new Error(
-          'Unable to find AWS CLI. Please ensure AWS CLI is installed and either:\n' +
-          '1. Specify the absolute path to AWS CLI in your kubeconfig (e.g., command: /path/to/aws)\n' +
-          '2. Install AWS CLI in a standard location or add it to your PATH'
-        );
-        console.error(error.message);
-        throw error;
-      }
+        resolve({ statusCode: res.statusCode, body: data });
+      });
+    });
+    req.on('error', reject);
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
 
-      // Ensure environment variables are properly set
-      user.exec.env = user.exec.env || [];
-      // Add AWS environment variables if they exist
-      if (process.env.AWS_ACCESS_KEY_ID) {
-        user.exec.env.push({ name: 'AWS_ACCESS_KEY_ID', value: process.env.AWS_ACCESS_KEY_ID });
-      }
-      if (process.env.AWS_SECRET_ACCESS_KEY) {
-        user.exec.env.push({ name: 'AWS_SECRET_ACCESS_KEY', value: process.env.AWS_SECRET_ACCESS_KEY });
-      }
-      if (process.env.AWS_SESSION_TOKEN) {
-        user.exec.env.push({ name: 'AWS_SESSION_TOKEN', value: process.env.AWS_SESSION_TOKEN });
+// Turn a k8s-api request from the renderer into a raw request. LIST is a GET
+// on a collection path; DELETE sends DeleteOptions for the propagation policy.
+function buildKubeRequest({
+  path: requestPath,
+  method = 'GET',
+  body,
+  query = {},
+  patchType = 'merge',
+  propagationPolicy,
+  dryRun = false,
+  force = false
+}) {
+  const verb = method.toUpperCase();
+  const [basePath, existingQuery] = requestPath.split('?');
+  const params = new URLSearchParams(existingQuery || '');
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, String(value));
+    }
+  });
+  if (dryRun) {
+    params.set('dryRun', 'All');
+  }
+
+  const headers = {};
+  let requestBody = body;
+  switch (verb) {
+    case 'GET':
+    case 'LIST':
+      requestBody = undefined;
+      break;
+    case 'POST':
+    case 'PUT':
+      params.set('fieldManager', FIELD_MANAGER);
+      break;
+    case 'PATCH':
+      if (!PATCH_CONTENT_TYPES[patchType]) {
+        throw new Error(`Unsupported patch type: ${patchType}`);
       }
-      if (process.env.AWS_DEFAULT_REGION) {
-        user.exec.env.push({ name: 'AWS_DEFAULT_REGION', value: process.env.AWS_DEFAULT_REGION });
+      headers['Content-Type'] = PATCH_CONTENT_TYPES[patchType];
+      params.set('fieldManager', FIELD_MANAGER);
+      if (patchType === 'apply' && force) {
+        params.set('force', 'true');
       }
+      break;
+    case 'DELETE':
+      requestBody = {
+        apiVersion: 'v1',
+        kind: 'DeleteOptions',
+        ...(propagationPolicy && { propagationPolicy }),
+        ...body
+      };
+      break;
+    default:
+      throw new Error(`Unsupported method: ${method}`);
+  }
 
-      // Log the final exec configuration for debugging
-      console.log('Final exec configuration:', {
-        command: user.exec.command,
-        args: user.exec.args,
-        env: user.exec.env
-      });
+  const search = params.toString();
+  return {
+    method: verb === 'LIST' ? 'GET' : verb,
+    path: search ? `${basePath}?${search}` : basePath,
+    body: requestBody,
+    headers
+  };
+}
+
+const watchKey = (contextName, watchPath) => `${contextName}|${watchPath}`;
+
+// Push a watch event for a collection path to the renderer
+function sendWatchEvent(entry, type, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('k8s-watch-event', { context: entry.context, path: entry.path, type, ...payload });
+  }
+}
+
+// List the collection, a page at a time, to get a resourceVersion to watch
+// from. The items go to the renderer as a SYNC event so it can replace
+// whatever it had.
+async function listForWatch(entry) {
+  const items = [];
+  let continueToken = null;
+  let resourceVersion = null;
+  do {
+    const params = new URLSearchParams({ limit: String(WATCH_LIST_PAGE_SIZE) });
+    if (continueToken) params.set('continue', continueToken);
+    const response = await kubeRequest({ path: `${entry.path}?${params}`, config: entry.config });
+    items.push(...(response.body?.items || []));
+    continueToken = response.body?.metadata?.continue || null;
+    resourceVersion = response.body?.metadata?.resourceVersion || null;
+  } while (continueToken);
+
+  entry.resourceVersion = resourceVersion;
+  sendWatchEvent(entry, 'SYNC', { items });
+}
+
+function scheduleReconnect(entry) {
+  if (entry.stopped) return;
+
+  const delay = entry.backoff;
+  entry.backoff = Math.min(entry.backoff * 2, WATCH_BACKOFF_MAX);
+  console.log(`Reconnecting watch ${entry.path} in ${delay}ms`);
+  entry.timer = setTimeout(() => runWatch(entry), delay);
+}
+
+// Open (or reopen) the watch connection for an entry, resuming from the last
+// resourceVersion seen. Bookmarks keep that version fresh on quiet collections.
+async function runWatch(entry) {
+  if (entry.stopped) return;
+
+  try {
+    if (!entry.resourceVersion) {
+      await listForWatch(entry);
     }
 
-    console.log('Successfully initialized KubeConfig for context:', currentContext);
+    const watch = new Watch(entry.config);
+    entry.request = await watch.watch(
+      entry.path,
+      { resourceVersion: entry.resourceVersion, allowWatchBookmarks: true },
+      (type, object) => {
+        entry.backoff = WATCH_BACKOFF_MIN;
+        if (type === 'ERROR') {
+          // 410 Gone means our resourceVersion is too old, so list again
+          if (object?.code === 410) {
+            entry.resourceVersion = null;
+          }
+          console.warn(`Watch error on ${entry.path}:`, object?.message);
+          return;
+        }
+
+        if (object?.metadata?.resourceVersion) {
+          entry.resourceVersion = object.metadata.resourceVersion;
+        }
+        if (type !== 'BOOKMARK') {
+          sendWatchEvent(entry, type, { object });
+        }
+      },
+      (err) => {
+        entry.request = null;
+        if (err) {
+          console.warn(`Watch on ${entry.path} closed with error:`, err.message);
+        }
+        scheduleReconnect(entry);
+      }
+    );
   } catch (error) {
-    console.error('Error initializing KubeConfig:', error);
-    kubeConfig = null;
+    console.error(`Failed to start watch on ${entry.path}:`, error);
+    if (error.statusCode === 410) {
+      entry.resourceVersion = null;
+    }
+    scheduleReconnect(entry);
   }
 }
 
+function stopWatch(entry) {
+  entry.stopped = true;
+  clearTimeout(entry.timer);
+  if (entry.request) {
+    entry.request.abort();
+    entry.request = null;
+  }
+  watches.delete(entry.key);
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -154,7 +476,9 @@ function createWindow() {
       contextIsolation: true,
       sandbox: false,
       webSecurity: true,
-      preload: path.join(__dirname, 'preload.js')
+      preload: path.join(__dirname, 'preload.js'),
+      // Keep the claim list up to date while the window is hidden in the tray
+      backgroundThrottling: false
     }
   });
 
@@ -191,14 +515,110 @@ function createWindow() {
     mainWindow.webContents.openDevTools();
   }
 
+  // With the tray on, closing the window only hides it so monitoring goes on
+  mainWindow.on('close', (event) => {
+    if (tray && !isQuitting) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
 }
 
+// Bring the window back, from the tray, a link or a notification
+function showMainWindow() {
+  if (!mainWindow) {
+    if (app.isReady()) createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Hand a deep link to the renderer, bringing the window to the front
+function openDeepLink(url) {
+  if (!url || !url.startsWith(`${DEEP_LINK_PROTOCOL}://`)) return;
+  pendingDeepLink = url;
+
+  if (!mainWindow) {
+    if (app.isReady()) createWindow();
+    return;
+  }
+  showMainWindow();
+  mainWindow.webContents.send('deep-link');
+}
+
+// Same format as buildClaimLink in the renderer's deepLinkService
+const buildClaimLink = ({ context, namespace, kind, name }) =>
+  `${DEEP_LINK_PROTOCOL}://${[context, namespace, kind, name].map(encodeURIComponent).join('/')}`;
+
+// Raise a desktop notification; clicking it opens the claim, or just the
+// window for a summary of several claims
+function showNotification({ title, body, claim }) {
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({ title, body });
+  const forget = () => shownNotifications.delete(notification);
+  notification.on('click', () => {
+    forget();
+    if (claim) {
+      openDeepLink(buildClaimLink(claim));
+    } else {
+      showMainWindow();
+    }
+  });
+  notification.on('close', forget);
+  shownNotifications.add(notification);
+  notification.show();
+}
+
+const findDeepLink = (argv) => argv.find(arg => arg.startsWith(`${DEEP_LINK_PROTOCOL}://`));
+
+// Register the URL scheme. When run through `electron .` the app path has to
+// be passed along for the OS to start it the same way.
+if (process.defaultApp && process.argv.length >= 2) {
+  app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+} else {
+  app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL);
+}
+
+// A second launch (e.g. from a link on Windows or Linux) hands its arguments
+// to this instance and quits
+const hasInstanceLock = app.requestSingleInstanceLock();
+if (!hasInstanceLock) {
+  app.quit();
+}
+
+app.on('second-instance', (event, argv) => {
+  const url = findDeepLink(argv);
+  if (url) {
+    openDeepLink(url);
+  } else {
+    showMainWindow();
+  }
+});
+
+// macOS delivers links through open-url, possibly before the app is ready
+app.on('open-url', (event, url) => {
+  event.preventDefault();
+  openDeepLink(url);
+});
+
 app.on('ready', () => {
+  if (!hasInstanceLock) return;
   initializeKubeConfig();
+  pendingDeepLink = pendingDeepLink || findDeepLink(process.argv) || null;
   createWindow();
+  syncTray();
+});
+
+app.on('before-quit', () => {
+  isQuitting = true;
+  settingsStore?.flush();
+  claimNotifier?.dispose();
 });
 
 app.on('window-all-closed', () => {
@@ -208,9 +628,7 @@ app.on('window-all-closed', () => {
 });
 
 app.on('activate', () => {
-  if (mainWindow === null) {
-    createWindow();
-  }
+  showMainWindow();
 });
 
 // Handle Kubernetes configuration
@@ -262,22 +680,362 @@ ipcMain.handle('set-context', async (event, contextName) => {
   }
 });
 
-// Handle Kubernetes API calls
-ipcMain.handle('k8s-api', async (event, { path, method = 'GET', body }) => {
+// Drop one of a watch's subscribers, stopping it after the last
+function releaseWatch(key, count = 1) {
+  const entry = watches.get(key);
+  if (entry) {
+    entry.subscribers -= count;
+    if (entry.subscribers <= 0) stopWatch(entry);
+  }
+}
+
+// Release every watch subscription a renderer holds
+function releaseWatchSubscriptions(senderId) {
+  const held = watchSubscriptions.get(senderId);
+  if (!held) return;
+  watchSubscriptions.delete(senderId);
+  held.forEach((count, key) => releaseWatch(key, count));
+}
+
+// Count a watch subscription against the renderer that made it, releasing
+// all of them when it reloads, crashes or is destroyed
+function trackWatchSubscription(sender, key) {
+  if (!watchSubscriptions.has(sender.id)) {
+    watchSubscriptions.set(sender.id, new Map());
+  }
+  if (!watchedSenders.has(sender)) {
+    watchedSenders.add(sender);
+    const senderId = sender.id;
+    sender.on('render-process-gone', () => releaseWatchSubscriptions(senderId));
+    sender.on('destroyed', () => releaseWatchSubscriptions(senderId));
+    sender.on('did-start-navigation', (details) => {
+      if (details.isMainFrame && !details.isSameDocument) releaseWatchSubscriptions(senderId);
+    });
+  }
+  const subscriptions = watchSubscriptions.get(sender.id);
+  subscriptions.set(key, (subscriptions.get(key) || 0) + 1);
+}
+
+// Forget one of a renderer's subscriptions. False if it didn't hold one,
+// e.g. because it was already released by a reload.
+function untrackWatchSubscription(sender, key) {
+  const subscriptions = watchSubscriptions.get(sender.id);
+  const count = subscriptions?.get(key);
+  if (!count) return false;
+  if (count > 1) {
+    subscriptions.set(key, count - 1);
+  } else {
+    subscriptions.delete(key);
+  }
+  return true;
+}
+
+function getSettingsStore() {
+  if (!settingsStore) {
+    settingsStore = createSettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+  }
+  return settingsStore;
+}
+
+ipcMain.handle('settings-get', async () => getSettingsStore().get());
+
+// Return the deep link waiting to be opened, if any, and forget it
+ipcMain.handle('deep-link-take', async () => {
+  const url = pendingDeepLink;
+  pendingDeepLink = null;
+  return url;
+});
+
+// Merge a patch into the settings and return the result
+ipcMain.handle('settings-update', async (event, patch) => {
+  const settings = getSettingsStore().update(patch);
+  syncTray();
+  return settings;
+});
+
+ipcMain.handle('settings-reset', async () => {
+  const settings = getSettingsStore().reset();
+  syncTray();
+  return settings;
+});
+
+ipcMain.handle('settings-export', async () => {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Settings',
+    defaultPath: 'crossplane-portal-settings.json',
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  if (canceled || !filePath) return { data: null };
+
   try {
-    console.log(`Handling k8s-api request: ${method} ${path}`);
-    
-    if (!kubeConfig) {
-      console.log('Initializing kubeConfig...');
-      initializeKubeConfig();
+    fs.writeFileSync(filePath, JSON.stringify(getSettingsStore().get(), null, 2));
+    return { data: filePath };
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Merge settings from a file, e.g. a baseline shared by a team, over the
+// current ones
+ipcMain.handle('settings-import', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Settings',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  if (canceled || filePaths.length === 0) return { data: null };
+
+  try {
+    const imported = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+    const settings = getSettingsStore().importSettings(imported);
+    syncTray();
+    return { data: settings };
+  } catch (error) {
+    return { error: `Couldn't import ${path.basename(filePaths[0])}: ${error.message}` };
+  }
+});
+
+function getHealthHistory() {
+  if (!healthHistory) {
+    healthHistory = createHealthHistory(path.join(app.getPath('userData'), 'health-history.jsonl'));
+  }
+  return healthHistory;
+}
+
+// Record the health of a context's claims, as listed by the renderer
+ipcMain.handle('health-record', async (event, { context, claims }) => getHealthHistory().record(context, claims));
+
+ipcMain.handle('health-claim-history', async (event, { context, uid, since }) =>
+  getHealthHistory().claimHistory(context, uid, since));
+
+ipcMain.handle('health-dashboard', async (event, { context, since }) => getHealthHistory().dashboard(context, since));
+
+function getClaimNotifier() {
+  if (!claimNotifier) {
+    claimNotifier = createClaimNotifier({
+      getOptions: () => getSettingsStore().get().notifications,
+      show: showNotification
+    });
+  }
+  return claimNotifier;
+}
+
+// Compare the renderer's latest claim lists with the last ones and notify
+// about what changed
+ipcMain.handle('notifications-update', async (event, lists) => {
+  const count = getClaimNotifier().update(lists);
+  updateTrayMenu();
+  return count;
+});
+
+function sendTrayAction(action) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('tray-action', action);
+  }
+}
+
+// Rebuild the tray menu: health across the listed contexts, the unhealthy
+// claims, and actions the renderer carries out
+function updateTrayMenu() {
+  if (!tray) return;
+  const claims = Object.entries(claimNotifier?.claims() || {})
+    .flatMap(([context, list]) => list.map(claim => ({ ...claim, context })));
+  const unhealthy = claims.filter(claim => !claim.ready || !claim.synced);
+  const summary = claims.length === 0
+    ? 'No claims listed'
+    : unhealthy.length === 0
+      ? `All ${claims.length} claims healthy`
+      : `${unhealthy.length} of ${claims.length} claims unhealthy`;
+
+  tray.setToolTip(`Crossplane Portal: ${summary}${trayState.live ? '' : ' (paused)'}`);
+  // The menu bar has room for a count next to the icon
+  if (process.platform === 'darwin') {
+    tray.setTitle(unhealthy.length > 0 ? String(unhealthy.length) : '');
+  }
+
+  const unhealthyItems = unhealthy.length === 0 ? [] : [
+    { type: 'separator' },
+    { label: 'Unhealthy claims', enabled: false },
+    ...unhealthy.slice(0, TRAY_CLAIM_LIMIT).map(claim => ({
+      label: `${claim.kind} ${claim.name} (${claim.namespace} · ${claim.context})`,
+      click: () => openDeepLink(buildClaimLink(claim))
+    })),
+    ...(unhealthy.length > TRAY_CLAIM_LIMIT
+      ? [{ label: `${unhealthy.length - TRAY_CLAIM_LIMIT} more...`, click: showMainWindow }]
+      : [])
+  ];
+
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: trayState.live ? summary : `${summary} (paused)`, enabled: false },
+    ...unhealthyItems,
+    { type: 'separator' },
+    { label: 'Open Crossplane Portal', click: showMainWindow },
+    {
+      label: 'Pause monitoring',
+      type: 'checkbox',
+      checked: !trayState.live,
+      click: (item) => sendTrayAction({ type: item.checked ? 'pause' : 'resume' })
+    },
+    {
+      label: 'Switch context',
+      enabled: trayState.contexts.length > 0,
+      submenu: trayState.contexts.map(context => ({
+        label: context,
+        type: 'radio',
+        checked: context === trayState.currentContext,
+        click: () => sendTrayAction({ type: 'switch-context', context })
+      }))
+    },
+    { type: 'separator' },
+    { label: 'Quit', click: () => app.quit() }
+  ]));
+}
+
+// Show or remove the tray icon to match the preferences
+function syncTray() {
+  const enabled = getSettingsStore().get().preferences?.tray === true;
+  if (enabled && !tray) {
+    const icon = nativeImage.createFromPath(path.join(__dirname, 'logo192.png')).resize({ width: 16, height: 16 });
+    tray = new Tray(icon);
+    // macOS opens the menu on click; elsewhere a click brings the window back
+    if (process.platform !== 'darwin') {
+      tray.on('click', showMainWindow);
     }
+    updateTrayMenu();
+  } else if (!enabled && tray) {
+    tray.destroy();
+    tray = null;
+  }
+}
+
+// The renderer's live updates and contexts, for the tray menu
+ipcMain.handle('tray-update', async (event, state) => {
+  trayState = { ...trayState, ...state };
+  updateTrayMenu();
+});
+
+// Start watching a collection path in a context (the current one if not
+// given). Several subscribers can share one watch. Resolves to the name of
+// the context watched, which its events carry.
+ipcMain.handle('watch-start', async (event, watchPath, contextName) => {
+  const config = getContextConfig(contextName);
+  const key = watchKey(config.getCurrentContext(), watchPath);
+  trackWatchSubscription(event.sender, key);
+
+  const existing = watches.get(key);
+  if (existing) {
+    existing.subscribers++;
+    // A late subscriber needs the current state too
+    listForWatch(existing).catch(error => {
+      console.warn(`Failed to resync watch ${watchPath}:`, error);
+    });
+    return existing.context;
+  }
+
+  const entry = {
+    key,
+    path: watchPath,
+    context: config.getCurrentContext(),
+    config,
+    subscribers: 1,
+    resourceVersion: null,
+    backoff: WATCH_BACKOFF_MIN,
+    request: null,
+    timer: null,
+    stopped: false
+  };
+  watches.set(key, entry);
+  runWatch(entry);
+  return entry.context;
+});
+
+ipcMain.handle('watch-stop', async (event, watchPath, contextName) => {
+  const config = getContextConfig(contextName);
+  const key = watchKey(config.getCurrentContext(), watchPath);
+  if (untrackWatchSubscription(event.sender, key)) {
+    releaseWatch(key);
+  }
+  return true;
+});
+
+// Secrets are read here rather than through k8s-api so their values only
+// reach the renderer when the user reveals one
+async function readSecret({ context, namespace, name }) {
+  const response = await kubeRequest({
+    path: `/api/v1/namespaces/${encodeURIComponent(namespace)}/secrets/${encodeURIComponent(name)}`,
+    config: getContextConfig(context)
+  });
+  return response.body;
+}
+
+async function readSecretValue({ key, ...request }) {
+  const { namespace, name } = request;
+  const secret = await readSecret(request);
+  const encoded = secret?.data?.[key];
+  if (encoded === undefined) {
+    throw new Error(`Secret ${namespace}/${name} has no key '${key}'`);
+  }
+  return Buffer.from(encoded, 'base64').toString('utf8');
+}
+
+const secretError = (error) => ({ error: error.message, statusCode: error.statusCode || 500 });
+
+// List the keys of a secret with the size of each value
+ipcMain.handle('secret-keys', async (event, request) => {
+  try {
+    const secret = await readSecret(request);
+    const keys = Object.entries(secret?.data || {}).map(([key, value]) => ({
+      key,
+      size: Buffer.from(value, 'base64').length
+    }));
+    return { data: { type: secret?.type, keys } };
+  } catch (error) {
+    console.error('Failed to read secret keys:', error.message);
+    return secretError(error);
+  }
+});
+
+ipcMain.handle('secret-reveal', async (event, request) => {
+  try {
+    return { data: await readSecretValue(request) };
+  } catch (error) {
+    console.error('Failed to reveal secret value:', error.message);
+    return secretError(error);
+  }
+});
+
+// Copy a secret value and clear the clipboard again after a while, unless
+// something else was copied since
+ipcMain.handle('secret-copy', async (event, request) => {
+  try {
+    const value = await readSecretValue(request);
+    clipboard.writeText(value);
+    clearTimeout(clipboardTimer);
+    clipboardTimer = setTimeout(() => {
+      if (clipboard.readText() === value) {
+        clipboard.clear();
+      }
+    }, CLIPBOARD_CLEAR_MS);
+    return { data: { clearAfter: CLIPBOARD_CLEAR_MS } };
+  } catch (error) {
+    console.error('Failed to copy secret value:', error.message);
+    return secretError(error);
+  }
+});
+
+// Handle Kubernetes API calls. Accepts { path, method, body } plus context
+// (defaults to the current one), query (labelSelector, fieldSelector, limit,
+// continue, ...), patchType (merge, json, strategic or apply),
+// propagationPolicy, dryRun and force.
+ipcMain.handle('k8s-api', async (event, request) => {
+  const { path, method = 'GET' } = request;
+  try {
+    console.log(`Handling k8s-api request: ${method} ${path}`);
     
-    const currentContext = kubeConfig.getCurrentContext();
-    if (!currentContext) {
-      throw new Error('No Kubernetes context selected. Please select a context from the dropdown.');
-    }
+    const config = getContextConfig(request.context);
+    const currentContext = config.getCurrentContext();
 
-    const currentCluster = kubeConfig.getCurrentCluster();
+    const currentCluster = config.getCurrentCluster();
     if (!currentCluster) {
       throw new Error(`No cluster configuration found for context '${currentContext}'. Please check your kubeconfig.`);
     }
@@ -288,129 +1046,8 @@ ipcMain.handle('k8s-api', async (event, { path, method = 'GET', body }) => {
 
     console.log(`Using cluster: ${currentCluster.name} (${currentCluster.server})`);
 
-    // Create the appropriate API client based on the path
-    let client;
-    if (path.startsWith('/apis/')) {
-      console.log('Using CustomObjectsApi client');
-      client = kubeConfig.makeApiClient(CustomObjectsApi);
-      // For Crossplane resources, we need to parse the path to get group, version, and plural
-      const pathParts = path.split('/').filter(Boolean);
-      const group = pathParts[1];
-      const version = pathParts[2];
-      const plural = pathParts[3];
-      const namespace = path.includes('/namespaces/') ? path.split('/namespaces/')[1].split('/')[0] : undefined;
-      const name = pathParts[pathParts.length - 1];
-
-      console.log('Parsed path parts:', { group, version, plural, namespace, name });
-
-      try {
-        let response;
-        if (method === 'GET') {
-          if (name && name !== plural) { // Only use name if it's not the same as the plural
-            if (namespace) {
-              //console.log(`Getting namespaced custom object: ${group}/${version}/${plural}/${name} in namespace ${namespace}`);
-              response = await client.getNamespacedCustomObject(group, version, namespace, plural, name);
-            } else {
-              //console.log(`Getting cluster custom object: ${group}/${version}/${plural}/${name}`);
-              response = await client.getClusterCustomObject(group, version, plural, name);
-            }
-          } else {
-            if (namespace) {
-              console.log(`Listing namespaced custom objects: ${group}/${version}/${plural} in namespace ${namespace}`);
-              response = await client.listNamespacedCustomObject(group, version, namespace, plural);
-            } else {
-              //console.log(`Listing cluster custom objects: ${group}/${version}/${plural}`);
-              response = await client.listClusterCustomObject(group, version, plural);
-            }
-          }
-        } else if (method === 'POST') {
-          if (namespace) {
-            //console.log(`Creating namespaced custom object in ${namespace}`);
-            response = await client.createNamespacedCustomObject(group, version, namespace, plural, body);
-          } else {
-            //console.log('Creating cluster custom object');
-            response = await client.createClusterCustomObject(group, version, plural, body);
-          }
-        } else {
-          throw new Error(`Unsupported method: ${method}`);
-        }
-
-        // Handle the response
-        if (response && typeof response === 'object') {
-          // If response is a Response object with a body property
-          const data = response.body || response;
-          
-          // Validate the data is proper JSON
-          try {
-            // Test that we can stringify/parse the data
-            JSON.parse(JSON.stringify(data));
-            return { data };
-          } catch (err) {
-            console.error('Invalid JSON in response:', err);
-            throw new Error('Invalid JSON response from Kubernetes API');
-          }
-        }
-        
-        throw new Error('Invalid response format from Kubernetes API');
-      } catch (err) {
-        console.error('Error making API request:', err);
-        throw err;
-      }
-    } else {
-      client = kubeConfig.makeApiClient(CoreV1Api);
-      // For core resources, we need to parse the path to get the resource type
-      const resourceType = path.split('/')[1];
-      const namespace = path.includes('/namespaces/') ? path.split('/namespaces/')[1].split('/')[0] : undefined;
-      const name = path.split('/').pop();
-
-      try {
-        let response;
-        if (method === 'GET') {
-          if (name && name !== resourceType) { // Only use name if it's not the same as the resource type
-            if (namespace) {
-              response = await client.readNamespacedResource(resourceType, name, namespace);
-            } else {
-              response = await client.readResource(resourceType, name);
-            }
-          } else {
-            if (namespace) {
-              response = await client.listNamespacedResource(resourceType, namespace);
-            } else {
-              response = await client.listResource(resourceType);
-            }
-          }
-        } else if (method === 'POST') {
-          if (namespace) {
-            response = await client.createNamespacedResource(resourceType, namespace, body);
-          } else {
-            response = await client.createResource(resourceType, body);
-          }
-        } else {
-          throw new Error(`Unsupported method: ${method}`);
-        }
-
-        // Handle the response
-        if (response && typeof response === 'object') {
-          // If response is a Response object with a body property
-          const data = response.body || response;
-          
-          // Validate the data is proper JSON
-          try {
-            // Test that we can stringify/parse the data
-            JSON.parse(JSON.stringify(data));
-            return { data };
-          } catch (err) {
-            console.error('Invalid JSON in response:', err);
-            throw new Error('Invalid JSON response from Kubernetes API');
-          }
-        }
-        
-        throw new Error('Invalid response format from Kubernetes API');
-      } catch (err) {
-        console.error('Error making API request:', err);
-        throw err;
-      }
-    }
+    const response = await kubeRequest({ ...buildKubeRequest(request), config });
+    return { data: response.body, statusCode: response.statusCode };
   } catch (error) {
     console.error('Kubernetes API error:', error);
     
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+
+// How long history is kept. Older records are dropped from memory as new ones
+// are recorded, and from the file when it's loaded and at most once per
+// compaction interval after that.
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+const COMPACT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// How many flapping claims the dashboard lists, and how many Ready changes
+// make a claim count as flapping rather than just becoming ready once
+const FLAPPING_LIMIT = 10;
+const FLAPPING_MIN_CHANGES = 2;
+
+const claimKey = (context, uid) => `${context}|${uid}`;
+const namespaceKey = (context, namespace) => `${context}|${namespace}`;
+
+// Claim health history as append-only JSON lines. Two kinds of records:
+//   { type: 'claim', at, context, uid, kind, name, namespace, composition,
+//     created, ready, synced }  when a claim is first seen or its Ready or
+//     Synced condition changes
+//   { type: 'namespace', at, context, namespace, total, ready, synced }
+//     when a namespace's claim counts change
+// Times are epoch milliseconds. Everything is also kept in memory to answer
+// queries; the retention keeps that small.
+function createHealthHistory(filePath) {
+  let records = null;
+  let compactedAt = 0;
+  const lastClaims = new Map();
+  const lastNamespaces = new Map();
+
+  const remember = (record) => {
+    if (record.type === 'claim') {
+      lastClaims.set(claimKey(record.context, record.uid), record);
+    } else if (record.type === 'namespace') {
+      lastNamespaces.set(namespaceKey(record.context, record.namespace), record);
+    }
+  };
+
+  const load = () => {
+    if (records) return records;
+    records = [];
+    let lines = [];
+    try {
+      lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable health history ${filePath}:`, error.message);
+      }
+    }
+
+    const cutoff = Date.now() - RETENTION_MS;
+    lines.forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        if (record.at >= cutoff) records.push(record);
+      } catch (error) {
+        // Skip a line cut short by a crash
+      }
+    });
+    records.sort((a, b) => a.at - b.at);
+    records.forEach(remember);
+
+    // Drop expired lines from the file too
+    if (records.length < lines.length) compact();
+    return records;
+  };
+
+  const compact = () => {
+    compactedAt = Date.now();
+    try {
+      fs.writeFileSync(filePath, records.map(record => JSON.stringify(record) + '\n').join(''));
+    } catch (error) {
+      console.error(`Failed to compact health history ${filePath}:`, error);
+    }
+  };
+
+  // Drop expired records, which are the oldest. A claim or namespace whose
+  // last record expires is forgotten too, so it's recorded afresh and its
+  // current state stays in the history.
+  const prune = (now) => {
+    const cutoff = now - RETENTION_MS;
+    const expired = records.findIndex(record => record.at >= cutoff);
+    const count = expired === -1 ? records.length : expired;
+    if (count === 0) return;
+
+    records.splice(0, count);
+    [lastClaims, lastNamespaces].forEach(last => {
+      last.forEach((record, key) => {
+        if (record.at < cutoff) last.delete(key);
+      });
+    });
+    if (now - compactedAt >= COMPACT_INTERVAL_MS) compact();
+  };
+
+  const append = (newRecords) => {
+    if (newRecords.length === 0) return;
+    newRecords.forEach(record => {
+      records.push(record);
+      remember(record);
+    });
+    // Only changes are written, so these are small and rare enough to write
+    // synchronously, which also means nothing is lost on quit
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, newRecords.map(record => JSON.stringify(record) + '\n').join(''));
+    } catch (error) {
+      console.error(`Failed to write health history ${filePath}:`, error);
+    }
+  };
+
+  // Record the claims of a context as they are now: [{ uid, kind, name,
+  // namespace, composition, created, ready, synced }]. Only changes are kept.
+  const record = (context, claims) => {
+    load();
+    const at = Date.now();
+    prune(at);
+    const changes = [];
+
+    claims.forEach(claim => {
+      const last = lastClaims.get(claimKey(context, claim.uid));
+      if (!last || last.ready !== claim.ready || last.synced !== claim.synced) {
+        changes.push({ type: 'claim', at, context, ...claim });
+      }
+    });
+
+    const counts = new Map();
+    claims.forEach(claim => {
+      const count = counts.get(claim.namespace) || { total: 0, ready: 0, synced: 0 };
+      count.total++;
+      if (claim.ready) count.ready++;
+      if (claim.synced) count.synced++;
+      counts.set(claim.namespace, count);
+    });
+    // Namespaces whose claims are all gone drop to zero
+    lastNamespaces.forEach(last => {
+      if (last.context === context && last.total > 0 && !counts.has(last.namespace)) {
+        counts.set(last.namespace, { total: 0, ready: 0, synced: 0 });
+      }
+    });
+    counts.forEach((count, namespace) => {
+      const last = lastNamespaces.get(namespaceKey(context, namespace));
+      if (!last || last.total !== count.total || last.ready !== count.ready || last.synced !== count.synced) {
+        changes.push({ type: 'namespace', at, context, namespace, ...count });
+      }
+    });
+
+    append(changes);
+    return changes.length;
+  };
+
+  // A claim's records since a time, plus the last one before it, which gives
+  // the claim's state when the window starts
+  const claimHistory = (context, uid, since) => {
+    const claimRecords = load().filter(r => r.type === 'claim' && r.context === context && r.uid === uid);
+    const before = claimRecords.filter(r => r.at < since);
+    return {
+      initial: before[before.length - 1] || null,
+      records: claimRecords.filter(r => r.at >= since)
+    };
+  };
+
+  // Health trends for a context since a time:
+  //   namespaces: { [namespace]: [{ at, total, ready, synced }] }
+  //   flapping: claims whose Ready condition changed most, most first
+  //   timeToReady: per composition, how long claims took to become ready
+  const dashboard = (context, since) => {
+    const contextRecords = load().filter(r => r.context === context);
+
+    const namespaces = {};
+    contextRecords
+      .filter(r => r.type === 'namespace')
+      .forEach(r => {
+        const series = namespaces[r.namespace] || (namespaces[r.namespace] = []);
+        const point = { at: r.at, total: r.total, ready: r.ready, synced: r.synced };
+        // Keep one point from before the window as its starting value
+        if (r.at < since) {
+          series.splice(0, series.length, { ...point, at: since });
+        } else {
+          series.push(point);
+        }
+      });
+
+    const byClaim = new Map();
+    contextRecords
+      .filter(r => r.type === 'claim')
+      .forEach(r => {
+        if (!byClaim.has(r.uid)) byClaim.set(r.uid, []);
+        byClaim.get(r.uid).push(r);
+      });
+
+    const flapping = [];
+    const durations = new Map();
+    byClaim.forEach(claimRecords => {
+      const latest = claimRecords[claimRecords.length - 1];
+      let changes = 0;
+      // When the claim last stopped being ready, or was created not ready
+      let notReadySince = claimRecords[0].ready ? null : Date.parse(claimRecords[0].created) || claimRecords[0].at;
+
+      claimRecords.forEach((r, index) => {
+        const previous = claimRecords[index - 1];
+        if (!previous || previous.ready === r.ready) return;
+        if (r.at >= since) changes++;
+        if (!r.ready) {
+          notReadySince = r.at;
+        } else if (notReadySince !== null) {
+          if (r.at >= since) {
+            const composition = r.composition || '(none)';
+            if (!durations.has(composition)) durations.set(composition, []);
+            durations.get(composition).push(r.at - notReadySince);
+          }
+          notReadySince = null;
+        }
+      });
+
+      if (changes >= FLAPPING_MIN_CHANGES) {
+        const { uid, kind, name, namespace, composition, ready, synced } = latest;
+        flapping.push({ uid, kind, name, namespace, composition, ready, synced, changes });
+      }
+    });
+
+    return {
+      namespaces,
+      flapping: flapping.sort((a, b) => b.changes - a.changes).slice(0, FLAPPING_LIMIT),
+      timeToReady: [...durations.entries()]
+        .map(([composition, samples]) => ({
+          composition,
+          samples: samples.length,
+          meanMs: samples.reduce((sum, ms) => sum + ms, 0) / samples.length,
+          maxMs: Math.max(...samples)
+        }))
+        .sort((a, b) => b.meanMs - a.meanMs)
+    };
+  };
+
+  return {
+    path: filePath,
+    record,
+    claimHistory,
+    dashboard
+  };
+}
+
+module.exports = { createHealthHistory, RETENTION_MS };
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHealthHistory, RETENTION_MS } = require('./healthHistory');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2024, 0, 15, 12);
+
+const claim = (uid, fields = {}) => ({
+  uid,
+  kind: 'Database',
+  name: `db-${uid}`,
+  namespace: 'team-a',
+  composition: 'aws-db',
+  created: new Date(T0).toISOString(),
+  ready: true,
+  synced: true,
+  ...fields
+});
+
+describe('createHealthHistory', () => {
+  let dir;
+  let filePath;
+  let history;
+
+  const readLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  // Record the claims of the "prod" context at a time
+  const recordAt = (at, claims) => {
+    jest.setSystemTime(at);
+    return history.record('prod', claims);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-history-test-'));
+    filePath = path.join(dir, 'nested', 'health-history.jsonl');
+    history = createHealthHistory(filePath);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('record', () => {
+    test('appends claims when first seen and their namespace counts', () => {
+      expect(recordAt(T0, [claim('a'), claim('b', { ready: false })])).toBe(3);
+      expect(readLines()).toEqual([
+        { type: 'claim', at: T0, context: 'prod', ...claim('a') },
+        { type: 'claim', at: T0, context: 'prod', ...claim('b', { ready: false }) },
+        { type: 'namespace', at: T0, context: 'prod', namespace: 'team-a', total: 2, ready: 1, synced: 2 }
+      ]);
+    });
+
+    test('only appends what changed', () => {
+      recordAt(T0, [claim('a'), claim('b')]);
+      expect(recordAt(T0 + MINUTE, [claim('a'), claim('b')])).toBe(0);
+      expect(recordAt(T0 + 2 * MINUTE, [claim('a'), claim('b', { synced: false })])).toBe(2);
+      expect(readLines().slice(3).map(({ type, uid, synced }) => ({ type, uid, synced }))).toEqual([
+        { type: 'claim', uid: 'b', synced: false },
+        { type: 'namespace', uid: undefined, synced: 1 }
+      ]);
+    });
+
+    test('drops a namespace to zero when its claims are gone', () => {
+      recordAt(T0, [claim('a'), claim('b', { namespace: 'team-b' })]);
+      recordAt(T0 + MINUTE, [claim('a')]);
+      expect(readLines().pop()).toEqual({
+        type: 'namespace', at: T0 + MINUTE, context: 'prod', namespace: 'team-b', total: 0, ready: 0, synced: 0
+      });
+    });
+
+    test('keeps contexts apart', () => {
+      recordAt(T0, [claim('a')]);
+      expect(history.record('staging', [claim('a')])).toBe(2);
+    });
+
+    test('carries on from the file after a restart', () => {
+      recordAt(T0, [claim('a')]);
+      history = createHealthHistory(filePath);
+      expect(recordAt(T0 + MINUTE, [claim('a')])).toBe(0);
+      expect(recordAt(T0 + 2 * MINUTE, [claim('a', { ready: false })])).toBe(2);
+    });
+  });
+
+  describe('retention', () => {
+    test('drops expired and unreadable lines when the file is loaded', () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const expired = { type: 'claim', at: T0 - RETENTION_MS - HOUR, context: 'prod', ...claim('old') };
+      const kept = { type: 'claim', at: T0 - HOUR, context: 'prod', ...claim('a') };
+      fs.writeFileSync(filePath, `${JSON.stringify(expired)}\n${JSON.stringify(kept)}\n{"type":"cla`);
+
+      expect(history.claimHistory('prod', 'old', 0)).toEqual({ initial: null, records: [] });
+      expect(history.claimHistory('prod', 'a', 0).records).toEqual([kept]);
+      expect(readLines()).toEqual([kept]);
+    });
+
+    test('prunes expired records while running and records their claims afresh', () => {
+      recordAt(T0, [claim('a')]);
+      const later = T0 + RETENTION_MS + HOUR;
+      expect(recordAt(later, [claim('a')])).toBe(2);
+
+      const { initial, records } = history.claimHistory('prod', 'a', 0);
+      expect(initial).toBeNull();
+      expect(records.map(record => record.at)).toEqual([later]);
+    });
+
+    test('compacts the file at most once per day while running', () => {
+      recordAt(T0, [claim('a')]);
+      recordAt(T0 + HOUR, [claim('b')]);
+      const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+      // appendFileSync goes through writeFileSync too, with the 'a' flag
+      const rewrites = () => writeFileSync.mock.calls.filter(([, , options]) => options?.flag !== 'a').length;
+
+      recordAt(T0 + RETENTION_MS + 30 * MINUTE, [claim('a'), claim('b')]);
+      expect(rewrites()).toBe(1);
+      expect(readLines().some(record => record.at === T0)).toBe(false);
+
+      recordAt(T0 + RETENTION_MS + 90 * MINUTE, [claim('a'), claim('b')]);
+      expect(rewrites()).toBe(1);
+      writeFileSync.mockRestore();
+    });
+  });
+
+  describe('claimHistory', () => {
+    test('gives the last record before the window as the initial state', () => {
+      recordAt(T0, [claim('a', { ready: false })]);
+      recordAt(T0 + HOUR, [claim('a')]);
+      recordAt(T0 + 2 * HOUR, [claim('a', { ready: false })]);
+
+      const { initial, records } = history.claimHistory('prod', 'a', T0 + 90 * MINUTE);
+      expect(initial).toMatchObject({ at: T0 + HOUR, ready: true });
+      expect(records.map(record => [record.at, record.ready])).toEqual([[T0 + 2 * HOUR, false]]);
+    });
+  });
+
+  describe('dashboard', () => {
+    // a flaps: not ready, ready after 10 minutes, not ready, ready a minute later.
+    // b becomes ready once, after 10 minutes.
+    const recordFlapping = () => {
+      recordAt(T0, [claim('a', { ready: false }), claim('b', { ready: false, composition: 'gcp-db' })]);
+      recordAt(T0 + 10 * MINUTE, [claim('a'), claim('b', { composition: 'gcp-db' })]);
+      recordAt(T0 + 20 * MINUTE, [claim('a', { ready: false }), claim('b', { composition: 'gcp-db' })]);
+      recordAt(T0 + 21 * MINUTE, [claim('a'), claim('b', { composition: 'gcp-db' })]);
+    };
+
+    test('lists claims whose Ready condition changed repeatedly', () => {
+      recordFlapping();
+      expect(history.dashboard('prod', T0).flapping).toEqual([
+        { uid: 'a', kind: 'Database', name: 'db-a', namespace: 'team-a', composition: 'aws-db', ready: true, synced: true, changes: 3 }
+      ]);
+    });
+
+    test('only counts changes in the window', () => {
+      recordFlapping();
+      expect(history.dashboard('prod', T0 + 15 * MINUTE).flapping.map(c => c.changes)).toEqual([2]);
+      expect(history.dashboard('prod', T0 + 21 * MINUTE).flapping).toEqual([]);
+    });
+
+    test('measures time to ready per composition, slowest first', () => {
+      recordFlapping();
+      expect(history.dashboard('prod', T0).timeToReady).toEqual([
+        { composition: 'gcp-db', samples: 1, meanMs: 10 * MINUTE, maxMs: 10 * MINUTE },
+        { composition: 'aws-db', samples: 2, meanMs: 5.5 * MINUTE, maxMs: 10 * MINUTE }
+      ]);
+    });
+
+    test('times a claim first seen not ready from its creation', () => {
+      recordAt(T0 + 5 * MINUTE, [claim('a', { ready: false })]);
+      recordAt(T0 + 8 * MINUTE, [claim('a')]);
+      expect(history.dashboard('prod', T0).timeToReady[0].meanMs).toBe(8 * MINUTE);
+    });
+
+    test('only times claims that became ready in the window', () => {
+      recordFlapping();
+      expect(history.dashboard('prod', T0 + 15 * MINUTE).timeToReady).toEqual([
+        { composition: 'aws-db', samples: 1, meanMs: MINUTE, maxMs: MINUTE }
+      ]);
+    });
+
+    test('charts namespace counts, starting from the value at the start of the window', () => {
+      recordFlapping();
+      expect(history.dashboard('prod', T0 + 15 * MINUTE).namespaces).toEqual({
+        'team-a': [
+          { at: T0 + 15 * MINUTE, total: 2, ready: 2, synced: 2 },
+          { at: T0 + 20 * MINUTE, total: 2, ready: 1, synced: 2 },
+          { at: T0 + 21 * MINUTE, total: 2, ready: 2, synced: 2 }
+        ]
+      });
+    });
+
+    test('only reports the context asked for', () => {
+      recordFlapping();
+      expect(history.dashboard('staging', T0)).toEqual({ namespaces: {}, flapping: [], timeToReady: [] });
+    });
+  });
+});
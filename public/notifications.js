@@ -0,0 +1,222 @@
+// Notifications for changes between consecutive claim lists: claims that
+// stop being Ready or Synced, new claims, deleted claims and claims whose
+// deletion is stuck behind finalizers
+
+// More notifications than this at once are collapsed into one summary
+const MAX_NOTIFICATIONS = 3;
+
+// Match labels against a selector like "team=payments,tier!=db,app,!legacy"
+function matchesSelector(labels = {}, selector = '') {
+  return selector
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .every(part => {
+      const notEquals = part.match(/^([^!=]+)!=(.*)$/);
+      if (notEquals) return labels[notEquals[1].trim()] !== notEquals[2].trim();
+      const equals = part.match(/^([^!=]+)==?(.*)$/);
+      if (equals) return labels[equals[1].trim()] === equals[2].trim();
+      if (part.startsWith('!')) return !(part.slice(1).trim() in labels);
+      return part in labels;
+    });
+}
+
+function matchesRules(claim, rules = []) {
+  if (rules.length === 0) return true;
+  return rules.some(rule =>
+    (!rule.namespace || rule.namespace === claim.namespace) &&
+    (!rule.kind || rule.kind.toLowerCase() === claim.kind.toLowerCase()) &&
+    matchesSelector(claim.labels, rule.selector)
+  );
+}
+
+const minutesOf = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+function inQuietHours({ enabled, start, end } = {}, now = new Date()) {
+  if (!enabled) return false;
+  const from = minutesOf(start);
+  const to = minutesOf(end);
+  if (Number.isNaN(from) || Number.isNaN(to) || from === to) return false;
+  const minute = now.getHours() * 60 + now.getMinutes();
+  return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+// Milliseconds until quiet hours end, or null outside them
+function quietHoursLeft(quietHours = {}, now = new Date()) {
+  if (!inQuietHours(quietHours, now)) return null;
+  const minute = now.getHours() * 60 + now.getMinutes();
+  const minutes = (minutesOf(quietHours.end) - minute + 24 * 60) % (24 * 60);
+  return Math.max((minutes * 60 - now.getSeconds()) * 1000, 1000);
+}
+
+const describeClaim = (claim) => `${claim.kind} ${claim.name}`;
+const describeWhere = (claim, context) => `${claim.namespace} · ${context}`;
+
+// Engine behind the notifications. getOptions returns the user's
+// notification settings (see the notifications defaults in settings.js);
+// show({ title, body, claim }) raises one, where claim ({ context,
+// namespace, kind, name }) is what clicking it opens.
+function createClaimNotifier({ getOptions, show }) {
+  // Last claim list per context, by uid
+  const lists = new Map();
+  // Claims already reported as stuck deleting
+  const stuckReported = new Set();
+  let stuckTimer = null;
+
+  // Show the notifications the settings ask for. False if none could be
+  // shown now, because notifications are off or it's quiet hours.
+  const deliver = (notifications) => {
+    const { enabled, events = {}, rules, quietHours } = getOptions() || {};
+    if (!enabled || inQuietHours(quietHours)) return false;
+
+    const wanted = notifications.filter(({ event, claim }) => events[event] && matchesRules(claim, rules));
+    if (wanted.length > MAX_NOTIFICATIONS) {
+      const contexts = [...new Set(wanted.map(({ context }) => context))];
+      show({
+        title: `${wanted.length} claims changed`,
+        body: `${wanted.slice(0, MAX_NOTIFICATIONS).map(({ claim }) => describeClaim(claim)).join(', ')} and more in ${contexts.join(', ')}`,
+        claim: null
+      });
+      return true;
+    }
+    wanted.forEach(({ event, context, claim, title, body }) => {
+      show({
+        title,
+        body,
+        // A deleted claim can't be opened any more
+        claim: event === 'deleted' ? null : { context, namespace: claim.namespace, kind: claim.kind, name: claim.name }
+      });
+    });
+    return true;
+  };
+
+  const stuckNotification = (context, claim, now) => {
+    const deletingFor = Math.round((now - Date.parse(claim.deletionTimestamp)) / 60000);
+    const finalizers = claim.finalizers?.length ? ` Waiting on ${claim.finalizers.join(', ')}.` : '';
+    return {
+      event: 'stuckDeletion',
+      context,
+      claim,
+      title: `${describeClaim(claim)} is stuck deleting`,
+      body: `${describeWhere(claim, context)}: deleting for ${deletingFor}m.${finalizers}`
+    };
+  };
+
+  // Deliver notifications along with any claims that have been deleting too
+  // long, and check again when the next one will have been. A stuck claim
+  // only counts as reported once delivered, so one held back by quiet hours
+  // is reported when they end, and one held back by notifications being off
+  // on the next update after they're back on.
+  const flush = (notifications) => {
+    clearTimeout(stuckTimer);
+    stuckTimer = null;
+    const now = Date.now();
+    const stuck = [];
+    let nextCheck = Infinity;
+
+    lists.forEach((claims, context) => {
+      claims.forEach(claim => {
+        if (!claim.stuckAt || stuckReported.has(claim.uid)) return;
+        if (claim.stuckAt <= now) {
+          stuck.push(stuckNotification(context, claim, now));
+        } else {
+          nextCheck = Math.min(nextCheck, claim.stuckAt);
+        }
+      });
+    });
+
+    if (deliver([...notifications, ...stuck])) {
+      stuck.forEach(({ claim }) => stuckReported.add(claim.uid));
+    } else if (stuck.length > 0) {
+      const quietLeft = quietHoursLeft((getOptions() || {}).quietHours);
+      if (quietLeft !== null) nextCheck = Math.min(nextCheck, now + quietLeft);
+    }
+
+    if (nextCheck < Infinity) {
+      stuckTimer = setTimeout(() => flush([]), nextCheck - now);
+    }
+  };
+
+  const diff = (context, previous, claims) => {
+    const notifications = [];
+    claims.forEach((claim, uid) => {
+      const before = previous.get(uid);
+      if (!before) {
+        notifications.push({
+          event: 'created',
+          context,
+          claim,
+          title: `${describeClaim(claim)} created`,
+          body: describeWhere(claim, context)
+        });
+        return;
+      }
+      // Claims being deleted go unready on the way out; that's not news
+      if (claim.deletionTimestamp) return;
+      const lost = [['ready', 'Ready'], ['synced', 'Synced']]
+        .filter(([field]) => before[field] && !claim[field])
+        .map(([, label]) => label);
+      if (lost.length > 0) {
+        notifications.push({
+          event: 'regression',
+          context,
+          claim,
+          title: `${describeClaim(claim)} is no longer ${lost.join(' or ')}`,
+          body: [describeWhere(claim, context), claim.message || claim.reason].filter(Boolean).join(': ')
+        });
+      }
+    });
+    previous.forEach((claim, uid) => {
+      if (claims.has(uid)) return;
+      stuckReported.delete(uid);
+      notifications.push({
+        event: 'deleted',
+        context,
+        claim,
+        title: `${describeClaim(claim)} deleted`,
+        body: describeWhere(claim, context)
+      });
+    });
+    return notifications;
+  };
+
+  // Take the latest claim lists: { [context]: claims } with claims shaped
+  // { uid, kind, name, namespace, labels, ready, synced, reason, message,
+  // deletionTimestamp, stuckAt, finalizers }, or null for a context that
+  // couldn't be listed this time. stuckAt is when a deleting claim counts as
+  // stuck, in epoch milliseconds. The first list of a context is only remembered, and
+  // contexts left out are forgotten, so switching contexts doesn't report
+  // every claim as new.
+  const update = (next) => {
+    const notifications = [];
+    [...lists.keys()]
+      .filter(context => !(context in next))
+      .forEach(context => lists.delete(context));
+
+    Object.entries(next).forEach(([context, claimList]) => {
+      if (!claimList) return;
+      const claims = new Map(claimList.map(claim => [claim.uid, claim]));
+      const previous = lists.get(context);
+      lists.set(context, claims);
+      if (previous) notifications.push(...diff(context, previous, claims));
+    });
+
+    flush(notifications);
+    return notifications.length;
+  };
+
+  // The last claim lists: { [context]: claims }
+  const claims = () => Object.fromEntries([...lists].map(([context, list]) => [context, [...list.values()]]));
+
+  const dispose = () => {
+    clearTimeout(stuckTimer);
+    stuckTimer = null;
+  };
+
+  return { update, claims, dispose };
+}
+
+module.exports = { createClaimNotifier, matchesSelector, inQuietHours, quietHoursLeft };
@@ -0,0 +1,257 @@
+const { createClaimNotifier, matchesSelector, inQuietHours, quietHoursLeft } = require('./notifications');
+
+// Local times, as quiet hours use
+const at = (hours, minutes = 0, seconds = 0) => new Date(2024, 0, 15, hours, minutes, seconds);
+
+describe('matchesSelector', () => {
+  const labels = { team: 'payments', tier: 'db', app: 'orders' };
+
+  test('matches everything with an empty selector', () => {
+    expect(matchesSelector(labels, '')).toBe(true);
+    expect(matchesSelector(undefined, undefined)).toBe(true);
+    expect(matchesSelector(labels, ' , ')).toBe(true);
+  });
+
+  test('matches equality with = or ==', () => {
+    expect(matchesSelector(labels, 'team=payments')).toBe(true);
+    expect(matchesSelector(labels, 'team==payments')).toBe(true);
+    expect(matchesSelector(labels, 'team=search')).toBe(false);
+  });
+
+  test('matches inequality, including a missing label', () => {
+    expect(matchesSelector(labels, 'tier!=web')).toBe(true);
+    expect(matchesSelector(labels, 'tier!=db')).toBe(false);
+    expect(matchesSelector(labels, 'region!=eu')).toBe(true);
+  });
+
+  test('matches whether a label exists', () => {
+    expect(matchesSelector(labels, 'app')).toBe(true);
+    expect(matchesSelector(labels, 'legacy')).toBe(false);
+    expect(matchesSelector(labels, '!legacy')).toBe(true);
+    expect(matchesSelector(labels, '!app')).toBe(false);
+  });
+
+  test('requires every part, ignoring spaces', () => {
+    expect(matchesSelector(labels, ' team = payments , tier!=web, app ')).toBe(true);
+    expect(matchesSelector(labels, 'team=payments,!app')).toBe(false);
+  });
+
+  test('matches an empty value only against an empty label', () => {
+    expect(matchesSelector({ team: '' }, 'team=')).toBe(true);
+    expect(matchesSelector(labels, 'team=')).toBe(false);
+  });
+});
+
+describe('inQuietHours', () => {
+  const overnight = { enabled: true, start: '22:00', end: '07:00' };
+  const daytime = { enabled: true, start: '09:00', end: '17:30' };
+
+  test('is never quiet when turned off or empty', () => {
+    expect(inQuietHours({ ...overnight, enabled: false }, at(23))).toBe(false);
+    expect(inQuietHours(undefined, at(23))).toBe(false);
+    expect(inQuietHours({ enabled: true, start: '08:00', end: '08:00' }, at(8))).toBe(false);
+    expect(inQuietHours({ enabled: true, start: 'late', end: '07:00' }, at(3))).toBe(false);
+  });
+
+  test('covers a range within a day, end exclusive', () => {
+    expect(inQuietHours(daytime, at(8, 59))).toBe(false);
+    expect(inQuietHours(daytime, at(9))).toBe(true);
+    expect(inQuietHours(daytime, at(17, 29))).toBe(true);
+    expect(inQuietHours(daytime, at(17, 30))).toBe(false);
+  });
+
+  test('covers a range that wraps past midnight', () => {
+    expect(inQuietHours(overnight, at(21, 59))).toBe(false);
+    expect(inQuietHours(overnight, at(22))).toBe(true);
+    expect(inQuietHours(overnight, at(0))).toBe(true);
+    expect(inQuietHours(overnight, at(6, 59))).toBe(true);
+    expect(inQuietHours(overnight, at(7))).toBe(false);
+    expect(inQuietHours(overnight, at(12))).toBe(false);
+  });
+
+  test('counts the time left until quiet hours end', () => {
+    expect(quietHoursLeft(overnight, at(23, 30))).toBe(7.5 * 60 * 60 * 1000);
+    expect(quietHoursLeft(overnight, at(6, 59, 30))).toBe(30 * 1000);
+    expect(quietHoursLeft(overnight, at(12))).toBeNull();
+  });
+});
+
+describe('createClaimNotifier', () => {
+  const ALL_EVENTS = { regression: true, created: true, deleted: true, stuckDeletion: true };
+  let options;
+  let shown;
+  let notifier;
+
+  const claim = (uid, fields = {}) => ({
+    uid,
+    kind: 'Database',
+    name: `db-${uid}`,
+    namespace: 'team-a',
+    labels: { team: 'payments' },
+    ready: true,
+    synced: true,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(at(12));
+    options = { enabled: true, events: ALL_EVENTS, rules: [], quietHours: { enabled: false } };
+    shown = [];
+    notifier = createClaimNotifier({ getOptions: () => options, show: notification => shown.push(notification) });
+  });
+
+  afterEach(() => {
+    notifier.dispose();
+    jest.useRealTimers();
+  });
+
+  test('only remembers the first list of a context', () => {
+    expect(notifier.update({ prod: [claim(1)] })).toBe(0);
+    expect(shown).toEqual([]);
+    expect(notifier.update({ prod: [claim(1)] })).toBe(0);
+    expect(notifier.claims()).toEqual({ prod: [claim(1)] });
+  });
+
+  test('reports claims that stop being Ready or Synced, linking to them', () => {
+    notifier.update({ prod: [claim(1), claim(2)] });
+    notifier.update({
+      prod: [claim(1, { ready: false, message: 'Quota exceeded' }), claim(2, { ready: false, synced: false })]
+    });
+
+    expect(shown).toEqual([
+      {
+        title: 'Database db-1 is no longer Ready',
+        body: 'team-a · prod: Quota exceeded',
+        claim: { context: 'prod', namespace: 'team-a', kind: 'Database', name: 'db-1' }
+      },
+      {
+        title: 'Database db-2 is no longer Ready or Synced',
+        body: 'team-a · prod',
+        claim: { context: 'prod', namespace: 'team-a', kind: 'Database', name: 'db-2' }
+      }
+    ]);
+  });
+
+  test('doesn\'t report recovering claims or ones going unready while deleting', () => {
+    notifier.update({ prod: [claim(1, { ready: false }), claim(2)] });
+    notifier.update({ prod: [claim(1), claim(2, { ready: false, deletionTimestamp: new Date().toISOString() })] });
+    expect(shown).toEqual([]);
+  });
+
+  test('reports new and deleted claims, without a link for deleted ones', () => {
+    notifier.update({ prod: [claim(1)] });
+    notifier.update({ prod: [claim(2)] });
+    expect(shown.map(({ title, claim: link }) => [title, link?.name ?? null])).toEqual([
+      ['Database db-2 created', 'db-2'],
+      ['Database db-1 deleted', null]
+    ]);
+  });
+
+  test('forgets contexts left out, so coming back to one is a new baseline', () => {
+    notifier.update({ prod: [claim(1)] });
+    notifier.update({ staging: [claim(5)] });
+    notifier.update({ prod: [claim(2)] });
+    expect(shown).toEqual([]);
+  });
+
+  test('keeps the last list of a context that couldn\'t be listed', () => {
+    notifier.update({ prod: [claim(1)] });
+    notifier.update({ prod: null });
+    expect(shown).toEqual([]);
+    notifier.update({ prod: [] });
+    expect(shown.map(({ title }) => title)).toEqual(['Database db-1 deleted']);
+  });
+
+  test('only shows the events turned on', () => {
+    options.events = { ...ALL_EVENTS, created: false };
+    notifier.update({ prod: [claim(1)] });
+    notifier.update({ prod: [claim(1, { ready: false }), claim(2)] });
+    expect(shown.map(({ title }) => title)).toEqual(['Database db-1 is no longer Ready']);
+  });
+
+  test('only shows claims matching a rule', () => {
+    options.rules = [
+      { namespace: 'team-b', kind: '', selector: '' },
+      { namespace: '', kind: 'database', selector: 'team=search' }
+    ];
+    notifier.update({ prod: [claim(1), claim(2, { namespace: 'team-b' }), claim(3, { labels: { team: 'search' } })] });
+    notifier.update({ prod: [] });
+    expect(shown.map(({ title }) => title)).toEqual(['Database db-2 deleted', 'Database db-3 deleted']);
+  });
+
+  test('shows nothing when turned off', () => {
+    options.enabled = false;
+    notifier.update({ prod: [claim(1)] });
+    notifier.update({ prod: [] });
+    expect(shown).toEqual([]);
+  });
+
+  test('collapses many notifications into one summary', () => {
+    notifier.update({ prod: [] });
+    notifier.update({ prod: [1, 2, 3, 4].map(uid => claim(uid)) });
+    expect(shown).toEqual([{
+      title: '4 claims changed',
+      body: 'Database db-1, Database db-2, Database db-3 and more in prod',
+      claim: null
+    }]);
+  });
+
+  describe('stuck deletions', () => {
+    // The renderer works out when a deletion counts as stuck; five minutes here
+    const deleting = (minutesAgo) => {
+      const deletedAt = Date.now() - minutesAgo * 60 * 1000;
+      return claim(9, {
+        ready: false,
+        deletionTimestamp: new Date(deletedAt).toISOString(),
+        stuckAt: deletedAt + 5 * 60 * 1000,
+        finalizers: ['finalizer.apiextensions.crossplane.io']
+      });
+    };
+
+    test('reports a claim deleting for too long once', () => {
+      notifier.update({ prod: [deleting(11)] });
+      notifier.update({ prod: [deleting(11)] });
+      expect(shown).toEqual([{
+        title: 'Database db-9 is stuck deleting',
+        body: 'team-a · prod: deleting for 11m. Waiting on finalizer.apiextensions.crossplane.io.',
+        claim: { context: 'prod', namespace: 'team-a', kind: 'Database', name: 'db-9' }
+      }]);
+    });
+
+    test('reports a claim when it becomes stuck, without another update', () => {
+      notifier.update({ prod: [deleting(4)] });
+      jest.advanceTimersByTime(60 * 1000 - 1);
+      expect(shown).toEqual([]);
+      jest.advanceTimersByTime(1);
+      expect(shown.map(({ title }) => title)).toEqual(['Database db-9 is stuck deleting']);
+    });
+
+    test('holds a stuck claim back until quiet hours end', () => {
+      jest.setSystemTime(at(23));
+      options.quietHours = { enabled: true, start: '22:00', end: '07:00' };
+      notifier.update({ prod: [deleting(30)] });
+      expect(shown).toEqual([]);
+
+      jest.advanceTimersByTime(8 * 60 * 60 * 1000 - 1);
+      expect(shown).toEqual([]);
+      jest.advanceTimersByTime(1);
+      expect(shown.map(({ title }) => title)).toEqual(['Database db-9 is stuck deleting']);
+    });
+
+    test('reports a stuck claim held back while turned off once turned on', () => {
+      options.enabled = false;
+      notifier.update({ prod: [deleting(30)] });
+      options.enabled = true;
+      notifier.update({ prod: [deleting(30)] });
+      expect(shown.map(({ title }) => title)).toEqual(['Database db-9 is stuck deleting']);
+    });
+
+    test('reports the claim again if it comes back after being deleted', () => {
+      notifier.update({ prod: [deleting(11)] });
+      notifier.update({ prod: [] });
+      notifier.update({ prod: [deleting(11)] });
+      expect(shown.filter(({ title }) => title.endsWith('stuck deleting'))).toHaveLength(2);
+    });
+  });
+});
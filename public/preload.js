@@ -6,6 +6,37 @@ contextBridge.exposeInMainWorld(
   'api', {
     getKubeConfig: () => ipcRenderer.invoke('get-kubeconfig'),
     setContext: (contextName) => ipcRenderer.invoke('set-context', contextName),
-    k8sApi: (request) => ipcRenderer.invoke('k8s-api', request)
+    k8sApi: (request) => ipcRenderer.invoke('k8s-api', request),
+    watchResource: (path, context) => ipcRenderer.invoke('watch-start', path, context),
+    unwatchResource: (path, context) => ipcRenderer.invoke('watch-stop', path, context),
+    getSecretKeys: (request) => ipcRenderer.invoke('secret-keys', request),
+    revealSecretValue: (request) => ipcRenderer.invoke('secret-reveal', request),
+    copySecretValue: (request) => ipcRenderer.invoke('secret-copy', request),
+    getSettings: () => ipcRenderer.invoke('settings-get'),
+    updateSettings: (patch) => ipcRenderer.invoke('settings-update', patch),
+    resetSettings: () => ipcRenderer.invoke('settings-reset'),
+    exportSettings: () => ipcRenderer.invoke('settings-export'),
+    importSettings: () => ipcRenderer.invoke('settings-import'),
+    recordClaimHealth: (request) => ipcRenderer.invoke('health-record', request),
+    getClaimHealthHistory: (request) => ipcRenderer.invoke('health-claim-history', request),
+    getHealthDashboard: (request) => ipcRenderer.invoke('health-dashboard', request),
+    updateClaimNotifications: (lists) => ipcRenderer.invoke('notifications-update', lists),
+    updateTray: (state) => ipcRenderer.invoke('tray-update', state),
+    onTrayAction: (callback) => {
+      const listener = (event, action) => callback(action);
+      ipcRenderer.on('tray-action', listener);
+      return () => ipcRenderer.removeListener('tray-action', listener);
+    },
+    takeDeepLink: () => ipcRenderer.invoke('deep-link-take'),
+    onDeepLink: (callback) => {
+      const listener = () => callback();
+      ipcRenderer.on('deep-link', listener);
+      return () => ipcRenderer.removeListener('deep-link', listener);
+    },
+    onWatchEvent: (callback) => {
+      const listener = (event, payload) => callback(payload);
+      ipcRenderer.on('k8s-watch-event', listener);
+      return () => ipcRenderer.removeListener('k8s-watch-event', listener);
+    }
   }
 ); 
\ No newline at end of file
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Settings the app starts from when there's no file yet, and the shape
+// imported files are merged into
+const DEFAULT_SETTINGS = {
+  version: 1,
+  preferences: {
+    live: true,
+    defaultView: 'claims',
+    restoreLastContext: true,
+    rememberFilters: true,
+    rememberSelection: true,
+    // Keep running in the tray or menu bar when the window is closed. Off
+    // unless the user turns it on, so closing the window quits as before
+    tray: false
+  },
+  fleetContexts: [],
+  // Desktop notifications for claim changes, see notifications.js
+  notifications: {
+    enabled: true,
+    events: { regression: true, created: false, deleted: true, stuckDeletion: true },
+    // Claims matching any rule notify; no rules means every claim does. A
+    // rule is { namespace, kind, selector } where empty fields match anything.
+    rules: [],
+    // Local times as HH:MM; the range may wrap past midnight
+    quietHours: { enabled: false, start: '22:00', end: '07:00' }
+  },
+  // Per context: { namespace, kinds, selectedClaim: { kind, name, namespace } }
+  contexts: {}
+};
+
+// How long to wait for more changes before writing the file
+const WRITE_DELAY_MS = 300;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Merge a patch into settings. Objects are merged key by key, anything else
+// (arrays included) replaces the old value, and null removes a key.
+function mergeSettings(target, patch) {
+  const result = { ...target };
+  Object.entries(patch || {}).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(target?.[key])) {
+      result[key] = mergeSettings(target[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+// A JSON settings file. Reads happen once; writes are batched and go through
+// a temporary file so a crash can't leave half a file behind.
+function createSettingsStore(filePath) {
+  let settings = null;
+  let writeTimer = null;
+
+  const load = () => {
+    if (settings) return settings;
+    try {
+      settings = mergeSettings(DEFAULT_SETTINGS, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable settings file ${filePath}:`, error.message);
+      }
+      settings = DEFAULT_SETTINGS;
+    }
+    return settings;
+  };
+
+  const flush = () => {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(settings, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Failed to write settings to ${filePath}:`, error);
+    }
+  };
+
+  const update = (patch) => {
+    settings = mergeSettings(load(), patch);
+    clearTimeout(writeTimer);
+    writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+    return settings;
+  };
+
+  return {
+    path: filePath,
+    get: load,
+    update,
+    // Merge settings read from a file over the current ones, keeping our
+    // version
+    importSettings: (imported) => {
+      if (!isPlainObject(imported)) {
+        throw new Error('The file does not contain a settings object');
+      }
+      const { version, ...rest } = imported;
+      return update(rest);
+    },
+    // Go back to the default settings
+    reset: () => {
+      settings = DEFAULT_SETTINGS;
+      flush();
+      return settings;
+    },
+    // Write pending changes now, e.g. before quitting
+    flush: () => {
+      if (writeTimer) flush();
+    }
+  };
+}
+
+module.exports = { createSettingsStore, mergeSettings, DEFAULT_SETTINGS };
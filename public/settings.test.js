@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSettingsStore, mergeSettings, DEFAULT_SETTINGS } = require('./settings');
+
+describe('mergeSettings', () => {
+  test('merges objects key by key', () => {
+    expect(mergeSettings(
+      { preferences: { live: true, defaultView: 'claims' }, lastContext: 'a' },
+      { preferences: { live: false } }
+    )).toEqual({ preferences: { live: false, defaultView: 'claims' }, lastContext: 'a' });
+  });
+
+  test('replaces arrays and plain values', () => {
+    expect(mergeSettings({ fleetContexts: ['a', 'b'], lastContext: 'a' }, { fleetContexts: ['c'], lastContext: 'c' }))
+      .toEqual({ fleetContexts: ['c'], lastContext: 'c' });
+  });
+
+  test('removes keys set to null, nested ones included', () => {
+    expect(mergeSettings(
+      { lastContext: 'a', contexts: { a: { namespace: 'x' }, b: { namespace: 'y' } } },
+      { lastContext: null, contexts: { a: null } }
+    )).toEqual({ contexts: { b: { namespace: 'y' } } });
+  });
+
+  test('does not modify the settings it merges into', () => {
+    const target = { preferences: { live: true } };
+    mergeSettings(target, { preferences: { live: false } });
+    expect(target).toEqual({ preferences: { live: true } });
+  });
+});
+
+describe('createSettingsStore', () => {
+  let dir;
+  let filePath;
+
+  const readFile = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-test-'));
+    filePath = path.join(dir, 'nested', 'settings.json');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('starts from the defaults without a file', () => {
+    expect(createSettingsStore(filePath).get()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('fills in defaults missing from the file', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ preferences: { live: false }, lastContext: 'prod' }));
+    const settings = createSettingsStore(filePath).get();
+    expect(settings.preferences).toEqual({ ...DEFAULT_SETTINGS.preferences, live: false });
+    expect(settings.lastContext).toBe('prod');
+  });
+
+  test('falls back to the defaults when the file is unreadable', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{ not json');
+    expect(createSettingsStore(filePath).get()).toEqual(DEFAULT_SETTINGS);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test('batches updates into one write after a pause', () => {
+    const store = createSettingsStore(filePath);
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+    store.update({ lastContext: 'a' });
+    jest.advanceTimersByTime(200);
+    store.update({ preferences: { live: false } });
+    jest.advanceTimersByTime(200);
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    jest.advanceTimersByTime(100);
+    expect(writeFileSync).toHaveBeenCalledTimes(1);
+    expect(readFile()).toMatchObject({ lastContext: 'a', preferences: { live: false } });
+    writeFileSync.mockRestore();
+  });
+
+  test('writes through a temporary file it then renames', () => {
+    const store = createSettingsStore(filePath);
+    const renameSync = jest.spyOn(fs, 'renameSync');
+    store.update({ lastContext: 'a' });
+    store.flush();
+    expect(renameSync).toHaveBeenCalledWith(`${filePath}.tmp`, filePath);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    expect(readFile().lastContext).toBe('a');
+    renameSync.mockRestore();
+  });
+
+  test('leaves the old file alone when a write fails', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createSettingsStore(filePath);
+    store.update({ lastContext: 'a' });
+    store.flush();
+    const renameSync = jest.spyOn(fs, 'renameSync').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    store.update({ lastContext: 'b' });
+    store.flush();
+    expect(readFile().lastContext).toBe('a');
+    expect(error).toHaveBeenCalled();
+    renameSync.mockRestore();
+    error.mockRestore();
+  });
+
+  test('flush only writes when there are pending changes', () => {
+    const store = createSettingsStore(filePath);
+    store.flush();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('imports settings over the current ones without taking their version', () => {
+    const store = createSettingsStore(filePath);
+    store.update({ lastContext: 'a', fleetContexts: ['a'] });
+    const imported = store.importSettings({ version: 99, fleetContexts: ['b', 'c'], preferences: { live: false } });
+    expect(imported.version).toBe(DEFAULT_SETTINGS.version);
+    expect(imported).toMatchObject({ lastContext: 'a', fleetContexts: ['b', 'c'], preferences: { live: false } });
+    store.flush();
+    expect(readFile().version).toBe(DEFAULT_SETTINGS.version);
+  });
+
+  test('refuses to import anything but a settings object', () => {
+    const store = createSettingsStore(filePath);
+    expect(() => store.importSettings([1, 2])).toThrow('settings object');
+    expect(() => store.importSettings(null)).toThrow('settings object');
+  });
+
+  test('resets to the defaults right away', () => {
+    const store = createSettingsStore(filePath);
+    store.update({ lastContext: 'a' });
+    expect(store.reset()).toEqual(DEFAULT_SETTINGS);
+    expect(readFile()).toEqual(DEFAULT_SETTINGS);
+  });
+});
@@ -1,24 +1,53 @@
 import { useEffect, useState, useCallback, useMemo, useRef } from 'react';
 import ReactFlow, { Background, Controls, MiniMap, Handle } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { getKubeConfig, setContext, fetchCompositeResources, fetchResourceTrace, fetchSpecificClaim } from './services/k8sService';
-import yaml from 'js-yaml';
+import {
+  getKubeConfig,
+  setContext,
+  fetchCompositeResources,
+  fetchResourceTrace,
+  fetchSpecificClaim,
+  watchResource,
+  getReferenceableVersion,
+  resolveResource,
+  buildResourcePath,
+  getTraceWatchTargets,
+  isConditionTrue,
+  updateTraceResource,
+  removeTraceResource
+} from './services/k8sService';
 import TitleBar from './components/TitleBar';
-
-// Helper function to convert JSON to YAML - we use this for displaying resource details
-const toYAML = (obj) => {
-  try {
-    return yaml.dump(obj, {
-      indent: 2,
-      lineWidth: -1,
-      noRefs: true,
-      sortKeys: false
-    });
-  } catch (error) {
-    console.error('Error converting to YAML:', error);
-    return JSON.stringify(obj, null, 2);
-  }
-};
+import NewClaimWizard from './components/NewClaimWizard';
+import YAMLEditor from './components/YAMLEditor';
+import YAMLModal from './components/YAMLModal';
+import DeleteClaimModal from './components/DeleteClaimModal';
+import ManagedResourcesView from './components/ManagedResourcesView';
+import PackagesView from './components/PackagesView';
+import CompositionsView from './components/CompositionsView';
+import XRDsView from './components/XRDsView';
+import EventsTimeline from './components/EventsTimeline';
+import ConnectionDetails from './components/ConnectionDetails';
+import RootCauseSummary from './components/RootCauseSummary';
+import SettingsModal from './components/SettingsModal';
+import SavedViews from './components/SavedViews';
+import CopyLinkButton from './components/CopyLinkButton';
+import CommandPalette from './components/CommandPalette';
+import ShortcutsHelp from './components/ShortcutsHelp';
+import ClaimSearch from './components/ClaimSearch';
+import Highlight from './components/Highlight';
+import VirtualList from './components/VirtualList';
+import RequestCachePanel from './components/RequestCachePanel';
+import HealthSparkline from './components/HealthSparkline';
+import HealthDashboardView from './components/HealthDashboardView';
+import { loadSettings, updateSettings } from './services/settingsService';
+import { invalidateRequests } from './services/requestCache';
+import { recordClaimHealth } from './services/healthHistoryService';
+import { updateClaimNotifications } from './services/notificationService';
+import { updateTray, onTrayAction } from './services/trayService';
+import { buildClaimLink, parseClaimLink, takeDeepLink, onDeepLink } from './services/deepLinkService';
+import { toYAML } from './utils/yaml';
+import { parseClaimQuery, matchClaim } from './utils/claimQuery';
+import { getGroupingOptions, groupClaims } from './utils/claimGroups';
 
 const ResourceDetailsPanel = ({ resource, onClose }) => {
   if (!resource) return null;
@@ -179,10 +208,12 @@ const CustomNode = ({ data, id, selected }) => {
   );
 };
 
-const GraphView = ({ traceData }) => {
+const GraphView = ({ traceData, focus }) => {
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
   const [selectedNode, setSelectedNode] = useState(null);
+  const [flowInstance, setFlowInstance] = useState(null);
+  const focusedRef = useRef(null);
 
   const nodeTypes = useMemo(() => ({
     custom: CustomNode
@@ -493,6 +524,18 @@ const GraphView = ({ traceData }) => {
     setEdges(newEdges);
   }, [traceData, buildGraphFromTrace]);
 
+  // Select and center the node of the resource picked from the events timeline
+  useEffect(() => {
+    if (!focus || !flowInstance || focusedRef.current === focus) return;
+    const node = nodes.find(n => n.data.resourceData?.metadata?.uid === focus.uid);
+    if (!node) return;
+
+    focusedRef.current = focus;
+    setNodes(prev => prev.map(n => ({ ...n, selected: n.id === node.id })));
+    setSelectedNode({ ...node, resourceData: node.data.resourceData });
+    flowInstance.setCenter(node.position.x + 100, node.position.y + 40, { zoom: 1, duration: 400 });
+  }, [focus, flowInstance, nodes]);
+
   return (
     <div className="graph-container" style={{ width: '100%', height: '100%', position: 'relative' }}>
 
@@ -501,7 +544,8 @@ const GraphView = ({ traceData }) => {
         edges={edges}
         nodeTypes={nodeTypes}
         onNodeClick={onNodeClick}
-        fitView
+        onInit={setFlowInstance}
+        fitView={!focus}
         fitViewOptions={{ 
           padding: 0.8,
           minZoom: 0.4,
@@ -607,157 +651,37 @@ const GraphView = ({ traceData }) => {
   );
 };
 
-// Add the YAML modal component
-const YAMLModal = ({ resource, onClose }) => {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [highlightedLines, setHighlightedLines] = useState([]);
-  const [currentMatch, setCurrentMatch] = useState(0);
-  const yamlContent = useMemo(() => resource ? toYAML(resource) : '', [resource]);
-  const preRef = useRef(null);
-
-  useEffect(() => {
-    if (!searchTerm) {
-      setHighlightedLines([]);
-      setCurrentMatch(0);
-      return;
-    }
-
-    const lines = yamlContent.split('\n');
-    const matches = lines
-      .map((line, index) => ({ line, index }))
-      .filter(({ line }) => line.toLowerCase().includes(searchTerm.toLowerCase()));
-    setHighlightedLines(matches.map(m => m.index));
-    setCurrentMatch(0);
-
-    // Scroll to first match if there are any matches
-    if (matches.length > 0 && preRef.current) {
-      const firstMatch = preRef.current.querySelector(`div:nth-child(${matches[0].index + 1})`);
-      if (firstMatch) {
-        firstMatch.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
-    }
-  }, [searchTerm, yamlContent]);
-
-  // Scroll to the current match when it changes
-  useEffect(() => {
-    if (highlightedLines.length > 0 && preRef.current) {
-      const matchLine = highlightedLines[currentMatch];
-      const matchElem = preRef.current.querySelector(`div:nth-child(${matchLine + 1})`);
-      if (matchElem) {
-        matchElem.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
-    }
-  }, [currentMatch, highlightedLines]);
-
-  const handleNext = () => {
-    if (highlightedLines.length === 0) return;
-    setCurrentMatch((prev) => (prev + 1) % highlightedLines.length);
-  };
-  const handleBack = () => {
-    if (highlightedLines.length === 0) return;
-    setCurrentMatch((prev) => (prev - 1 + highlightedLines.length) % highlightedLines.length);
-  };
-
-  if (!resource) return null;
-
-  return (
-    <div 
-      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
-      onClick={onClose}
-    >
-      <div 
-        className="bg-white rounded-xl w-full max-w-4xl h-[80vh] flex flex-col overflow-hidden shadow-2xl"
-        onClick={e => e.stopPropagation()}
-      >
-        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
-          <h3 className="text-lg font-medium text-gray-900">
-            {resource.kind}/{resource.metadata.name}
-          </h3>
-          <button 
-            onClick={onClose}
-            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
-          >
-            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
-        </div>
-        <div className="p-4 border-b border-gray-200">
-          <div className="relative flex items-center gap-2">
-            <input
-              type="text"
-              placeholder="You know, for search..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            />
-            {searchTerm && (
-              <>
-                <button
-                  onClick={handleBack}
-                  className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-gray-200 text-gray-600"
-                  title="Previous match"
-                >
-                  &#8592;
-                </button>
-                <span className="text-xs text-gray-500 select-none">
-                  {highlightedLines.length > 0 ? `${currentMatch + 1} of ${highlightedLines.length}` : '0 of 0'}
-                </span>
-                <button
-                  onClick={handleNext}
-                  className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-gray-200 text-gray-600"
-                  title="Next match"
-                >
-                  &#8594;
-                </button>
-                <button
-                  onClick={() => setSearchTerm('')}
-                  className="ml-2 text-gray-400 hover:text-gray-600"
-                  title="Clear search"
-                >
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                  </svg>
-                </button>
-              </>
-            )}
-          </div>
-        </div>
-        <div className="flex-1 overflow-auto p-6">
-          <pre ref={preRef} className="bg-gray-50 rounded-lg p-4 text-sm font-mono text-gray-800 whitespace-pre">
-            {yamlContent.split('\n').map((line, index) => (
-              <div 
-                key={index}
-                className={
-                  highlightedLines.includes(index)
-                    ? (highlightedLines[currentMatch] === index
-                        ? 'bg-yellow-300' // Active match
-                        : 'bg-yellow-100') // Other matches
-                    : ''
-                }
-              >
-                {line}
-              </div>
-            ))}
-          </pre>
-        </div>
-      </div>
-    </div>
-  );
-};
-
 // Helper to get the status message for a condition type
 function getStatusMessage(resource, type) {
   const cond = resource.status?.conditions?.find(c => c.type === type);
   return cond?.message || cond?.reason || 'No status message available';
 }
 
-const ResourceRow = ({ resource, depth = 0, isLast = false }) => {
+// Whether a resource with the given UID is somewhere in a dependency tree
+function containsResource(resources, uid) {
+  return (resources || []).some(r => r.metadata?.uid === uid || containsResource(r.dependencies, uid));
+}
+
+// context is the one the trace was read from
+const ResourceRow = ({ resource, context, depth = 0, isLast = false, focus = null }) => {
   const [showYAML, setShowYAML] = useState(false);
   // Only for managed resources (depth >= 3)
   const isManaged = depth >= 3 && Array.isArray(resource.dependencies) && resource.dependencies.length > 0;
   // Always start expanded in Trace View
   const [collapsed, setCollapsed] = useState(false);
+  const rowRef = useRef(null);
+  const isFocused = Boolean(focus) && focus.uid === resource.metadata?.uid;
+  const holdsFocus = Boolean(focus) && containsResource(resource.dependencies, focus.uid);
+
+  // Bring the resource picked from the events timeline into view, expanding
+  // this row if it's hidden underneath
+  useEffect(() => {
+    if (isFocused) {
+      rowRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    } else if (holdsFocus) {
+      setCollapsed(false);
+    }
+  }, [focus, isFocused, holdsFocus]);
 
   // Get the composition resource name from the resource
   const getResourceName = (resource) => {
@@ -786,7 +710,7 @@ const ResourceRow = ({ resource, depth = 0, isLast = false }) => {
 
   return (
     <>
-      <tr className="hover:bg-white group cursor-pointer">
+      <tr ref={rowRef} className={`${isFocused ? 'bg-yellow-100' : 'hover:bg-white'} group cursor-pointer`}>
         <td className="px-4 py-2 text-gray-600" style={{ paddingLeft: `${16 + depth * 24}px`, whiteSpace: 'pre', display: 'flex', alignItems: 'center' }} onClick={() => setShowYAML(true)}>
           {depth > 0 ? (isLast ? '└─ ' : '├─ ') : ''}
           {/* Chevron for managed resources with children */}
@@ -821,7 +745,12 @@ const ResourceRow = ({ resource, depth = 0, isLast = false }) => {
       {showYAML && (
         <tr>
           <td colSpan={5} className="bg-white p-0">
-            <YAMLModal resource={resource} onClose={() => setShowYAML(false)} />
+            <YAMLModal
+              resource={resource}
+              context={context}
+              onClose={() => setShowYAML(false)}
+              editable={depth <= 1 || Array.isArray(resource.spec?.resourceRefs)}
+            />
           </td>
         </tr>
       )}
@@ -830,19 +759,56 @@ const ResourceRow = ({ resource, depth = 0, isLast = false }) => {
         <ResourceRow
           key={`${child.kind}-${child.metadata.name}-${idx}`}
           resource={child}
+          context={context}
           depth={depth + 1}
           isLast={idx === resource.dependencies.length - 1}
+          focus={focus}
         />
       ))}
     </>
   );
 };
 
-const TraceModal = ({ isOpen, onClose, claim }) => {
+// Save a trace as JSON through the browser's download
+function downloadTraceFile(traceData) {
+  const data = {
+    claim: traceData.claim,
+    composite: traceData.composite,
+    composition: traceData.composition,
+    managedResources: traceData.managedResources
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${traceData.claim.kind}-${traceData.claim.metadata.name}-trace.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// focusRequest opens the modal on a tab ({ tab }, the tree by default) or
+// with a resource highlighted in the tree ({ uid })
+const TraceModal = ({ isOpen, onClose, claim, live, focusRequest = null }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('trace');
   const [traceData, setTraceData] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  // Resource picked from the events timeline, highlighted in the tree or graph
+  const [focus, setFocus] = useState(null);
+  const traceRef = useRef(null);
+  const claimRef = useRef(claim);
+  traceRef.current = traceData;
+  claimRef.current = claim;
+
+  // The collections to watch, as a stable key so we only resubscribe when
+  // the set of kinds in the trace changes
+  const watchTargets = useMemo(() => getTraceWatchTargets(traceData), [traceData]);
+  const watchKey = watchTargets.kinds.map(({ apiVersion, kind }) => `${apiVersion}|${kind}`).sort().join(',');
+  // The context the claim, and so everything in its trace, lives in
+  const context = claim?.claimContext;
 
   useEffect(() => {
     if (!isOpen || !claim) return;
@@ -853,7 +819,7 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
       try {
         // This one call does everything: follows spec.resourceRefs,
         // status.resourceRefs, status.resources, ownerRefs, connection details, events, etc.
-        const fullTrace = await fetchResourceTrace(claim);
+        const fullTrace = await fetchResourceTrace(claim, claim.claimContext);
         setTraceData(fullTrace);
       } catch (err) {
         setError(err.message);
@@ -863,7 +829,86 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
     };
   
     fetchTrace();
-  }, [isOpen, claim?.metadata?.uid]);
+  }, [isOpen, claim?.metadata?.uid, claim?.claimContext]);
+
+  // Re-run the trace in place when the XR's resource refs change
+  useEffect(() => {
+    if (!reloadKey || !isOpen || !claimRef.current) return;
+
+    fetchResourceTrace(claimRef.current, claimRef.current.claimContext)
+      .then(setTraceData)
+      .catch(err => console.warn('Failed to reload trace:', err));
+  }, [reloadKey, isOpen]);
+
+  // Pick up changes to the claim itself from the claim list
+  useEffect(() => {
+    if (!claim?.metadata?.uid) return;
+    setTraceData(prev => prev?.claim?.metadata?.uid === claim.metadata.uid
+      ? updateTraceResource(prev, claim)
+      : prev);
+  }, [claim]);
+
+  // Apply watch events for the XR and managed resources to the open trace
+  useEffect(() => {
+    if (!isOpen || !live || !watchKey) return;
+
+    let cancelled = false;
+    const unsubscribers = [];
+
+    const applyUpdate = (object) => {
+      const current = traceRef.current;
+      const isComposite = current?.composite?.metadata?.uid === object.metadata.uid;
+      if (isComposite && JSON.stringify(current.composite.spec?.resourceRefs) !== JSON.stringify(object.spec?.resourceRefs)) {
+        setReloadKey(key => key + 1);
+        return;
+      }
+      setTraceData(prev => updateTraceResource(prev, object));
+    };
+
+    const handleEvent = (event) => {
+      const uids = getTraceWatchTargets(traceRef.current).uids;
+      if (event.type === 'SYNC') {
+        event.items
+          .filter(item => uids.has(item.metadata?.uid))
+          .forEach(applyUpdate);
+      } else if (uids.has(event.object?.metadata?.uid)) {
+        if (event.type === 'DELETED') {
+          setTraceData(prev => removeTraceResource(prev, event.object.metadata.uid));
+        } else {
+          applyUpdate(event.object);
+        }
+      }
+    };
+
+    watchKey.split(',').forEach(async (target) => {
+      const [apiVersion, kind] = target.split('|');
+      const resolved = await resolveResource(apiVersion, kind, context);
+      if (!cancelled) {
+        unsubscribers.push(watchResource(buildResourcePath(resolved), handleEvent, context));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [isOpen, live, watchKey, context]);
+
+  useEffect(() => {
+    if (!isOpen || !focusRequest) return;
+    setFocus(focusRequest.uid ? { uid: focusRequest.uid } : null);
+    setActiveTab(focusRequest.tab || 'trace');
+  }, [isOpen, focusRequest]);
+
+  const selectTab = (tab) => {
+    setFocus(null);
+    setActiveTab(tab);
+  };
+
+  const showResource = (resource, tab) => {
+    setFocus({ uid: resource.uid });
+    setActiveTab(tab);
+  };
 
   if (!isOpen) return null;
 
@@ -882,21 +927,35 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
             <h3 className="text-xl font-semibold text-gray-900">Resource Trace</h3>
             <p className="text-sm text-gray-500 mt-1">Showing the complete resource hierarchy</p>
           </div>
-          <button 
-            onClick={onClose}
-            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
-          >
-            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
+          <div className="flex items-center space-x-2">
+            {claim?.claimContext && (
+              <CopyLinkButton
+                link={buildClaimLink({
+                  context: claim.claimContext,
+                  namespace: claim.claimNamespace,
+                  kind: claim.kind,
+                  name: claim.metadata.name,
+                  tab: activeTab
+                })}
+                className="px-3 py-2 text-sm font-medium text-gray-600 rounded-lg hover:bg-gray-100 transition-colors"
+              />
+            )}
+            <button 
+              onClick={onClose}
+              className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+            >
+              <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
         </div>
 
         {/* Tabs */}
         <div className="border-b border-gray-200 bg-white shrink-0">
           <div className="flex">
             <button
-              onClick={() => setActiveTab('trace')}
+              onClick={() => selectTab('trace')}
               className={`px-4 py-2 text-sm font-medium ${
                 activeTab === 'trace'
                   ? 'text-blue-600 border-b-2 border-blue-600'
@@ -906,7 +965,7 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
               Trace View
             </button>
             <button
-              onClick={() => setActiveTab('graph')}
+              onClick={() => selectTab('graph')}
               className={`px-4 py-2 text-sm font-medium ${
                 activeTab === 'graph'
                   ? 'text-blue-600 border-b-2 border-blue-600'
@@ -915,6 +974,16 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
             >
               Graph View
             </button>
+            <button
+              onClick={() => selectTab('events')}
+              className={`px-4 py-2 text-sm font-medium ${
+                activeTab === 'events'
+                  ? 'text-blue-600 border-b-2 border-blue-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              Events
+            </button>
           </div>
         </div>
         
@@ -944,23 +1013,7 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
                         <th className="px-4 py-2 text-left text-sm font-medium text-gray-600 flex items-center justify-between">
                           <span>STATUS</span>
                           <button
-                            onClick={() => {
-                              const data = {
-                                claim: traceData.claim,
-                                composite: traceData.composite,
-                                composition: traceData.composition,
-                                managedResources: traceData.managedResources
-                              };
-                              const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-                              const url = URL.createObjectURL(blob);
-                              const a = document.createElement('a');
-                              a.href = url;
-                              a.download = `${traceData.claim.kind}-${traceData.claim.metadata.name}-trace.json`;
-                              document.body.appendChild(a);
-                              a.click();
-                              document.body.removeChild(a);
-                              URL.revokeObjectURL(url);
-                            }}
+                            onClick={() => downloadTraceFile(traceData)}
                             className="shrink-0 px-3 py-1 text-sm bg-blue-50 text-blue-600 rounded hover:bg-blue-100 flex items-center gap-1 ml-4"
                             style={{ float: 'right' }}
                           >
@@ -974,15 +1027,17 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
                     </thead>
                     <tbody className="divide-y divide-gray-200">
                       {/* Claim row */}
-                      <ResourceRow resource={traceData.claim} />
+                      <ResourceRow resource={traceData.claim} context={claim.claimContext} focus={focus} />
                       {/* Composite row */}
-                      <ResourceRow resource={traceData.composite} depth={1} />
+                      <ResourceRow resource={traceData.composite} context={claim.claimContext} depth={1} focus={focus} />
                       {/* Composition row */}
                       {traceData.composition && (
                         <ResourceRow 
                           resource={traceData.composition} 
+                          context={claim.claimContext}
                           depth={2} 
                           isLast={traceData.managedResources.length === 0}
+                          focus={focus}
                         />
                       )}
                       {/* Managed resources tree */}
@@ -990,18 +1045,22 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
                         <ResourceRow
                           key={`${resource.kind}-${resource.metadata.name}`}
                           resource={resource}
+                          context={claim.claimContext}
                           depth={3}
                           isLast={index === traceData.managedResources.length - 1}
+                          focus={focus}
                         />
                       ))}
                     </tbody>
                   </table>
                 </div>
               </div>
-            ) : (
+            ) : activeTab === 'graph' ? (
               <div className="h-full bg-gray-50 rounded-lg border border-gray-200 overflow-hidden">
-                <GraphView traceData={traceData} />
+                <GraphView traceData={traceData} focus={focus} />
               </div>
+            ) : (
+              <EventsTimeline traceData={traceData} onSelectResource={showResource} />
             )
           )}
         </div>
@@ -1010,39 +1069,62 @@ const TraceModal = ({ isOpen, onClose, claim }) => {
   );
 };
 
-// Collapsible Namespace list
-const NamespaceList = ({ namespaces, claimsByNamespace, onSelectClaim }) => {
-  // Initialize with all namespaces expanded by default
-  const [expandedNamespaces, setExpandedNamespaces] = useState(() => new Set(namespaces));
-  const [isAllExpanded, setIsAllExpanded] = useState(true);
+// Rough row heights until the rows are drawn and measured
+const estimateClaimListRow = (row) => {
+  if (row.type === 'group') return row.depth === 0 ? 72 : 64;
+  const match = row.match;
+  const matchLines = match ? Math.min(match.spec.length, 3) + Math.min(match.messages.length, 2) : 0;
+  return 120 + matchLines * 16;
+};
+
+// Collapsible list of claim groups, nested when grouping by more than one
+// field. All groups start expanded. Groups and claims are flattened into
+// rows for a virtual list, so only the claims in view are drawn.
+const ClaimGroupList = ({ groups, title, onSelectClaim, showContext = false, searchMatches }) => {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const isAllExpanded = collapsed.size === 0;
 
-  const toggleNamespace = (namespace) => {
-    setExpandedNamespaces(prev => {
+  const toggleGroup = (key) => {
+    setCollapsed(prev => {
       const newSet = new Set(prev);
-      if (newSet.has(namespace)) {
-        newSet.delete(namespace);
+      if (newSet.has(key)) {
+        newSet.delete(key);
       } else {
-        newSet.add(namespace);
+        newSet.add(key);
       }
       return newSet;
     });
   };
 
-  const toggleAllNamespaces = () => {
-    if (isAllExpanded) {
-      setExpandedNamespaces(new Set());
+  const toggleAllGroups = () => {
+    const allKeys = (list) => list.flatMap(group => [group.key, ...allKeys(group.children || [])]);
+    setCollapsed(isAllExpanded ? new Set(allKeys(groups)) : new Set());
+  };
+
+  const rows = [];
+  const addGroups = (list, depth) => list.forEach(group => {
+    rows.push({ type: 'group', key: `group:${group.key}`, group, depth });
+    if (collapsed.has(group.key)) return;
+    if (group.children) {
+      addGroups(group.children, depth + 1);
     } else {
-      setExpandedNamespaces(new Set(namespaces));
+      group.claims.forEach(claim => rows.push({
+        type: 'claim',
+        key: `claim:${getClaimKey(claim)}`,
+        claim,
+        depth,
+        match: searchMatches?.get(getClaimKey(claim))
+      }));
     }
-    setIsAllExpanded(!isAllExpanded);
-  };
+  });
+  addGroups(groups, 0);
 
   return (
-    <div>
-      <div className="flex justify-between items-center mb-4">
-        <h2 className="text-2xl font-semibold text-gray-900">Namespaces</h2>
+    <div className="h-full flex flex-col">
+      <div className="flex justify-between items-center mb-4 shrink-0">
+        <h2 className="text-2xl font-semibold text-gray-900">{title}</h2>
         <button
-          onClick={toggleAllNamespaces}
+          onClick={toggleAllGroups}
           className="flex items-center space-x-2 px-4 py-2 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
         >
           <svg 
@@ -1056,28 +1138,34 @@ const NamespaceList = ({ namespaces, claimsByNamespace, onSelectClaim }) => {
         </button>
       </div>
       
-      {namespaces.map(namespace => (
-        <CollapsibleNamespace
-          key={namespace}
-          namespace={namespace}
-          claims={claimsByNamespace[namespace]}
-          isExpanded={expandedNamespaces.has(namespace)}
-          onToggle={() => toggleNamespace(namespace)}
-          onSelectClaim={onSelectClaim}
-        />
-      ))}
+      <VirtualList
+        className="flex-1 min-h-0"
+        items={rows}
+        getKey={row => row.key}
+        estimateHeight={estimateClaimListRow}
+        renderItem={row => row.type === 'group' ? (
+          <GroupHeader
+            group={row.group}
+            depth={row.depth}
+            isExpanded={!collapsed.has(row.group.key)}
+            onToggle={() => toggleGroup(row.group.key)}
+          />
+        ) : (
+          <div className="pb-2" style={{ paddingLeft: (row.depth + 1) * 16 }}>
+            <ClaimCard claim={row.claim} match={row.match} showContext={showContext} onSelect={onSelectClaim} />
+          </div>
+        )}
+      />
     </div>
   );
 };
 
-const NamespaceStatusIndicator = ({ claims }) => {
+// Ready and synced counts over every claim in a group, nested groups included
+const GroupStatusIndicator = ({ claims }) => {
   // Calculate status counts
   const statusCounts = claims.reduce((acc, claim) => {
-    const readyStatus = claim.status?.conditions?.find(c => c.type === 'Ready')?.status === 'True';
-    const syncedStatus = claim.status?.conditions?.find(c => c.type === 'Synced')?.status === 'True';
-    
-    if (readyStatus) acc.ready++;
-    if (syncedStatus) acc.synced++;
+    if (isConditionTrue(claim, 'Ready')) acc.ready++;
+    if (isConditionTrue(claim, 'Synced')) acc.synced++;
     
     return acc;
   }, { ready: 0, synced: 0 });
@@ -1123,10 +1211,11 @@ const NamespaceStatusIndicator = ({ claims }) => {
   );
 };
 
-// Only show namespace status indicators when collapsed
-const CollapsibleNamespace = ({ namespace, claims, isExpanded, onToggle, onSelectClaim }) => {
+// A group's header row in the claims list
+const GroupHeader = ({ group, depth, isExpanded, onToggle }) => {
+  const { claims } = group;
   return (
-    <div className="mb-4">
+    <div className={depth === 0 ? 'pt-2 pb-2' : 'pb-2'} style={{ paddingLeft: depth * 16 }}>
       <div 
         className="flex items-center justify-between bg-white rounded-lg px-4 py-2 shadow-sm cursor-pointer hover:bg-gray-50 transition-colors"
         onClick={onToggle}
@@ -1140,102 +1229,414 @@ const CollapsibleNamespace = ({ namespace, claims, isExpanded, onToggle, onSelec
             <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
           </svg>
           <div>
-            <h3 className="text-lg font-medium text-gray-900">
-              {namespace}
+            <h3 className={`${depth === 0 ? 'text-lg' : 'text-base'} font-medium text-gray-900`}>
+              {group.value}
             </h3>
             <div className="text-sm text-gray-500">
               {claims.length} {claims.length === 1 ? 'resource' : 'resources'}
             </div>
           </div>
         </div>
-        {/* Only show namespace status when collapsed */}
-        {!isExpanded && <NamespaceStatusIndicator claims={claims} />}
+        {/* Only show group status when collapsed */}
+        {!isExpanded && <GroupStatusIndicator claims={claims} />}
       </div>
-      {isExpanded && (
-        <div className="mt-2 space-y-2 pl-4">
-          {claims.map((xr) => (
-            <div
-              key={xr.metadata.uid}
-              onClick={() => onSelectClaim(xr)}
-              className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 hover:border-blue-500 hover:shadow-md transition-all cursor-pointer"
-            >
-              <div className="flex items-center justify-between">
-                <h4 className="text-lg font-medium text-blue-600">{xr.metadata.name}</h4>
-                <div className="flex items-center space-x-3">
-                  {/* Pill-shaped Ready badge */}
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                    xr.status?.conditions?.find(c => c.type === 'Ready')?.status === 'True'
-                      ? 'bg-green-100 text-green-800'
-                      : 'bg-red-100 text-red-800'
-                  }`}>
-                    Ready
-                  </span>
-                  {/* Pill-shaped Synced badge */}
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                    xr.status?.conditions?.find(c => c.type === 'Synced')?.status === 'True'
-                      ? 'bg-green-100 text-green-800'
-                      : 'bg-red-100 text-red-800'
-                  }`}>
-                    Synced
-                  </span>
-                </div>
-              </div>
-              <div className="mt-2 text-sm text-gray-600">Kind: {xr.kind}</div>
-              <div className="mt-1 text-xs text-gray-400">
-                Created: {new Date(xr.metadata.creationTimestamp).toLocaleString()}
-              </div>
+    </div>
+  );
+};
+
+// A claim in the list, with what a search matched in it
+const ClaimCard = ({ claim: xr, match, showContext, onSelect }) => {
+  return (
+    <div
+      onClick={() => onSelect(xr)}
+      className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 hover:border-blue-500 hover:shadow-md transition-all cursor-pointer"
+    >
+      <div className="flex items-center justify-between">
+        <h4 className="text-lg font-medium text-blue-600">
+          <Highlight text={xr.metadata.name} terms={match?.text} />
+        </h4>
+        <div className="flex items-center space-x-3">
+          {/* Pill-shaped Ready badge */}
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            xr.status?.conditions?.find(c => c.type === 'Ready')?.status === 'True'
+              ? 'bg-green-100 text-green-800'
+              : 'bg-red-100 text-red-800'
+          }`}>
+            Ready
+          </span>
+          {/* Pill-shaped Synced badge */}
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            xr.status?.conditions?.find(c => c.type === 'Synced')?.status === 'True'
+              ? 'bg-green-100 text-green-800'
+              : 'bg-red-100 text-red-800'
+          }`}>
+            Synced
+          </span>
+        </div>
+      </div>
+      <div className="mt-2 flex items-center space-x-2 text-sm text-gray-600">
+        <span>Kind: {xr.kind}</span>
+        {showContext && (
+          <span className="inline-flex items-center px-2 py-0.5 rounded bg-indigo-50 text-xs font-medium text-indigo-700" title="Kubernetes context">
+            {xr.claimContext}
+          </span>
+        )}
+      </div>
+      {match && (match.spec.length > 0 || match.messages.length > 0) && (
+        <div className="mt-2 space-y-0.5 text-xs text-gray-600">
+          {match.spec.slice(0, 3).map(({ path, value }) => (
+            <div key={path} className="truncate">
+              <span className="font-mono text-gray-400">spec.{path}:</span> <Highlight text={value} terms={match.text} />
+            </div>
+          ))}
+          {match.messages.slice(0, 2).map(({ message, term }) => (
+            <div key={message} className="truncate">
+              <Highlight text={message} terms={[term]} />
             </div>
           ))}
         </div>
       )}
+      <div className="mt-1 text-xs text-gray-400">
+        Created: {new Date(xr.metadata.creationTimestamp).toLocaleString()}
+      </div>
     </div>
   );
 };
 
+// Per-context claim and health counts shown in fleet mode. Clicking a context
+// toggles it in the context filter.
+const FleetHealthSummary = ({ contexts, claims, errors, selectedContexts, onToggleContext }) => {
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+      {contexts.map(context => {
+        const contextClaims = claims.filter(claim => claim.claimContext === context);
+        const ready = contextClaims.filter(claim => isConditionTrue(claim, 'Ready')).length;
+        const synced = contextClaims.filter(claim => isConditionTrue(claim, 'Synced')).length;
+        const isSelected = selectedContexts.includes(context);
+        const health = errors[context]
+          ? 'bg-gray-400'
+          : ready === contextClaims.length ? 'bg-green-500' : ready === 0 ? 'bg-red-500' : 'bg-yellow-500';
+
+        return (
+          <button
+            key={context}
+            onClick={() => onToggleContext(context)}
+            className={`text-left rounded-lg border px-3 py-2 transition-colors ${
+              isSelected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white hover:border-blue-300'
+            }`}
+          >
+            <div className="flex items-center space-x-2">
+              <div className={`w-2 h-2 rounded-full shrink-0 ${health}`} />
+              <span className="text-sm font-medium text-gray-900 truncate" title={context}>{context}</span>
+            </div>
+            {errors[context] ? (
+              <div className="mt-1 text-xs text-red-600 truncate" title={errors[context]}>{errors[context]}</div>
+            ) : (
+              <div className="mt-1 text-xs text-gray-500">
+                {contextClaims.length} claims · {ready} ready · {synced} synced
+              </div>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Fetch the claims of several contexts side by side, tagging each claim with
+// its context. A cluster that can't be reached doesn't hide the others.
+const fetchFleetClaims = async (contexts, onProgress) => {
+  // Partial results per context, reported together as { claims, loaded,
+  // total, pending } where pending names the claim kinds still loading
+  const progress = contexts.map(() => null);
+  const report = (index, contextProgress) => {
+    progress[index] = contextProgress;
+    const known = progress.filter(Boolean);
+    onProgress({
+      claims: known.flatMap(p => p.claims),
+      loaded: known.reduce((sum, p) => sum + p.loaded, 0),
+      total: known.reduce((sum, p) => sum + p.total, 0),
+      pending: known.flatMap(p => p.pending)
+    });
+  };
+
+  const results = await Promise.allSettled(contexts.map((context, index) => fetchCompositeResources(context, {
+    onProgress: onProgress && (({ claims, loaded, total, pending }) => report(index, {
+      claims: claims.map(claim => ({ ...claim, claimContext: context })),
+      loaded,
+      total,
+      pending: contexts.length > 1 ? pending.map(kind => `${kind} (${context})`) : pending
+    }))
+  })));
+
+  const claims = [];
+  const errors = {};
+  results.forEach((result, index) => {
+    const context = contexts[index];
+    if (result.status === 'fulfilled') {
+      claims.push(...result.value.map(claim => ({ ...claim, claimContext: context })));
+    } else {
+      errors[context] = result.reason?.message || 'Failed to load claims';
+    }
+  });
+
+  if (contexts.length > 0 && Object.keys(errors).length === contexts.length) {
+    throw new Error(errors[contexts[0]]);
+  }
+  return { claims, errors };
+};
+
+// Identifies a claim across contexts, for keys and lookups
+const getClaimKey = (claim) => `${claim.claimContext}/${claim.metadata.uid}`;
+
+const isSameClaim = (a, b) => a.metadata.uid === b.metadata.uid && a.claimContext === b.claimContext;
+
+// Apply a claim watch event from a context to the claim list. SYNC replaces
+// every claim the watch covers; the other events upsert or remove a single
+// claim by UID.
+const applyClaimEvent = (claims, event, kind, group, context) => {
+  const withNamespace = claim => ({ ...claim, claimNamespace: claim.metadata.namespace, claimContext: context });
+
+  switch (event.type) {
+    case 'SYNC':
+      return [
+        ...claims.filter(claim => !(
+          claim.claimContext === context && claim.kind === kind && claim.apiVersion?.startsWith(`${group}/`)
+        )),
+        ...event.items.map(withNamespace)
+      ];
+    case 'DELETED':
+      return claims.filter(claim => !isSameClaim(claim, withNamespace(event.object)));
+    case 'ADDED':
+    case 'MODIFIED': {
+      const index = claims.findIndex(claim => isSameClaim(claim, withNamespace(event.object)));
+      if (index === -1) {
+        return [...claims, withNamespace(event.object)];
+      }
+      const next = [...claims];
+      next[index] = withNamespace(event.object);
+      return next;
+    }
+    default:
+      return claims;
+  }
+};
+
+// Top-level views, switched from the header
+const VIEWS = [
+  { id: 'claims', label: 'Claims' },
+  { id: 'managed', label: 'Managed Resources' },
+  { id: 'compositions', label: 'Compositions' },
+  { id: 'xrds', label: 'XRDs' },
+  { id: 'packages', label: 'Packages' },
+  { id: 'health', label: 'Health' }
+];
+
+// How the claims list is grouped until the user picks something else
+const DEFAULT_GROUP_BY = ['namespace'];
+
+// How long the claim list has to settle before its health is recorded and
+// checked for notifications
+const LIST_SETTLE_DELAY_MS = 2000;
+
+// How many claim searches to remember
+const MAX_RECENT_SEARCHES = 8;
+
+// The modifier for app-wide shortcuts: Cmd on macOS, Ctrl elsewhere
+const MOD_KEY = /Mac/.test(navigator.platform) ? '⌘' : 'Ctrl';
+
+// Keyboard shortcuts, for the cheat sheet. Single keys only apply when
+// nothing is being typed and no dialog is open; see handleShortcut.
+const SHORTCUTS = [
+  { keys: [MOD_KEY, 'K'], label: 'Command palette' },
+  { keys: [MOD_KEY, ','], label: 'Preferences' },
+  { keys: ['?'], label: 'Keyboard shortcuts' },
+  { keys: ['R'], label: 'Refresh' },
+  { keys: ['L'], label: 'Toggle live updates' },
+  { keys: ['T'], label: 'Open the selected claim\'s trace' },
+  { keys: ['G'], label: 'Open the selected claim\'s graph' },
+  { keys: ['D'], label: 'Download the selected claim\'s trace' },
+  { keys: ['N'], label: 'New claim' },
+  { keys: [`1-${VIEWS.length}`], label: 'Switch view' }
+];
+
+// Whether a key press is going into a text field rather than the app
+const isTyping = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
 // Main application component
 export default function Home() {
   // State management
+  const [view, setView] = useState('claims');
   const [xrs, setXrs] = useState([]);
   const [selectedClaim, setSelectedClaim] = useState(null);
   const [showYaml, setShowYaml] = useState(false);
   const [selectedNamespace, setSelectedNamespace] = useState('all');
   const [selectedKinds, setSelectedKinds] = useState([]);
+  const [searchText, setSearchText] = useState('');
+  // Grouping ids for the claims list, one per level, at most two
+  const [groupBy, setGroupBy] = useState(DEFAULT_GROUP_BY);
   const [showTraceModal, setShowTraceModal] = useState(false);
+  const [traceFocus, setTraceFocus] = useState(null);
   const [kubeContexts, setKubeContexts] = useState([]);
   const [currentContext, setCurrentContext] = useState('');
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const [isPolling, setIsPolling] = useState(true);
-  const [pollInterval, setPollInterval] = useState(30000); // 30 seconds default
-
-  // Load resources for the current context
+  const [isLive, setIsLive] = useState(true);
+  const [showNewClaim, setShowNewClaim] = useState(false);
+  const [isEditingYaml, setIsEditingYaml] = useState(false);
+  // Snapshot of the claim being deleted, so live updates don't disturb the modal
+  const [claimToDelete, setClaimToDelete] = useState(null);
+  // Fleet mode: claims from several contexts at once. Empty means only the
+  // current context is listed.
+  const [fleetContexts, setFleetContexts] = useState([]);
+  const [showFleetPicker, setShowFleetPicker] = useState(false);
+  const [selectedContexts, setSelectedContexts] = useState([]);
+  const [contextErrors, setContextErrors] = useState({});
+  // Persisted settings, null until loaded so nothing is saved over them first
+  const [settings, setSettings] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  // A remembered claim to select once the context's claims are listed
+  const [pendingSelection, setPendingSelection] = useState(null);
+  // While claims load: { loaded, total, pending } XRDs
+  const [loadProgress, setLoadProgress] = useState(null);
+  const loadIdRef = useRef(0);
+  // The contexts whose claims were last listed completely
+  const listedContextsRef = useRef(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showRequestCache, setShowRequestCache] = useState(false);
+  // Opened from the palette: a resource to show as YAML, and a composition
+  // to select in the compositions view
+  const [paletteResource, setPaletteResource] = useState(null);
+  const [compositionRequest, setCompositionRequest] = useState(null);
+  // Bumped whenever new health history is recorded, so charts reload
+  const [healthRevision, setHealthRevision] = useState(0);
+
+  const isFleet = fleetContexts.length > 0;
+  const settingsReady = settings !== null;
+  const listKey = isFleet ? fleetContexts.join('\n') : currentContext;
+  const listContexts = useMemo(() => listKey.split('\n').filter(Boolean), [listKey]);
+  const searchQuery = useMemo(() => parseClaimQuery(searchText), [searchText]);
+
+  // Load resources for the listed contexts
   const loadResources = useCallback(async () => {
-    if (!currentContext) return;
+    if (listContexts.length === 0) return;
+    // A newer load, e.g. after switching context, makes this one stale
+    const loadId = ++loadIdRef.current;
+    const isCurrent = () => loadId === loadIdRef.current;
     
     try {
       setIsLoading(true);
-      const resources = await fetchCompositeResources();
-      setXrs(resources);
+      // Show claims as each XRD finishes loading
+      const { claims, errors } = await fetchFleetClaims(listContexts, (progress) => {
+        if (!isCurrent()) return;
+        setXrs(progress.claims);
+        setLoadProgress(progress);
+      });
+      if (!isCurrent()) return;
+      setXrs(claims);
+      setContextErrors(errors);
       setError(null);
+      listedContextsRef.current = listContexts;
+
+      // After a context switch, keep the selected claim if the new context
+      // has the same one, with its UI state
+      setSelectedClaim(prev => {
+        if (!prev || listContexts.includes(prev.claimContext)) return prev;
+        const matchingClaim = claims.find(claim =>
+          claim.kind === prev.kind &&
+          claim.metadata.name === prev.metadata.name &&
+          claim.claimNamespace === prev.claimNamespace
+        );
+        return matchingClaim ? { ...matchingClaim, _uiState: prev._uiState || {} } : null;
+      });
     } catch (err) {
+      if (!isCurrent()) return;
+      listedContextsRef.current = null;
       setError(err.message);
       // Clear stale data when there's an error
       setXrs([]);
+      setContextErrors({});
       setSelectedClaim(null);
       console.error('Failed to load Crossplane resources:', err);
     } finally {
-      setIsLoading(false);
+      if (isCurrent()) {
+        setIsLoading(false);
+        setLoadProgress(null);
+      }
     }
-  }, [currentContext]);
+  }, [listContexts]);
 
-  // Function to load kubeconfig and contexts
+  // Merge a patch into the persisted settings
+  const saveSettings = useCallback((patch) => {
+    updateSettings(patch)
+      .then(setSettings)
+      .catch(err => console.warn('Failed to save settings:', err));
+  }, []);
+
+  // Put back the filters and selection remembered for a context. Fleet mode
+  // lists several contexts, so nothing is remembered per context there.
+  const restoreContextState = useCallback((saved, contextName) => {
+    const preferences = saved?.preferences || {};
+    const remembered = saved?.contexts?.[contextName];
+    if (!remembered) return;
+
+    if (preferences.rememberFilters !== false) {
+      setSelectedNamespace(remembered.namespace || 'all');
+      setSelectedKinds(Array.isArray(remembered.kinds) ? remembered.kinds : []);
+    }
+    if (preferences.rememberSelection !== false && remembered.selectedClaim) {
+      setPendingSelection({ ...remembered.selectedClaim, context: contextName });
+    }
+  }, []);
+
+  // Apply saved settings to the UI: the last context, live updates, grouping,
+  // view, fleet and the context's filters. Used on start and when settings are
+  // imported or reset. Returns the context to use.
+  const applySavedSettings = useCallback(async (saved, contexts, contextName) => {
+    const isKnown = name => contexts.some(context => context.name === name);
+    const preferences = saved.preferences || {};
+    const savedFleet = (saved.fleetContexts || []).filter(isKnown);
+    if (preferences.restoreLastContext !== false && isKnown(saved.lastContext) && saved.lastContext !== contextName) {
+      await setContext(saved.lastContext);
+      contextName = saved.lastContext;
+    }
+    setIsLive(preferences.live !== false);
+    setGroupBy(Array.isArray(saved.groupBy) && saved.groupBy.length > 0 ? saved.groupBy : DEFAULT_GROUP_BY);
+    if (VIEWS.some(({ id }) => id === preferences.defaultView)) {
+      setView(preferences.defaultView);
+    }
+    setFleetContexts(savedFleet);
+    if (savedFleet.length === 0) {
+      restoreContextState(saved, contextName);
+    }
+    return contextName;
+  }, [restoreContextState]);
+
+  // Function to load kubeconfig and contexts, and the settings to start from
   const loadKubeConfig = useCallback(async () => {
     try {
       setIsLoading(true);
-      const config = await getKubeConfig();
-      setKubeContexts(config.contexts || []);
-      setCurrentContext(config.currentContext);
+      const [config, saved] = await Promise.all([
+        getKubeConfig(),
+        loadSettings().catch(err => {
+          console.warn('Failed to load settings:', err);
+          return null;
+        })
+      ]);
+      const contexts = config.contexts || [];
+      let contextName = config.currentContext;
+
+      if (saved) {
+        contextName = await applySavedSettings(saved, contexts, contextName);
+      }
+
+      setKubeContexts(contexts);
+      setCurrentContext(contextName);
+      setSettings(saved || {});
       setError(null);
     } catch (err) {
       setError(err.message);
@@ -1248,39 +1649,47 @@ export default function Home() {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [applySavedSettings]);
 
   // Function to refresh everything
   const refreshAll = useCallback(async () => {
     setIsRefreshing(true);
+    // A refresh asked for by the user shouldn't be served from the cache
+    listContexts.forEach(context => invalidateRequests(context));
     try {
       // Store current UI state
       const currentUIState = {
         showYaml,
         showTraceModal,
         selectedClaimId: selectedClaim?.metadata?.uid,
+        selectedClaimContext: selectedClaim?.claimContext,
         selectedClaimKind: selectedClaim?.kind,
         selectedClaimName: selectedClaim?.metadata?.name,
         selectedClaimNamespace: selectedClaim?.claimNamespace
       };
 
       // Refresh resources
-      const resources = await fetchCompositeResources();
+      const { claims: resources, errors } = await fetchFleetClaims(listContexts);
       setXrs(resources);
+      setContextErrors(errors);
 
       // If there was a selected claim, find it in the new resources
       if (currentUIState.selectedClaimId) {
-        const updatedClaim = resources.find(r => r.metadata.uid === currentUIState.selectedClaimId);
+        const updatedClaim = resources.find(r =>
+          r.metadata.uid === currentUIState.selectedClaimId && r.claimContext === currentUIState.selectedClaimContext
+        );
         if (updatedClaim) {
           // Fetch the latest details for the selected claim
           try {
             const latestClaim = await fetchSpecificClaim(
               currentUIState.selectedClaimKind,
               currentUIState.selectedClaimName,
-              currentUIState.selectedClaimNamespace
+              currentUIState.selectedClaimNamespace,
+              updatedClaim.claimContext
             );
             setSelectedClaim({
               ...latestClaim,
+              claimContext: updatedClaim.claimContext,
               _uiState: {
                 showYaml: currentUIState.showYaml,
                 showTraceModal: currentUIState.showTraceModal
@@ -1307,66 +1716,145 @@ export default function Home() {
     } finally {
       setIsRefreshing(false);
     }
-  }, [selectedClaim?.metadata?.uid, selectedClaim?.kind, selectedClaim?.metadata?.name, selectedClaim?.claimNamespace, showYaml, showTraceModal]);
+  }, [listContexts, selectedClaim?.metadata?.uid, selectedClaim?.claimContext, selectedClaim?.kind, selectedClaim?.metadata?.name, selectedClaim?.claimNamespace, showYaml, showTraceModal]);
 
-  // Set up polling effect for auto-refresh
+  // Live updates: in each listed context, watch XRDs so claim kinds can come
+  // and go, and watch each claim kind so individual claims are added, updated
+  // and removed in place
   useEffect(() => {
-    let pollTimer;
-    
-    const poll = async () => {
-      try {
-        // Store current UI state before refresh
-        const currentUIState = {
-          showYaml,
-          showTraceModal,
-          selectedClaimId: selectedClaim?.metadata?.uid
-        };
-
-        // Get fresh resources
-        const resources = await fetchCompositeResources();
-        setXrs(resources);
-
-        // Try to restore the selected claim if it still exists
-        if (currentUIState.selectedClaimId) {
-          const updatedClaim = resources.find(r => r.metadata.uid === currentUIState.selectedClaimId);
-          if (updatedClaim) {
-            // Keep the UI state when refreshing
-            setSelectedClaim({
-              ...updatedClaim,
-              _uiState: {
-                showYaml: currentUIState.showYaml,
-                showTraceModal: currentUIState.showTraceModal
-              }
-            });
-            // Restore UI state
-            setShowYaml(currentUIState.showYaml);
-            setShowTraceModal(currentUIState.showTraceModal);
-          }
+    if (!isLive) return;
+
+    const watchContext = (context) => {
+      const claimWatches = new Map();
+
+      const startClaimWatch = (xrd) => {
+        const claimNames = xrd.spec?.claimNames;
+        if (!claimNames?.kind || claimWatches.has(xrd.metadata.name)) return;
+
+        const group = xrd.spec.group;
+        const version = getReferenceableVersion(xrd);
+        const unsubscribe = watchResource(`/apis/${group}/${version}/${claimNames.plural}`, event => {
+          setXrs(prev => applyClaimEvent(prev, event, claimNames.kind, group, context));
+        }, context);
+        claimWatches.set(xrd.metadata.name, { kind: claimNames.kind, group, unsubscribe });
+      };
+
+      const stopClaimWatch = (xrdName) => {
+        const claimWatch = claimWatches.get(xrdName);
+        if (!claimWatch) return;
+
+        claimWatch.unsubscribe();
+        claimWatches.delete(xrdName);
+        setXrs(prev => applyClaimEvent(prev, { type: 'SYNC', items: [] }, claimWatch.kind, claimWatch.group, context));
+      };
+
+      const unwatchXrds = watchResource('/apis/apiextensions.crossplane.io/v1/compositeresourcedefinitions', event => {
+        if (event.type === 'SYNC') {
+          const names = new Set(event.items.map(xrd => xrd.metadata.name));
+          [...claimWatches.keys()].filter(name => !names.has(name)).forEach(stopClaimWatch);
+          event.items.forEach(startClaimWatch);
+        } else if (event.type === 'DELETED') {
+          stopClaimWatch(event.object.metadata.name);
+        } else {
+          startClaimWatch(event.object);
         }
-      } catch (error) {
-        console.error('Polling error:', error);
-      }
-    };
-    
-    // Start/stop polling based on settings
-    const startPolling = () => {
-      if (isPolling && currentContext) {
-        pollTimer = setInterval(poll, pollInterval);
-      }
+      }, context);
+
+      return () => {
+        unwatchXrds();
+        claimWatches.forEach(claimWatch => claimWatch.unsubscribe());
+      };
     };
-    
-    const stopPolling = () => {
-      if (pollTimer) {
-        clearInterval(pollTimer);
+
+    const stops = listContexts.map(watchContext);
+    return () => stops.forEach(stop => stop());
+  }, [listContexts, isLive]);
+
+  // Keep the selected claim in step with live updates to the list
+  useEffect(() => {
+    setSelectedClaim(prev => {
+      if (!prev) return prev;
+      const latest = xrs.find(xr => isSameClaim(xr, prev));
+      if (!latest || latest.metadata.resourceVersion === prev.metadata.resourceVersion) return prev;
+      return { ...latest, _uiState: prev._uiState };
+    });
+  }, [xrs]);
+
+  // Once the list settles, record claim health for the history charts and
+  // check it for notifications. A partly loaded list would look like claims
+  // disappearing, so only after the listed contexts have loaded completely.
+  useEffect(() => {
+    if (loadProgress || listedContextsRef.current !== listContexts) return;
+    const timer = setTimeout(async () => {
+      // An unreachable context isn't a context without claims, so it's null
+      const byContext = new Map(listContexts.map(context => [context, contextErrors[context] ? null : []]));
+      xrs.forEach(claim => byContext.get(claim.claimContext)?.push(claim));
+
+      updateClaimNotifications(byContext)
+        .catch(err => console.error('Error updating claim notifications:', err));
+
+      let recorded = 0;
+      for (const [context, claims] of byContext) {
+        if (!claims) continue;
+        try {
+          recorded += await recordClaimHealth(context, claims);
+        } catch (err) {
+          console.error(`Error recording claim health for ${context}:`, err);
+        }
       }
-    };
-    
-    startPolling();
-    
-    return () => {
-      stopPolling();
-    };
-  }, [isPolling, pollInterval, currentContext, selectedClaim?.metadata?.uid, showYaml, showTraceModal]);
+      if (recorded > 0) setHealthRevision(revision => revision + 1);
+    }, LIST_SETTLE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [xrs, listContexts, loadProgress, contextErrors]);
+
+  // Select the remembered claim once it shows up in the list
+  useEffect(() => {
+    if (!pendingSelection) return;
+    const listed = xrs.filter(xr => xr.claimContext === pendingSelection.context);
+    if (listed.length === 0) return;
+    const match = listed.find(xr =>
+      xr.kind === pendingSelection.kind &&
+      xr.metadata.name === pendingSelection.name &&
+      xr.claimNamespace === pendingSelection.namespace
+    );
+    if (match) {
+      setSelectedClaim({ ...match, _uiState: {} });
+    }
+    setPendingSelection(null);
+  }, [xrs, pendingSelection]);
+
+  // Persist where the user left off
+  useEffect(() => {
+    if (settingsReady && currentContext) saveSettings({ lastContext: currentContext });
+  }, [settingsReady, currentContext, saveSettings]);
+
+  useEffect(() => {
+    if (settingsReady) saveSettings({ fleetContexts });
+  }, [settingsReady, fleetContexts, saveSettings]);
+
+  useEffect(() => {
+    if (settingsReady) saveSettings({ groupBy });
+  }, [settingsReady, groupBy, saveSettings]);
+
+  useEffect(() => {
+    if (settingsReady) saveSettings({ preferences: { live: isLive } });
+  }, [settingsReady, isLive, saveSettings]);
+
+  useEffect(() => {
+    if (!settingsReady || isFleet || !currentContext) return;
+    saveSettings({ contexts: { [currentContext]: { namespace: selectedNamespace, kinds: selectedKinds } } });
+  }, [settingsReady, isFleet, currentContext, selectedNamespace, selectedKinds, saveSettings]);
+
+  const selectedKind = selectedClaim?.kind;
+  const selectedName = selectedClaim?.metadata?.name;
+  const selectedClaimNamespace = selectedClaim?.claimNamespace;
+  useEffect(() => {
+    if (!settingsReady || isFleet || !currentContext || pendingSelection) return;
+    const selection = selectedName
+      ? { kind: selectedKind, name: selectedName, namespace: selectedClaimNamespace }
+      : null;
+    saveSettings({ contexts: { [currentContext]: { selectedClaim: selection } } });
+  }, [settingsReady, isFleet, currentContext, pendingSelection, selectedKind, selectedName, selectedClaimNamespace, saveSettings]);
 
   useEffect(() => {
     loadKubeConfig();
@@ -1379,42 +1867,138 @@ export default function Home() {
   // Handle context switching
   const handleContextChange = useCallback(async (contextName) => {
     try {
-      setIsLoading(true);
       await setContext(contextName);
+      // The listed contexts' claims are loaded by loadResources. In fleet
+      // mode they don't depend on the current one.
       setCurrentContext(contextName);
-      
-      // Load resources for the new context
-      const resources = await fetchCompositeResources();
-      setXrs(resources);
-      
-      // Try to find the selected claim in the new context
-      if (selectedClaim) {
-        const matchingClaim = resources.find(r => 
-          r.kind === selectedClaim.kind && 
-          r.metadata.name === selectedClaim.metadata.name &&
-          r.claimNamespace === selectedClaim.claimNamespace
-        );
-        
-        if (matchingClaim) {
-          // Preserve UI state when switching contexts
-          setSelectedClaim(prev => ({
-            ...matchingClaim,
-            _uiState: prev._uiState || {}
-          }));
-        } else {
-          // Clear selection if claim not found in new context
-          setSelectedClaim(null);
-        }
+      // Outside fleet mode, bring back the filters and selection last used there
+      if (!isFleet) {
+        restoreContextState(settings, contextName);
       }
-      
       setError(null);
     } catch (err) {
       setError(err.message);
       console.error('Failed to switch context:', err);
-    } finally {
-      setIsLoading(false);
     }
-  }, [selectedClaim]);
+  }, [isFleet, settings, restoreContextState]);
+
+  // Open a claim from a deep link: switch to its context, select it and
+  // open the trace on the linked tab
+  const openClaimLinkRef = useRef(null);
+  openClaimLinkRef.current = async (url) => {
+    try {
+      const link = parseClaimLink(url);
+      if (!kubeContexts.some(context => context.name === link.context)) {
+        throw new Error(`context ${link.context} isn't in your kubeconfig`);
+      }
+      if (link.context !== currentContext) {
+        await handleContextChange(link.context);
+      }
+
+      const claim = await fetchSpecificClaim(link.kind, link.name, link.namespace, link.context);
+      setView('claims');
+      setPendingSelection(null);
+      setSelectedClaim({ ...claim, claimContext: link.context, _uiState: {} });
+      setShowYaml(false);
+      setIsEditingYaml(false);
+      setTraceFocus(link.tab ? { tab: link.tab } : null);
+      setShowTraceModal(Boolean(link.tab));
+      setError(null);
+    } catch (err) {
+      setError(`Couldn't open link: ${err.message}`);
+    }
+  };
+
+  // Links wait in the main process until the contexts and settings are loaded
+  useEffect(() => {
+    if (!settingsReady) return;
+    const openPending = async () => {
+      try {
+        const url = await takeDeepLink();
+        if (url) openClaimLinkRef.current(url);
+      } catch (err) {
+        console.warn('Failed to read the pending deep link:', err);
+      }
+    };
+    openPending();
+    return onDeepLink(openPending);
+  }, [settingsReady]);
+
+  // Keep the tray menu's pause toggle and context list in step
+  useEffect(() => {
+    updateTray({ live: isLive, currentContext, contexts: kubeContexts.map(context => context.name) })
+      .catch(err => console.error('Error updating the tray:', err));
+  }, [isLive, currentContext, kubeContexts]);
+
+  // Actions picked from the tray menu, which works while the window is hidden
+  const handleTrayActionRef = useRef(null);
+  handleTrayActionRef.current = (action) => {
+    if (action.type === 'pause') {
+      setIsLive(false);
+    } else if (action.type === 'resume') {
+      setIsLive(true);
+    } else if (action.type === 'switch-context' && action.context !== currentContext) {
+      handleContextChange(action.context);
+    }
+  };
+
+  useEffect(() => onTrayAction(action => handleTrayActionRef.current(action)), []);
+
+  // Add or remove a context from fleet mode. The first pick starts from the
+  // current context; removing the last one leaves fleet mode.
+  const toggleFleetContext = (contextName) => {
+    setFleetContexts(prev => {
+      const base = prev.length > 0 ? prev : [currentContext].filter(Boolean);
+      return base.includes(contextName) ? base.filter(c => c !== contextName) : [...base, contextName];
+    });
+    setSelectedContexts(prev => prev.filter(c => c !== contextName));
+  };
+
+  // Named filter combinations kept in the settings
+  const savedViews = settings?.savedViews || [];
+  const currentView = {
+    context: isFleet ? null : currentContext,
+    fleetContexts,
+    selectedContexts,
+    namespace: selectedNamespace,
+    kinds: selectedKinds,
+    query: searchText
+  };
+
+  const saveView = (name) => {
+    saveSettings({ savedViews: [...savedViews.filter(v => v.name !== name), { name, ...currentView }] });
+  };
+
+  const deleteView = (name) => {
+    saveSettings({ savedViews: savedViews.filter(v => v.name !== name) });
+  };
+
+  const applyView = async (saved) => {
+    const isKnown = name => kubeContexts.some(context => context.name === name);
+    const savedFleet = (saved.fleetContexts || []).filter(isKnown);
+    setFleetContexts(savedFleet);
+    if (savedFleet.length === 0 && saved.context && saved.context !== currentContext && isKnown(saved.context)) {
+      await handleContextChange(saved.context);
+    }
+    setSelectedContexts(saved.selectedContexts || []);
+    setSelectedNamespace(saved.namespace || 'all');
+    setSelectedKinds(saved.kinds || []);
+    setSearchText(saved.query || '');
+    setPendingSelection(null);
+  };
+
+  // Searches are remembered once committed, most recent first
+  const recentSearches = settings?.recentSearches || [];
+  const rememberSearch = (query) => {
+    if (!settingsReady || recentSearches[0] === query) return;
+    saveSettings({ recentSearches: [query, ...recentSearches.filter(q => q !== query)].slice(0, MAX_RECENT_SEARCHES) });
+  };
+
+  const toggleContextFilter = (contextName) => {
+    setSelectedContexts(prev =>
+      prev.includes(contextName) ? prev.filter(c => c !== contextName) : [...prev, contextName]
+    );
+  };
 
   // Get unique namespaces from claims
   const namespaces = [...new Set(xrs.map(xr => xr.claimNamespace).filter(Boolean))].sort();
@@ -1422,40 +2006,223 @@ export default function Home() {
   // Get kinds from claims
   const kinds = Array.from(new Set(xrs.map(xr => xr.kind))).sort();
 
-  // Filter claims by selected namespace and kinds
+  // Filter claims by selected namespace, kinds and the search, keeping what
+  // the search matched for highlighting
+  const searchMatches = new Map();
   const filteredClaims = xrs.filter(xr => {
     const namespaceMatch = selectedNamespace === 'all' || xr.claimNamespace === selectedNamespace;
     const kindMatch = selectedKinds.length === 0 || selectedKinds.includes(xr.kind);
-    return namespaceMatch && kindMatch;
-  });
+    const contextMatch = !isFleet || selectedContexts.length === 0 || selectedContexts.includes(xr.claimContext);
+    if (!namespaceMatch || !kindMatch || !contextMatch) return false;
+    if (searchQuery.terms.length === 0) return true;
 
-  // Group claims by namespace
-  const claimsByNamespace = filteredClaims.reduce((acc, claim) => {
-    const namespace = claim.claimNamespace || 'default';
-    if (!acc[namespace]) {
-      acc[namespace] = [];
-    }
-    acc[namespace].push(claim);
-    return acc;
-  }, {});
+    const match = matchClaim(xr, searchQuery);
+    if (match) searchMatches.set(getClaimKey(xr), match);
+    return Boolean(match);
+  });
 
-  const handleSelectClaim = async (claim) => {
+  // Group claims by the chosen fields. A remembered label may be gone from
+  // every claim, so it stays listed as an option.
+  const groupingOptions = getGroupingOptions(xrs);
+  groupBy
+    .filter(id => !groupingOptions.some(option => option.id === id))
+    .forEach(id => groupingOptions.push({ id, label: id.replace(':', ' ') }));
+  const groupLabel = (id) => groupingOptions.find(option => option.id === id).label;
+  const claimGroups = groupClaims(filteredClaims, groupBy);
+
+  // Details, trace and edits go to the claim's own context, whichever one
+  // is current
+  const handleSelectClaim = (claim) => {
+    const isSame = prev => prev && isSameClaim(prev, claim);
     setSelectedClaim(prev => ({
       ...claim,
       _uiState: {
         ...prev?._uiState,
-        showYaml: prev?.metadata?.uid === claim.metadata.uid ? prev?._uiState?.showYaml : false,
-        showTraceModal: prev?.metadata?.uid === claim.metadata.uid ? prev?._uiState?.showTraceModal : false
+        showYaml: isSame(prev) ? prev?._uiState?.showYaml : false,
+        showTraceModal: isSame(prev) ? prev?._uiState?.showTraceModal : false
       }
     }));
     
     // Only reset UI state if selecting a different claim
-    if (!selectedClaim || selectedClaim.metadata.uid !== claim.metadata.uid) {
+    if (!isSame(selectedClaim)) {
       setShowYaml(false);
       setShowTraceModal(false);
+      setIsEditingYaml(false);
+    }
+  };
+
+  // Open a claim from the health dashboard, if it's still listed
+  const selectHealthClaim = (uid) => {
+    const claim = xrs.find(xr => xr.claimContext === currentContext && xr.metadata.uid === uid);
+    if (!claim) {
+      setError('That claim is no longer listed');
+      return;
+    }
+    handleSelectClaim(claim);
+    setView('claims');
+  };
+
+  const handleClaimCreated = (claim) => {
+    handleSelectClaim({ ...claim, claimNamespace: claim.metadata.namespace, claimContext: currentContext });
+    // Without live updates the list won't hear about the new claim
+    if (!isLive) {
+      loadResources();
+    }
+  };
+
+  // Actions shared by the command palette and the keyboard shortcuts
+  const openTrace = (tab) => {
+    if (!selectedClaim) return;
+    setView('claims');
+    setTraceFocus({ tab });
+    setShowTraceModal(true);
+  };
+
+  const downloadTrace = async () => {
+    if (!selectedClaim) return;
+    try {
+      downloadTraceFile(await fetchResourceTrace(selectedClaim));
+    } catch (err) {
+      setError(`Couldn't download the trace: ${err.message}`);
     }
   };
 
+  const openNewClaim = () => {
+    if (!currentContext) return;
+    setView('claims');
+    setShowNewClaim(true);
+  };
+
+  // A resource picked in the palette. XRs of a claim select the claim;
+  // anything else without a view of its own opens as YAML.
+  const openPaletteResource = async (resource, type) => {
+    if (type === 'composition') {
+      setView('compositions');
+      setCompositionRequest({ name: resource.metadata.name });
+      return;
+    }
+    const claimRef = type === 'xr' && resource.spec?.claimRef;
+    if (!claimRef) {
+      setPaletteResource(resource);
+      return;
+    }
+    try {
+      const claim = await fetchSpecificClaim(claimRef.kind, claimRef.name, claimRef.namespace);
+      setView('claims');
+      handleSelectClaim({ ...claim, claimNamespace: claim.metadata.namespace, claimContext: currentContext });
+    } catch (err) {
+      setError(`Couldn't open claim ${claimRef.namespace}/${claimRef.name}: ${err.message}`);
+    }
+  };
+
+  const paletteCommands = [
+    { id: 'action:refresh', group: 'Action', label: 'Refresh', run: refreshAll },
+    { id: 'action:live', group: 'Action', label: isLive ? 'Turn off live updates' : 'Turn on live updates', run: () => setIsLive(!isLive) },
+    ...(selectedClaim ? [
+      { id: 'action:trace', group: 'Action', label: 'Open trace', detail: selectedClaim.metadata.name, run: () => openTrace('trace') },
+      { id: 'action:graph', group: 'Action', label: 'Open graph', detail: selectedClaim.metadata.name, run: () => openTrace('graph') },
+      { id: 'action:download', group: 'Action', label: 'Download trace', detail: selectedClaim.metadata.name, run: downloadTrace }
+    ] : []),
+    ...(currentContext ? [{ id: 'action:new-claim', group: 'Action', label: 'New claim', run: openNewClaim }] : []),
+    ...(settingsReady ? [{ id: 'action:preferences', group: 'Action', label: 'Preferences', run: () => setShowSettings(true) }] : []),
+    { id: 'action:shortcuts', group: 'Action', label: 'Keyboard shortcuts', run: () => setShowShortcuts(true) },
+    { id: 'action:request-cache', group: 'Action', label: 'Show request cache stats', detail: 'Debug', run: () => setShowRequestCache(true) },
+    ...VIEWS.map(({ id, label }) => ({ id: `view:${id}`, group: 'View', label: `Go to ${label}`, run: () => setView(id) })),
+    ...kubeContexts
+      .filter(context => context.name !== currentContext)
+      .map(context => ({
+        id: `context:${context.name}`,
+        group: 'Context',
+        label: `Switch to ${context.name}`,
+        run: () => handleContextChange(context.name)
+      })),
+    ...['all', ...namespaces].map(namespace => ({
+      id: `namespace:${namespace}`,
+      group: 'Namespace',
+      label: namespace === 'all' ? 'Show all namespaces' : `Show namespace ${namespace}`,
+      run: () => {
+        setView('claims');
+        setSelectedNamespace(namespace);
+      }
+    })),
+    ...xrs.map(claim => ({
+      id: `claim:${claim.claimContext}/${claim.metadata.uid}`,
+      group: 'Claim',
+      label: claim.metadata.name,
+      detail: [claim.kind, claim.claimNamespace, isFleet && claim.claimContext].filter(Boolean).join(' · '),
+      run: () => {
+        setView('claims');
+        handleSelectClaim(claim);
+      }
+    }))
+  ];
+
+  const isDialogOpen = showTraceModal || showNewClaim || showSettings || showShortcuts || showRequestCache ||
+    Boolean(claimToDelete) || Boolean(paletteResource);
+
+  // Global keyboard shortcuts, read through a ref so the listener always
+  // sees the current state
+  const handleShortcutRef = useRef(null);
+  handleShortcutRef.current = (e) => {
+    const mod = e.metaKey || e.ctrlKey;
+    if (mod && !e.altKey && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      setShowPalette(!showPalette);
+      return;
+    }
+    if (mod && e.key === ',') {
+      e.preventDefault();
+      if (settingsReady) setShowSettings(true);
+      return;
+    }
+    if (mod || e.altKey || showPalette || isTyping(e.target)) return;
+
+    if (e.key === 'Escape' && showShortcuts) {
+      setShowShortcuts(false);
+      return;
+    }
+    if (e.key === '?') {
+      setShowShortcuts(!showShortcuts);
+      return;
+    }
+    if (isDialogOpen) return;
+
+    const viewIndex = Number(e.key) - 1;
+    if (VIEWS[viewIndex]) {
+      setView(VIEWS[viewIndex].id);
+      return;
+    }
+    switch (e.key.toLowerCase()) {
+      case 'r':
+        if (!isLoading && !isRefreshing) refreshAll();
+        break;
+      case 'l':
+        setIsLive(!isLive);
+        break;
+      case 't':
+        openTrace('trace');
+        break;
+      case 'g':
+        openTrace('graph');
+        break;
+      case 'd':
+        downloadTrace();
+        break;
+      case 'n':
+        openNewClaim();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => handleShortcutRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
   return (
     <div className="app-container" style={{ height: '100vh', width: '100vw', overflow: 'hidden' }}>
       <TitleBar />
@@ -1471,6 +2238,19 @@ export default function Home() {
               <h1 className="text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-blue-800">
                 Crossplane Portal
               </h1>
+              <nav className="flex items-center space-x-1 pl-4">
+                {VIEWS.map(({ id, label }) => (
+                  <button
+                    key={id}
+                    onClick={() => setView(id)}
+                    className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                      view === id ? 'text-blue-700 bg-blue-50' : 'text-gray-600 hover:text-blue-600 hover:bg-gray-100'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </nav>
             </div>
             <div className="flex items-center space-x-4">
               {error && (
@@ -1485,6 +2265,17 @@ export default function Home() {
                 </div>
               )}
               <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setShowPalette(true)}
+                  className="flex items-center space-x-2 rounded-lg border border-gray-200 bg-white px-3 py-2 text-sm text-gray-500 hover:border-blue-500 transition-colors"
+                  title="Search claims, resources and actions"
+                >
+                  <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                  <span>Search</span>
+                  <kbd className="px-1.5 text-xs font-mono text-gray-400 bg-gray-100 rounded">{MOD_KEY}K</kbd>
+                </button>
                 <button
                   onClick={refreshAll}
                   disabled={isLoading || isRefreshing}
@@ -1496,27 +2287,68 @@ export default function Home() {
                   </svg>
                   <span>Refresh</span>
                 </button>
-                <div className="flex items-center space-x-2">
-                  <label className="flex items-center space-x-2">
-                    <input
-                      type="checkbox"
-                      checked={isPolling}
-                      onChange={(e) => setIsPolling(e.target.checked)}
-                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                    />
-                    <span className="text-sm text-gray-600">Auto-refresh</span>
-                  </label>
-                  <select
-                    value={pollInterval}
-                    onChange={(e) => setPollInterval(Number(e.target.value))}
-                    className="rounded-lg border border-gray-200 bg-white px-2 py-1 text-sm text-gray-900 shadow-sm hover:border-blue-500 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 focus:outline-none"
-                    disabled={!isPolling}
+                <label className="flex items-center space-x-2" title="Watch the cluster for changes">
+                  <input
+                    type="checkbox"
+                    checked={isLive}
+                    onChange={(e) => setIsLive(e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="text-sm text-gray-600">Live updates</span>
+                </label>
+                <div className="relative">
+                  <button
+                    onClick={() => setShowFleetPicker(!showFleetPicker)}
+                    disabled={isLoading || isRefreshing}
+                    className={`flex items-center space-x-1 rounded-lg px-3 py-2 text-sm font-medium transition-colors disabled:opacity-50 ${
+                      isFleet ? 'text-indigo-700 bg-indigo-50 hover:bg-indigo-100' : 'text-gray-700 hover:text-blue-600 hover:bg-blue-50'
+                    }`}
+                    title="List claims from several contexts at once"
                   >
-                    <option value={10000}>10s</option>
-                    <option value={30000}>30s</option>
-                    <option value={60000}>1m</option>
-                    <option value={300000}>5m</option>
-                  </select>
+                    <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2" />
+                    </svg>
+                    <span>{isFleet ? `Fleet (${fleetContexts.length})` : 'Fleet'}</span>
+                  </button>
+                  {showFleetPicker && (
+                    <div className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 z-20">
+                      <div className="px-4 py-2 border-b border-gray-100 text-xs text-gray-500">
+                        Pick the contexts to list claims from
+                      </div>
+                      <div className="max-h-64 overflow-y-auto py-1">
+                        {kubeContexts.map((context) => (
+                          <label key={context.name} className="flex items-center space-x-2 px-4 py-1.5 hover:bg-gray-50 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={isFleet ? fleetContexts.includes(context.name) : context.name === currentContext}
+                              onChange={() => toggleFleetContext(context.name)}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="text-sm text-gray-800 truncate" title={context.name}>{context.name}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <div className="flex justify-end space-x-2 px-4 py-2 border-t border-gray-100">
+                        {isFleet && (
+                          <button
+                            onClick={() => {
+                              setFleetContexts([]);
+                              setSelectedContexts([]);
+                            }}
+                            className="px-3 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded-lg"
+                          >
+                            Current context only
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setShowFleetPicker(false)}
+                          className="px-3 py-1 text-sm font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-lg"
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
                 <select
                   value={currentContext}
@@ -1530,24 +2362,120 @@ export default function Home() {
                     </option>
                   ))}
                 </select>
+                <button
+                  onClick={() => setShowSettings(true)}
+                  disabled={!settingsReady}
+                  className="rounded-lg p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50"
+                  title="Preferences"
+                >
+                  <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
+                  </svg>
+                </button>
               </div>
             </div>
           </div>
 
-          {/* Main content */}
-          <div className="flex-1 overflow-hidden">
-            <div className="h-full max-w-7xl mx-auto p-6">
+          {view === 'managed' && (
+            <div className="flex-1 overflow-hidden">
+              <ManagedResourcesView context={currentContext} />
+            </div>
+          )}
+          {view === 'compositions' && (
+            <div className="flex-1 overflow-hidden">
+              <CompositionsView context={currentContext} selectRequest={compositionRequest} />
+            </div>
+          )}
+          {view === 'xrds' && (
+            <div className="flex-1 overflow-hidden">
+              <XRDsView context={currentContext} />
+            </div>
+          )}
+          {view === 'packages' && (
+            <div className="flex-1 overflow-hidden">
+              <PackagesView context={currentContext} live={isLive} />
+            </div>
+          )}
+          {view === 'health' && (
+            <div className="flex-1 overflow-hidden">
+              <HealthDashboardView context={currentContext} revision={healthRevision} onSelectClaim={selectHealthClaim} />
+            </div>
+          )}
+
+          {/* Main content, kept mounted while other views are shown */}
+          <div className={`flex-1 overflow-hidden flex ${view === 'claims' ? '' : 'hidden'}`}>
+            <SavedViews
+              views={savedViews}
+              current={currentView}
+              onApply={applyView}
+              onSave={saveView}
+              onDelete={deleteView}
+            />
+            <div className="flex-1 min-w-0 h-full max-w-7xl mx-auto p-6">
               <div className="h-full grid grid-cols-1 md:grid-cols-2 gap-8">
                 {/* Left Column - Claims */}
                 <div className="h-full flex flex-col overflow-hidden">
-                  <div className="flex items-center space-x-3 mb-6 shrink-0">
-                    <svg className="w-6 h-6 text-amber-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
-                    </svg>
-                    <h2 className="text-2xl font-semibold text-gray-900">Claims</h2>
+                  <div className="flex items-center justify-between mb-6 shrink-0">
+                    <div className="flex items-center space-x-3">
+                      <svg className="w-6 h-6 text-amber-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                      </svg>
+                      <h2 className="text-2xl font-semibold text-gray-900">Claims</h2>
+                    </div>
+                    <button
+                      onClick={() => setShowNewClaim(true)}
+                      disabled={!currentContext}
+                      className="flex items-center space-x-1 px-3 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+                    >
+                      <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                      </svg>
+                      <span>New Claim</span>
+                    </button>
                   </div>
                   
                   <div className="shrink-0 mb-6 space-y-4">
+                    {/* Which claim kinds are still loading, while partial results show */}
+                    {loadProgress && loadProgress.loaded < loadProgress.total && (
+                      <div title={`Still loading: ${loadProgress.pending.join(', ')}`}>
+                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                          <span className="shrink-0">Loading claims: {loadProgress.loaded} of {loadProgress.total} kinds</span>
+                          <span className="ml-2 truncate">
+                            {loadProgress.pending.slice(0, 3).join(', ')}
+                            {loadProgress.pending.length > 3 && ` +${loadProgress.pending.length - 3} more`}
+                          </span>
+                        </div>
+                        <div className="h-1 rounded-full bg-gray-200 overflow-hidden">
+                          <div
+                            className="h-full bg-blue-500 transition-all"
+                            style={{ width: `${(loadProgress.loaded / loadProgress.total) * 100}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    <ClaimSearch
+                      value={searchText}
+                      onChange={setSearchText}
+                      onCommit={rememberSearch}
+                      recent={recentSearches}
+                      errors={searchQuery.errors}
+                    />
+
+                    {/* Context filter with per-context health, in fleet mode */}
+                    {isFleet && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Filter by Context</label>
+                        <FleetHealthSummary
+                          contexts={listContexts}
+                          claims={xrs}
+                          errors={contextErrors}
+                          selectedContexts={selectedContexts}
+                          onToggleContext={toggleContextFilter}
+                        />
+                      </div>
+                    )}
+
                     {/* Namespace filter */}
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">Filter by Namespace</label>
@@ -1592,16 +2520,45 @@ export default function Home() {
                         })}
                       </div>
                     </div>
+
+                    {/* Grouping, up to two levels */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Group by</label>
+                      <div className="flex space-x-2">
+                        <select
+                          value={groupBy[0]}
+                          onChange={(e) => setGroupBy([e.target.value, ...groupBy.slice(1).filter(id => id !== e.target.value)])}
+                          className="flex-1 min-w-0 rounded-lg border border-gray-300 bg-white px-3 py-2 text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                        >
+                          {groupingOptions.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={groupBy[1] || ''}
+                          onChange={(e) => setGroupBy([groupBy[0], e.target.value].filter(Boolean))}
+                          className="flex-1 min-w-0 rounded-lg border border-gray-300 bg-white px-3 py-2 text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                        >
+                          <option value="">Then by nothing</option>
+                          {groupingOptions.filter(({ id }) => id !== groupBy[0]).map(({ id, label }) => (
+                            <option key={id} value={id}>Then by {label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
                   </div>
 
                   <div className="flex-1 overflow-y-auto min-h-0 relative">
-                    <div className="absolute inset-0 overflow-y-auto">
+                    <div className="absolute inset-0">
                       {/* Claims list */}
-                      {Object.entries(claimsByNamespace).length > 0 ? (
-                        <NamespaceList
-                          namespaces={Object.keys(claimsByNamespace)}
-                          claimsByNamespace={claimsByNamespace}
+                      {claimGroups.length > 0 ? (
+                        <ClaimGroupList
+                          key={groupBy.join('\n')}
+                          groups={claimGroups}
+                          title={`By ${groupBy.map(groupLabel).join(' / ')}`}
                           onSelectClaim={handleSelectClaim}
+                          showContext={isFleet}
+                          searchMatches={searchMatches}
                         />
                       ) : (
                         <div className="flex flex-col items-center justify-center h-full text-center p-6">
@@ -1610,7 +2567,9 @@ export default function Home() {
                           </svg>
                           <h3 className="text-lg font-medium text-gray-900 mb-2">No Claims Found</h3>
                           <p className="text-gray-500 max-w-sm">
-                            There are no active claims in the current context. Claims will appear here when they are created.
+                            {xrs.length > 0
+                              ? 'No claims match the filters and search.'
+                              : 'There are no active claims in the current context. Claims will appear here when they are created.'}
                           </p>
                         </div>
                       )}
@@ -1647,30 +2606,91 @@ export default function Home() {
                         <div className="p-6">
                           <div className="flex justify-between items-center mb-6">
                             <button 
-                              onClick={() => setShowYaml(!showYaml)}
+                              onClick={() => {
+                                setShowYaml(!showYaml);
+                                setIsEditingYaml(false);
+                              }}
                               className="px-4 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
                             >
                               {showYaml ? 'Hide Raw YAML' : 'Show Raw YAML'}
                             </button>
-                            <button
-                              onClick={() => setShowTraceModal(true)}
-                              className="px-4 py-2 text-sm font-medium text-green-700 bg-green-50 rounded-lg hover:bg-green-100 transition-colors flex items-center space-x-2"
-                            >
-                              <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-                              </svg>
-                              <span>View Resource Trace</span>
-                            </button>
+                            <div className="flex items-center space-x-2">
+                              {selectedClaim.claimContext && (
+                                <CopyLinkButton
+                                  link={buildClaimLink({
+                                    context: selectedClaim.claimContext,
+                                    namespace: selectedClaim.claimNamespace,
+                                    kind: selectedClaim.kind,
+                                    name: selectedClaim.metadata.name
+                                  })}
+                                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                                />
+                              )}
+                              <button
+                                onClick={() => {
+                                  setTraceFocus(null);
+                                  setShowTraceModal(true);
+                                }}
+                                className="px-4 py-2 text-sm font-medium text-green-700 bg-green-50 rounded-lg hover:bg-green-100 transition-colors flex items-center space-x-2"
+                              >
+                                <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                                </svg>
+                                <span>View Resource Trace</span>
+                              </button>
+                              <button
+                                onClick={() => setClaimToDelete(selectedClaim)}
+                                className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 rounded-lg hover:bg-red-100 transition-colors flex items-center space-x-2"
+                                title="Delete this claim"
+                              >
+                                <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                </svg>
+                                <span>Delete</span>
+                              </button>
+                            </div>
                           </div>
 
-                          {showYaml ? (
-                            <div className="bg-gray-50 rounded-lg border border-gray-200 max-h-[calc(100vh-300px)] overflow-auto">
+                          {showYaml && isEditingYaml ? (
+                            <div className="h-[calc(100vh-300px)]">
+                              <YAMLEditor
+                                key={selectedClaim.metadata.uid}
+                                resource={selectedClaim}
+                                context={selectedClaim.claimContext}
+                                onCancel={() => setIsEditingYaml(false)}
+                                onSaved={(saved) => {
+                                  setSelectedClaim(prev => ({
+                                    ...saved,
+                                    claimNamespace: saved.metadata.namespace,
+                                    claimContext: prev?.claimContext,
+                                    _uiState: prev?._uiState
+                                  }));
+                                  setIsEditingYaml(false);
+                                }}
+                              />
+                            </div>
+                          ) : showYaml ? (
+                            <div className="relative bg-gray-50 rounded-lg border border-gray-200 max-h-[calc(100vh-300px)] overflow-auto">
+                              <button
+                                onClick={() => setIsEditingYaml(true)}
+                                className="absolute top-2 right-2 px-3 py-1 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+                              >
+                                Edit
+                              </button>
                               <pre className="p-4 text-sm text-gray-800 font-mono whitespace-pre">
                                 {toYAML(selectedClaim)}
                               </pre>
                             </div>
                           ) : (
                             <>
+                              <RootCauseSummary
+                                key={selectedClaim.metadata.uid}
+                                claim={selectedClaim}
+                                onShowInTrace={(uid) => {
+                                  setTraceFocus({ uid });
+                                  setShowTraceModal(true);
+                                }}
+                              />
                               <div className="grid grid-cols-2 gap-4 mb-6">
                                 <div>
                                   <div className="text-sm font-medium text-gray-500">Name</div>
@@ -1702,6 +2722,11 @@ export default function Home() {
 
                               <div className="border-t border-gray-200 pt-6">
                                 <h3 className="text-lg font-medium text-gray-900 mb-4">Health Status</h3>
+                                <HealthSparkline
+                                  context={selectedClaim.claimContext || currentContext}
+                                  uid={selectedClaim.metadata.uid}
+                                  revision={healthRevision}
+                                />
                                 <div className="space-y-4">
                                   {selectedClaim.status?.conditions?.map((cond, i) => (
                                     <div key={i} className="bg-gray-50 rounded-lg p-4">
@@ -1721,6 +2746,8 @@ export default function Home() {
                                   ))}
                                 </div>
                               </div>
+
+                              <ConnectionDetails key={selectedClaim.metadata.uid} resource={selectedClaim} context={selectedClaim.claimContext} />
                             </>
                           )}
                         </div>
@@ -1741,7 +2768,70 @@ export default function Home() {
           isOpen={showTraceModal}
           onClose={() => setShowTraceModal(false)}
           claim={selectedClaim}
+          live={isLive}
+          focusRequest={traceFocus}
+        />
+
+        <SettingsModal
+          isOpen={showSettings}
+          onClose={() => setShowSettings(false)}
+          settings={settings}
+          views={VIEWS}
+          onChange={(patch) => {
+            saveSettings(patch);
+            if (patch.preferences?.live !== undefined) {
+              setIsLive(patch.preferences.live);
+            }
+          }}
+          onReplaced={async (next) => {
+            setSettings(next);
+            try {
+              setCurrentContext(await applySavedSettings(next, kubeContexts, currentContext));
+            } catch (err) {
+              setError(err.message);
+            }
+          }}
+        />
+
+        <DeleteClaimModal
+          isOpen={!!claimToDelete}
+          claim={claimToDelete}
+          onDeleted={() => setSelectedClaim(null)}
+          onClose={() => {
+            setClaimToDelete(null);
+            if (!isLive) {
+              loadResources();
+            }
+          }}
+        />
+
+        <NewClaimWizard
+          isOpen={showNewClaim}
+          onClose={() => setShowNewClaim(false)}
+          onCreated={handleClaimCreated}
+          namespaces={namespaces}
+          defaultNamespace={selectedNamespace !== 'all' ? selectedNamespace : undefined}
         />
+
+        {paletteResource && (
+          <YAMLModal resource={paletteResource} onClose={() => setPaletteResource(null)} />
+        )}
+
+        <CommandPalette
+          isOpen={showPalette}
+          onClose={() => setShowPalette(false)}
+          context={currentContext}
+          commands={paletteCommands}
+          onOpenResource={openPaletteResource}
+        />
+
+        <ShortcutsHelp
+          isOpen={showShortcuts}
+          onClose={() => setShowShortcuts(false)}
+          shortcuts={SHORTCUTS}
+        />
+
+        <RequestCachePanel isOpen={showRequestCache} onClose={() => setShowRequestCache(false)} />
       </div>
     </div>
   );
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+
+const SYNTAX_HINTS = [
+  ['label:team=payments', 'label with a value, or label:team for any'],
+  ['status:notready', 'ready, notready, synced or notsynced'],
+  ['kind:Database', 'claim kind'],
+  ['msg:"quota exceeded"', 'text in a condition message'],
+  ['postgres', 'text in the name or spec']
+];
+
+// Search bar for the claims list. onCommit is called with a query worth
+// remembering, when Enter is pressed or the field loses focus; recent
+// queries are offered while the field is focused.
+const ClaimSearch = ({ value, onChange, onCommit, recent, errors }) => {
+  const [isFocused, setIsFocused] = useState(false);
+  const suggestions = recent.filter(query => query !== value);
+
+  const commit = () => {
+    if (value.trim() && errors.length === 0) onCommit(value.trim());
+  };
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <svg className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => {
+            setIsFocused(false);
+            commit();
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              commit();
+              e.target.blur();
+            } else if (e.key === 'Escape') {
+              onChange('');
+            }
+          }}
+          placeholder='Search claims, e.g. kind:Database status:notready "quota"'
+          className="w-full rounded-lg border border-gray-300 bg-white pl-9 pr-8 py-2 text-sm text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        {value && (
+          <button
+            onClick={() => onChange('')}
+            className="absolute right-2 top-1/2 -translate-y-1/2 rounded p-0.5 text-gray-400 hover:text-gray-600"
+            title="Clear search"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-1 text-xs text-red-600">{errors.join('; ')}</div>
+      )}
+
+      {isFocused && (
+        <div className="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-lg border border-gray-200 z-20">
+          {suggestions.length > 0 && (
+            <div className="py-1 border-b border-gray-100">
+              <div className="px-3 py-1 text-xs font-medium uppercase tracking-wide text-gray-400">Recent</div>
+              {suggestions.map(query => (
+                <div
+                  key={query}
+                  // Before the input's blur, so the click isn't lost
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    onChange(query);
+                  }}
+                  className="px-3 py-1.5 text-sm font-mono text-gray-700 truncate cursor-pointer hover:bg-gray-50"
+                >
+                  {query}
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="px-3 py-2 space-y-1">
+            {SYNTAX_HINTS.map(([example, description]) => (
+              <div key={example} className="flex items-baseline justify-between gap-3 text-xs">
+                <code className="text-blue-700">{example}</code>
+                <span className="text-gray-500 text-right">{description}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClaimSearch;
@@ -0,0 +1,173 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { fetchAllCompositeResources, fetchCompositions, fetchManagedResources } from '../services/k8sService';
+import { fuzzyFilter } from '../utils/fuzzy';
+
+// How many results to list at once
+const MAX_RESULTS = 50;
+
+// The cluster's XRs, managed resources and compositions as palette entries.
+// Kinds that can't be listed are left out rather than failing the palette.
+const fetchResourceItems = async () => {
+  const [xrs, managed, compositions] = await Promise.allSettled([
+    fetchAllCompositeResources(),
+    fetchManagedResources(),
+    fetchCompositions()
+  ]);
+  const items = [];
+  const add = (group, type, resource, detail) => items.push({
+    id: `${type}:${resource.metadata.uid || `${resource.kind}/${resource.metadata.name}`}`,
+    group,
+    label: resource.metadata.name,
+    detail,
+    resource,
+    type
+  });
+
+  (xrs.value || []).forEach(xr => {
+    const claim = xr.spec?.claimRef;
+    add('XR', 'xr', xr, claim ? `${xr.kind} · claimed by ${claim.namespace}/${claim.name}` : xr.kind);
+  });
+  (managed.value?.resources || []).forEach(mr => {
+    add('Managed', 'managed', mr, mr.metadata.namespace ? `${mr.kind} · ${mr.metadata.namespace}` : mr.kind);
+  });
+  (compositions.value || []).forEach(composition => {
+    add('Composition', 'composition', composition, composition.spec?.compositeTypeRef?.kind || 'Composition');
+  });
+  return items;
+};
+
+// Cmd/Ctrl+K palette. commands are { id, group, label, detail, run } entries
+// from the app; cluster resources are fetched on open, kept per context and
+// handed to onOpenResource(resource, 'xr' | 'managed' | 'composition').
+const CommandPalette = ({ isOpen, onClose, context, commands, onOpenResource }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [resourceItems, setResourceItems] = useState({});
+  const [loading, setLoading] = useState(false);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setActiveIndex(0);
+    inputRef.current?.focus();
+  }, [isOpen]);
+
+  // Refetch on every open, showing what we had for the context meanwhile
+  useEffect(() => {
+    if (!isOpen || !context) return;
+    let cancelled = false;
+    setLoading(true);
+    fetchResourceItems()
+      .then(items => {
+        if (!cancelled) setResourceItems(prev => ({ ...prev, [context]: items }));
+      })
+      .catch(err => console.warn('Failed to load resources for the command palette:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, context]);
+
+  // Resources only show up once there's something to search for
+  const results = useMemo(() => {
+    const items = query.trim() ? [...commands, ...(resourceItems[context] || [])] : commands;
+    return fuzzyFilter(items, query, item => `${item.label} ${item.detail || ''}`).slice(0, MAX_RESULTS);
+  }, [query, commands, resourceItems, context]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  if (!isOpen) return null;
+
+  const choose = (item) => {
+    onClose();
+    if (item.run) {
+      item.run();
+    } else {
+      onOpenResource(item.resource, item.type);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[activeIndex]) choose(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-start justify-center p-4 pt-[15vh] z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl w-full max-w-xl max-h-[60vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center px-4 border-b border-gray-200 shrink-0">
+          <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search claims, resources, contexts and actions..."
+            className="flex-1 px-3 py-4 text-sm text-gray-900 bg-transparent focus:outline-none"
+          />
+          {loading && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>}
+        </div>
+
+        <div ref={listRef} className="flex-1 overflow-y-auto py-2">
+          {results.map((item, index) => (
+            <div
+              key={item.id}
+              onClick={() => choose(item)}
+              onMouseMove={() => setActiveIndex(index)}
+              className={`flex items-center justify-between px-4 py-2 cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50' : ''
+              }`}
+            >
+              <div className="min-w-0">
+                <div className={`text-sm truncate ${index === activeIndex ? 'text-blue-700' : 'text-gray-900'}`}>{item.label}</div>
+                {item.detail && <div className="text-xs text-gray-500 truncate">{item.detail}</div>}
+              </div>
+              <span className="ml-3 shrink-0 text-xs text-gray-400">{item.group}</span>
+            </div>
+          ))}
+          {results.length === 0 && (
+            <div className="px-4 py-6 text-center text-sm text-gray-500">
+              {loading ? 'Loading resources...' : 'Nothing matches'}
+            </div>
+          )}
+        </div>
+
+        <div className="px-4 py-2 border-t border-gray-200 text-xs text-gray-400 shrink-0">
+          ↑↓ to move · Enter to open · Esc to close · ? for keyboard shortcuts
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,260 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  fetchCompositionRevisions,
+  getCompositionRevisionName,
+  getCompositionUpdatePolicy,
+  setCompositionRevision
+} from '../services/k8sService';
+import { diffObjects } from '../utils/diff';
+import { formatAge } from '../utils/time';
+import StructuralDiff from './StructuralDiff';
+
+// Structural changes between two revisions' specs
+const RevisionDiff = ({ from, to }) => {
+  const changes = useMemo(() => {
+    // The revision number always differs and isn't interesting
+    const strip = ({ revision, ...spec }) => spec;
+    return diffObjects(strip(from.spec || {}), strip(to.spec || {}));
+  }, [from, to]);
+
+  return <StructuralDiff changes={changes} emptyMessage="The two revisions have identical specs." />;
+};
+
+// Update policy and pinned revision of one XR, applied on demand
+const XRRevisionControl = ({ xr, revisions, revisionNumbers, onChanged }) => {
+  const currentPolicy = getCompositionUpdatePolicy(xr);
+  const currentRevision = getCompositionRevisionName(xr);
+  const defaultRevision = currentRevision || revisions[0]?.metadata.name || '';
+  const [policy, setPolicy] = useState(currentPolicy);
+  const [revision, setRevision] = useState(defaultRevision);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    setPolicy(currentPolicy);
+    setRevision(defaultRevision);
+  }, [currentPolicy, defaultRevision]);
+
+  const isDirty = policy !== currentPolicy || (policy === 'Manual' && revision !== currentRevision);
+
+  const apply = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await setCompositionRevision(xr, policy, revision);
+      onChanged?.();
+    } catch (err) {
+      setSaveError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectClassName = 'rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 focus:border-blue-500 focus:outline-none disabled:opacity-50';
+
+  return (
+    <tr>
+      <td className="py-2 pr-3">
+        <div className="font-medium text-gray-900">{xr.metadata.name}</div>
+        {xr.spec?.claimRef && (
+          <div className="text-xs text-gray-500">claim {xr.spec.claimRef.namespace}/{xr.spec.claimRef.name}</div>
+        )}
+      </td>
+      <td className="py-2 pr-3 text-gray-700">
+        {currentRevision ? `Revision ${revisionNumbers[currentRevision] ?? '?'}` : '—'}
+      </td>
+      <td className="py-2 pr-3">
+        <select value={policy} onChange={(e) => setPolicy(e.target.value)} disabled={saving} className={selectClassName}>
+          <option value="Automatic">Automatic</option>
+          <option value="Manual">Manual</option>
+        </select>
+      </td>
+      <td className="py-2 pr-3">
+        <select
+          value={revision}
+          onChange={(e) => setRevision(e.target.value)}
+          disabled={saving || policy !== 'Manual'}
+          className={selectClassName}
+        >
+          {revisions.map(r => (
+            <option key={r.metadata.name} value={r.metadata.name}>Revision {r.spec?.revision}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-2 text-right">
+        {saveError && <span className="mr-2 text-xs text-red-600" title={saveError}>Failed</span>}
+        <button
+          onClick={apply}
+          disabled={saving || !isDirty}
+          className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Applying...' : 'Apply'}
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+// Revision timeline of a composition, a diff between any two revisions, and
+// the update policy of each XR using it
+const CompositionRevisions = ({ composition, xrs, onChanged }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [fromName, setFromName] = useState(null);
+  const [toName, setToName] = useState(null);
+
+  const compositionName = composition.metadata.name;
+  const compositionVersion = composition.metadata.resourceVersion;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchCompositionRevisions(compositionName)
+      .then(found => {
+        if (cancelled) return;
+        setRevisions(found);
+        // Compare the latest revision with the one before it
+        setToName(found[0]?.metadata.name || null);
+        setFromName(found[1]?.metadata.name || found[0]?.metadata.name || null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [compositionName, compositionVersion]);
+
+  const revisionNumbers = useMemo(
+    () => Object.fromEntries(revisions.map(r => [r.metadata.name, r.spec?.revision])),
+    [revisions]
+  );
+
+  const xrsByRevision = useMemo(() => xrs.reduce((acc, xr) => {
+    const name = getCompositionRevisionName(xr);
+    if (name) {
+      (acc[name] = acc[name] || []).push(xr);
+    }
+    return acc;
+  }, {}), [xrs]);
+
+  const from = revisions.find(r => r.metadata.name === fromName);
+  const to = revisions.find(r => r.metadata.name === toName);
+
+  if (error) {
+    return <div className="text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>;
+  }
+  if (loading && revisions.length === 0) {
+    return <div className="p-6 text-center text-sm text-gray-500">Loading revisions...</div>;
+  }
+
+  return (
+    <div className="flex-1 min-h-0 overflow-y-auto space-y-6">
+      <div className="grid grid-cols-5 gap-4">
+        {/* Timeline */}
+        <div className="col-span-2 space-y-2">
+          <div className="flex items-center justify-between text-xs font-medium uppercase tracking-wide text-gray-500">
+            <span>Revisions</span>
+            <span>From / To</span>
+          </div>
+          {revisions.map((revision, index) => {
+            const onRevision = xrsByRevision[revision.metadata.name] || [];
+            return (
+              <div key={revision.metadata.uid} className="relative pl-5 border-l-2 border-gray-200">
+                <div className={`absolute -left-[7px] top-3 w-3 h-3 rounded-full ${index === 0 ? 'bg-blue-600' : 'bg-gray-300'}`} />
+                <div className="bg-white rounded-lg border border-gray-200 p-3">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">Revision {revision.spec?.revision}</span>
+                      {index === 0 && (
+                        <span className="px-1.5 py-0.5 rounded bg-blue-50 text-xs font-medium text-blue-700">latest</span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="radio"
+                        name="revision-from"
+                        checked={fromName === revision.metadata.name}
+                        onChange={() => setFromName(revision.metadata.name)}
+                        title="Compare from this revision"
+                      />
+                      <input
+                        type="radio"
+                        name="revision-to"
+                        checked={toName === revision.metadata.name}
+                        onChange={() => setToName(revision.metadata.name)}
+                        title="Compare to this revision"
+                      />
+                    </div>
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500 truncate" title={revision.metadata.name}>
+                    {revision.metadata.name} · {formatAge(revision.metadata.creationTimestamp)}
+                  </div>
+                  {onRevision.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {onRevision.map(xr => (
+                        <span key={xr.metadata.uid} className="px-2 py-0.5 rounded-full bg-purple-50 text-xs text-purple-700">
+                          {xr.metadata.name}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Diff */}
+        <div className="col-span-3">
+          <div className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-2">
+            {from && to ? `Revision ${from.spec?.revision} → Revision ${to.spec?.revision}` : 'Changes'}
+          </div>
+          {from && to ? (
+            <RevisionDiff from={from} to={to} />
+          ) : (
+            <div className="p-6 text-center text-sm text-gray-500">Pick two revisions to compare.</div>
+          )}
+        </div>
+      </div>
+
+      {/* Pinning */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 mb-2">Update policy of XRs using this composition</h4>
+        {xrs.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs font-medium uppercase tracking-wide text-gray-500 border-b border-gray-200">
+              <tr>
+                <th className="py-2 pr-3">XR</th>
+                <th className="py-2 pr-3">On</th>
+                <th className="py-2 pr-3">Policy</th>
+                <th className="py-2 pr-3">Pinned Revision</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {xrs.map(xr => (
+                <XRRevisionControl
+                  key={xr.metadata.uid}
+                  xr={xr}
+                  revisions={revisions}
+                  revisionNumbers={revisionNumbers}
+                  onChanged={onChanged}
+                />
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-sm text-gray-500">No XRs use this composition.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompositionRevisions;
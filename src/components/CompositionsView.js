@@ -0,0 +1,414 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import ReactFlow, { Background, Controls, Handle } from 'reactflow';
+import 'reactflow/dist/style.css';
+import { fetchCompositions, fetchAllCompositeResources, getCompositionName } from '../services/k8sService';
+import { formatAge } from '../utils/time';
+import { toYAML } from '../utils/yaml';
+import YAMLModal from './YAMLModal';
+import CompositionRevisions from './CompositionRevisions';
+
+const MAX_NODE_LINES = 6;
+
+const nodeColors = {
+  composite: '#8b5cf6',
+  step: '#0d9488',
+  resource: '#94a3b8'
+};
+
+// Pipeline mode became the only mode in Crossplane v2; v1 defaulted to Resources
+const getCompositionMode = (composition) =>
+  composition.spec?.mode || (composition.spec?.pipeline ? 'Pipeline' : 'Resources');
+
+// One line summary of a legacy patch
+const describePatch = (patch) => {
+  const from = patch.fromFieldPath;
+  const to = patch.toFieldPath;
+  switch (patch.type) {
+    case 'PatchSet':
+      return `patchSet ${patch.patchSetName}`;
+    case 'ToCompositeFieldPath':
+      return `${from} → XR ${to || from}`;
+    case 'CombineFromComposite':
+      return `combine(${(patch.combine?.variables || []).map(v => v.fromFieldPath).join(', ')}) → ${to}`;
+    case 'CombineToComposite':
+      return `combine(${(patch.combine?.variables || []).map(v => v.fromFieldPath).join(', ')}) → XR ${to}`;
+    case 'FromEnvironmentFieldPath':
+      return `env ${from} → ${to || from}`;
+    case 'ToEnvironmentFieldPath':
+      return `${from} → env ${to || from}`;
+    default:
+      return `XR ${from} → ${to || from}`;
+  }
+};
+
+const CompositionNode = ({ data, selected }) => (
+  <div
+    style={{
+      padding: '12px 16px',
+      borderRadius: '8px',
+      background: data.type === 'composite' ? '#f8f7ff' : 'white',
+      border: `2px solid ${selected ? '#3b82f6' : nodeColors[data.type]}`,
+      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+      position: 'relative',
+      width: '280px',
+      cursor: 'pointer',
+      fontSize: '13px',
+      color: '#1f2937'
+    }}
+  >
+    <div
+      style={{
+        position: 'absolute',
+        top: '-8px',
+        left: '12px',
+        background: nodeColors[data.type],
+        color: 'white',
+        fontSize: '10px',
+        fontWeight: '600',
+        padding: '2px 6px',
+        borderRadius: '4px',
+        textTransform: 'uppercase',
+        letterSpacing: '0.5px'
+      }}
+    >
+      {data.badge}
+    </div>
+    <div style={{ marginTop: '6px', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+      {data.title}
+    </div>
+    {data.lines.slice(0, MAX_NODE_LINES).map((line, index) => (
+      <div
+        key={index}
+        style={{ marginTop: '2px', fontSize: '11px', color: '#6b7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+        title={line}
+      >
+        {line}
+      </div>
+    ))}
+    {data.lines.length > MAX_NODE_LINES && (
+      <div style={{ marginTop: '2px', fontSize: '11px', color: '#9ca3af' }}>
+        +{data.lines.length - MAX_NODE_LINES} more
+      </div>
+    )}
+    <Handle type="target" position="top" style={{ visibility: 'hidden' }} />
+    <Handle type="source" position="bottom" style={{ visibility: 'hidden' }} />
+  </div>
+);
+
+// Lay a composition out as a flow: the XR on top, then either the pipeline
+// steps in order or the legacy resources side by side
+const buildCompositionGraph = (composition) => {
+  const typeRef = composition.spec?.compositeTypeRef || {};
+  const nodes = [{
+    id: 'composite',
+    type: 'composition',
+    position: { x: 0, y: 0 },
+    data: {
+      type: 'composite',
+      badge: 'XR',
+      title: typeRef.kind,
+      lines: [typeRef.apiVersion].filter(Boolean),
+      source: typeRef
+    }
+  }];
+  const edges = [];
+
+  if (getCompositionMode(composition) === 'Pipeline') {
+    let previous = 'composite';
+    (composition.spec?.pipeline || []).forEach((step, index) => {
+      const id = `step-${index}`;
+      const credentials = (step.credentials || []).map(c =>
+        `credentials: ${c.name}${c.secretRef ? ` (${c.secretRef.namespace}/${c.secretRef.name})` : ''}`
+      );
+      nodes.push({
+        id,
+        type: 'composition',
+        position: { x: 0, y: (index + 1) * 150 },
+        data: {
+          type: 'step',
+          badge: `Step ${index + 1}`,
+          title: step.step,
+          lines: [
+            `function: ${step.functionRef?.name}`,
+            step.input ? `input: ${step.input.kind} (${step.input.apiVersion})` : 'no input',
+            ...credentials
+          ],
+          source: step
+        }
+      });
+      edges.push({ id: `edge-${previous}-${id}`, source: previous, target: id, animated: true, style: { stroke: nodeColors.step } });
+      previous = id;
+    });
+    return { nodes, edges };
+  }
+
+  const patchSets = Object.fromEntries((composition.spec?.patchSets || []).map(set => [set.name, set.patches || []]));
+  const resources = composition.spec?.resources || [];
+  const spacing = 320;
+  resources.forEach((resource, index) => {
+    const id = `resource-${index}`;
+    // Patch sets are expanded so each resource shows what it actually gets
+    const patches = (resource.patches || []).flatMap(patch =>
+      patch.type === 'PatchSet' && patchSets[patch.patchSetName] ? patchSets[patch.patchSetName] : [patch]
+    );
+    const toComposite = patches.filter(p => p.type === 'ToCompositeFieldPath' || p.type === 'CombineToComposite');
+
+    nodes.push({
+      id,
+      type: 'composition',
+      position: { x: (index - (resources.length - 1) / 2) * spacing, y: 200 },
+      data: {
+        type: 'resource',
+        badge: resource.base?.kind || 'Resource',
+        title: resource.name || `resource ${index + 1}`,
+        lines: patches.length > 0 ? patches.map(describePatch) : ['no patches'],
+        source: resource
+      }
+    });
+    edges.push({
+      id: `edge-composite-${id}`,
+      source: 'composite',
+      target: id,
+      animated: true,
+      label: `${patches.length - toComposite.length} patches`,
+      style: { stroke: nodeColors.composite }
+    });
+    if (toComposite.length > 0) {
+      edges.push({
+        id: `edge-${id}-composite`,
+        source: id,
+        target: 'composite',
+        label: `${toComposite.length} to XR`,
+        style: { stroke: '#94a3b8', strokeDasharray: '5,5' }
+      });
+    }
+  });
+  return { nodes, edges };
+};
+
+const CompositionFlow = ({ composition }) => {
+  const [selectedNode, setSelectedNode] = useState(null);
+  const nodeTypes = useMemo(() => ({ composition: CompositionNode }), []);
+  const { nodes, edges } = useMemo(() => buildCompositionGraph(composition), [composition]);
+
+  useEffect(() => {
+    setSelectedNode(null);
+  }, [composition]);
+
+  const onNodeClick = useCallback((event, node) => {
+    setSelectedNode(prev => (prev?.id === node.id ? null : node));
+  }, []);
+
+  return (
+    <div className="flex flex-1 min-h-0 space-x-4">
+      <div className="graph-container flex-1 rounded-lg border border-gray-200 overflow-hidden">
+        <ReactFlow
+          nodes={nodes}
+          edges={edges}
+          nodeTypes={nodeTypes}
+          onNodeClick={onNodeClick}
+          fitView
+          fitViewOptions={{ padding: 0.3 }}
+          minZoom={0.3}
+          maxZoom={2.0}
+          nodesDraggable={false}
+          nodesConnectable={false}
+          elementsSelectable={true}
+          defaultEdgeOptions={{
+            type: 'smoothstep',
+            style: { stroke: '#94a3b8', strokeWidth: 2 }
+          }}
+          style={{ background: 'rgb(249, 250, 251)' }}
+        >
+          <Background />
+          <Controls />
+        </ReactFlow>
+      </div>
+      {selectedNode && (
+        <div className="w-80 shrink-0 flex flex-col bg-white rounded-lg border border-gray-200 overflow-hidden">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <h4 className="text-sm font-medium text-gray-900 truncate">{selectedNode.data.title}</h4>
+            <button onClick={() => setSelectedNode(null)} className="rounded p-1 hover:bg-gray-100 text-gray-500">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <pre className="flex-1 overflow-auto p-4 text-xs font-mono text-gray-800 whitespace-pre">
+            {toYAML(selectedNode.data.source)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Every Composition with its composite type, mode and the XRs using it
+// selectRequest ({ name }) selects a composition from outside, e.g. the
+// command palette
+const CompositionsView = ({ context, selectRequest = null }) => {
+  const [compositions, setCompositions] = useState([]);
+  const [xrs, setXrs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedName, setSelectedName] = useState(null);
+  const [detailTab, setDetailTab] = useState('flow');
+  const [yamlResource, setYamlResource] = useState(null);
+
+  // fresh skips cached results, for the Refresh button
+  const load = useCallback(async ({ fresh = false } = {}) => {
+    if (!context) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [foundCompositions, foundXrs] = await Promise.all([fetchCompositions({ fresh }), fetchAllCompositeResources()]);
+      setCompositions(foundCompositions);
+      setXrs(foundXrs);
+    } catch (err) {
+      setError(err.message);
+      setCompositions([]);
+      setXrs([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [context]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (selectRequest) setSelectedName(selectRequest.name);
+  }, [selectRequest]);
+
+  const xrsByComposition = useMemo(() => xrs.reduce((acc, xr) => {
+    const name = getCompositionName(xr);
+    if (name) {
+      (acc[name] = acc[name] || []).push(xr);
+    }
+    return acc;
+  }, {}), [xrs]);
+
+  const sorted = useMemo(() => [...compositions].sort((a, b) => a.metadata.name.localeCompare(b.metadata.name)), [compositions]);
+  const selected = compositions.find(c => c.metadata.name === selectedName) || null;
+  const selectedXrs = selected ? xrsByComposition[selected.metadata.name] || [] : [];
+
+  return (
+    <div className="h-full max-w-7xl mx-auto p-6 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-6 shrink-0">
+        <div className="flex items-center space-x-3">
+          <svg className="w-6 h-6 text-indigo-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1V5zm10 0a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1V5zM4 15a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1v-4zm10 0a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z" />
+          </svg>
+          <h2 className="text-2xl font-semibold text-gray-900">Compositions</h2>
+          <span className="text-sm text-gray-500">{compositions.length}</span>
+        </div>
+        <button
+          onClick={() => load({ fresh: true })}
+          disabled={loading}
+          className="flex items-center space-x-1 rounded-lg px-3 py-2 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50"
+        >
+          <span>{loading ? 'Loading...' : 'Refresh'}</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="shrink-0 mb-4 text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>
+      )}
+
+      <div className="flex-1 min-h-0 grid grid-cols-3 gap-6">
+        <div className="overflow-y-auto bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {sorted.map(composition => {
+            const typeRef = composition.spec?.compositeTypeRef || {};
+            const count = (xrsByComposition[composition.metadata.name] || []).length;
+            return (
+              <button
+                key={composition.metadata.uid}
+                onClick={() => setSelectedName(composition.metadata.name)}
+                className={`w-full text-left px-4 py-3 transition-colors ${
+                  composition.metadata.name === selectedName ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-blue-600 truncate">{composition.metadata.name}</span>
+                  <span className="ml-2 shrink-0 px-2 py-0.5 rounded bg-gray-100 text-xs font-medium text-gray-600">
+                    {getCompositionMode(composition)}
+                  </span>
+                </div>
+                <div className="mt-1 text-xs text-gray-500 truncate" title={typeRef.apiVersion}>
+                  {typeRef.kind} · {count} {count === 1 ? 'XR' : 'XRs'} · {formatAge(composition.metadata.creationTimestamp)}
+                </div>
+              </button>
+            );
+          })}
+          {!loading && sorted.length === 0 && (
+            <div className="p-6 text-center text-gray-500">No compositions found.</div>
+          )}
+        </div>
+
+        <div className="col-span-2 flex flex-col min-h-0">
+          {selected ? (
+            <>
+              <div className="shrink-0 flex items-center justify-between mb-3">
+                <div className="min-w-0">
+                  <h3 className="text-lg font-medium text-gray-900 truncate">{selected.metadata.name}</h3>
+                  <div className="text-sm text-gray-500">
+                    {selected.spec?.compositeTypeRef?.apiVersion} {selected.spec?.compositeTypeRef?.kind} · {getCompositionMode(selected)} mode
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 shrink-0">
+                  {['flow', 'revisions'].map(tab => (
+                    <button
+                      key={tab}
+                      onClick={() => setDetailTab(tab)}
+                      className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                        detailTab === tab ? 'text-blue-700 bg-blue-50' : 'text-gray-600 hover:bg-gray-100'
+                      }`}
+                    >
+                      {tab === 'flow' ? 'Flow' : 'Revisions'}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => setYamlResource(selected)}
+                    className="px-3 py-1.5 text-sm font-medium text-gray-600 rounded-lg hover:bg-gray-100 transition-colors"
+                  >
+                    View YAML
+                  </button>
+                </div>
+              </div>
+              {detailTab === 'revisions' ? (
+                <CompositionRevisions composition={selected} xrs={selectedXrs} onChanged={load} />
+              ) : (
+                <CompositionFlow composition={selected} />
+              )}
+              <div className={`shrink-0 mt-4 max-h-40 overflow-y-auto ${detailTab === 'flow' ? '' : 'hidden'}`}>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Used by {selectedXrs.length} {selectedXrs.length === 1 ? 'XR' : 'XRs'}</h4>
+                <div className="flex flex-wrap gap-2">
+                  {selectedXrs.map(xr => (
+                    <button
+                      key={xr.metadata.uid}
+                      onClick={() => setYamlResource(xr)}
+                      className="px-2.5 py-1 rounded-full bg-purple-50 text-xs font-medium text-purple-700 hover:bg-purple-100"
+                    >
+                      {xr.kind}/{xr.metadata.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </>
+          ) : (
+            <div className="flex-1 flex items-center justify-center text-gray-500">
+              Select a composition to see how it composes resources
+            </div>
+          )}
+        </div>
+      </div>
+
+      {yamlResource && (
+        <YAMLModal resource={yamlResource} onClose={() => setYamlResource(null)} />
+      )}
+    </div>
+  );
+};
+
+export default CompositionsView;
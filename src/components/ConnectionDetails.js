@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  copySecretValue,
+  fetchPromisedConnectionKeys,
+  fetchSecretKeys,
+  getConnectionSecretRef,
+  revealSecretValue
+} from '../services/k8sService';
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KiB`);
+
+// One key of the connection secret. The value is only fetched when revealed
+// or copied, and forgotten again when hidden.
+const SecretKeyRow = ({ secretRef, context, entry }) => {
+  const [value, setValue] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 3000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  const toggleReveal = async () => {
+    if (value !== null) {
+      setValue(null);
+      return;
+    }
+    setBusy(true);
+    try {
+      setValue(await revealSecretValue(secretRef, entry.key, context));
+    } catch (err) {
+      setNotice(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copy = async () => {
+    setBusy(true);
+    try {
+      const clearAfter = await copySecretValue(secretRef, entry.key, context);
+      setNotice(`Copied, clears in ${Math.round(clearAfter / 1000)}s`);
+    } catch (err) {
+      setNotice(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 min-w-0">
+          <span className="font-mono text-sm font-medium text-gray-900 truncate">{entry.key}</span>
+          <span className="text-xs text-gray-400">{formatSize(entry.size)}</span>
+        </div>
+        <div className="flex items-center space-x-1 shrink-0">
+          {notice && <span className="mr-1 text-xs text-gray-500">{notice}</span>}
+          <button
+            onClick={toggleReveal}
+            disabled={busy}
+            className="px-2 py-1 text-xs font-medium text-blue-700 rounded hover:bg-blue-100 disabled:opacity-50"
+          >
+            {value !== null ? 'Hide' : 'Reveal'}
+          </button>
+          <button
+            onClick={copy}
+            disabled={busy}
+            className="px-2 py-1 text-xs font-medium text-blue-700 rounded hover:bg-blue-100 disabled:opacity-50"
+          >
+            Copy
+          </button>
+        </div>
+      </div>
+      <div className="mt-1 font-mono text-sm text-gray-700 break-all whitespace-pre-wrap">
+        {value !== null ? value : '••••••••'}
+      </div>
+    </div>
+  );
+};
+
+// The keys of the secret a claim or XR writes its connection details to,
+// checked against the keys its composition promises. Status updates to the
+// resource don't reload it, only a change of secret does. context is the one
+// the resource lives in.
+const ConnectionDetails = ({ resource, context }) => {
+  const [secret, setSecret] = useState(null);
+  const [promised, setPromised] = useState(null);
+  const [loading, setLoading] = useState(() => Boolean(getConnectionSecretRef(resource)));
+  const [error, setError] = useState(null);
+  const resourceRef = useRef(resource);
+  resourceRef.current = resource;
+
+  const secretRef = getConnectionSecretRef(resource);
+  const secretName = secretRef?.name;
+  const secretNamespace = secretRef?.namespace;
+
+  const load = useCallback(async () => {
+    if (!secretName) return;
+    const ref = { name: secretName, namespace: secretNamespace };
+    setLoading(true);
+    setError(null);
+    try {
+      const [keys, expected] = await Promise.all([
+        fetchSecretKeys(ref, context),
+        fetchPromisedConnectionKeys(resourceRef.current, context).catch(err => {
+          console.warn('Failed to read the promised connection keys:', err);
+          return null;
+        })
+      ]);
+      setSecret(keys);
+      setPromised(expected);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [secretName, secretNamespace, context]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const presentKeys = new Set((secret?.keys || []).map(entry => entry.key));
+  const missing = (promised || []).filter(key => !presentKeys.has(key));
+
+  return (
+    <div className="border-t border-gray-200 pt-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Connection Details</h3>
+        {secretRef && (
+          <div className="flex items-center space-x-2">
+            <span className="text-xs text-gray-500 font-mono">{secretRef.namespace}/{secretRef.name}</span>
+            <button
+              onClick={load}
+              disabled={loading}
+              className="px-2 py-1 text-xs font-medium text-gray-600 rounded hover:text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+            >
+              {loading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!secretRef ? (
+        <div className="text-sm text-gray-500">This resource doesn't write a connection secret.</div>
+      ) : error ? (
+        <div className="text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>
+      ) : (
+        <div className="space-y-2">
+          {!loading && !secret && (
+            <div className="text-sm text-amber-800 bg-amber-50 border border-amber-200 px-4 py-2 rounded-lg">
+              The connection secret doesn't exist yet.
+            </div>
+          )}
+          {missing.length > 0 && (
+            <div className="text-sm text-amber-800 bg-amber-50 border border-amber-200 px-4 py-2 rounded-lg">
+              <div className="font-medium">Missing keys promised by the composition</div>
+              <div className="mt-1 font-mono text-xs">{missing.join(', ')}</div>
+            </div>
+          )}
+          {secret?.keys.map(entry => (
+            <SecretKeyRow key={entry.key} secretRef={secretRef} context={context} entry={entry} />
+          ))}
+          {secret && secret.keys.length === 0 && (
+            <div className="text-sm text-gray-500">The connection secret has no keys.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionDetails;
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+
+// Copies a link to the clipboard and confirms it for a moment
+const CopyLinkButton = ({ link, className = '' }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (err) {
+      console.warn('Failed to copy link:', err);
+    }
+  };
+
+  return (
+    <button onClick={copy} className={`flex items-center space-x-2 ${className}`} title={link}>
+      <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+      </svg>
+      <span>{copied ? 'Copied' : 'Copy Link'}</span>
+    </button>
+  );
+};
+
+export default CopyLinkButton;
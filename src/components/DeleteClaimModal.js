@@ -0,0 +1,358 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  fetchResourceTrace,
+  flattenTrace,
+  deleteClaim,
+  watchResource,
+  resolveResource,
+  buildResourcePath,
+  STUCK_DELETION_MS
+} from '../services/k8sService';
+
+// Managed resources keep their external resource when the deletion policy is
+// Orphan, or when management policies don't allow deleting
+const getDeletionPolicy = (resource) => {
+  const managementPolicies = resource.spec?.managementPolicies;
+  if (resource.spec?.deletionPolicy === 'Orphan') return 'Orphan';
+  if (Array.isArray(managementPolicies) && !managementPolicies.includes('*') && !managementPolicies.includes('Delete')) {
+    return 'Orphan';
+  }
+  return 'Delete';
+};
+
+const isComposite = (resource) => Array.isArray(resource.spec?.resourceRefs);
+
+const describeProgress = (entry, now) => {
+  if (entry.gone) return { label: 'Deleted', className: 'bg-green-100 text-green-800' };
+  const deletionTimestamp = entry.object.metadata.deletionTimestamp;
+  if (!deletionTimestamp) return { label: 'Waiting', className: 'bg-gray-100 text-gray-700' };
+  if (now - new Date(deletionTimestamp).getTime() > STUCK_DELETION_MS) {
+    return { label: 'Stuck', className: 'bg-red-100 text-red-800' };
+  }
+  return { label: 'Deleting', className: 'bg-amber-100 text-amber-800' };
+};
+
+const DeleteClaimModal = ({ isOpen, onClose, onDeleted, claim }) => {
+  const [phase, setPhase] = useState('loading'); // loading, confirm, deleting, done
+  const [error, setError] = useState(null);
+  const [resources, setResources] = useState([]);
+  const [confirmation, setConfirmation] = useState('');
+  // Deletion progress keyed by UID: { object, gone }
+  const [progress, setProgress] = useState({});
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!isOpen || !claim) return;
+
+    const loadImpact = async () => {
+      setPhase('loading');
+      setError(null);
+      setConfirmation('');
+      setProgress({});
+      try {
+        const trace = await fetchResourceTrace(claim, claim.claimContext);
+        setResources(flattenTrace(trace));
+        setPhase('confirm');
+      } catch (err) {
+        // Still allow deleting a claim whose XR can't be traced
+        setError(`Could not determine the impact: ${err.message}`);
+        setResources([]);
+        setPhase('confirm');
+      }
+    };
+
+    loadImpact();
+  }, [isOpen, claim]);
+
+  // Track every object, the claim included, until it's gone
+  const tracked = useMemo(
+    () => (claim ? [{ resource: claim, depth: -1 }, ...resources] : resources),
+    [claim, resources]
+  );
+  const trackedKey = phase === 'deleting'
+    ? [...new Set(tracked.map(({ resource }) => `${resource.apiVersion}|${resource.kind}`))].sort().join(',')
+    : '';
+
+  // Follow deletion through watches: SYNC tells us what still exists,
+  // MODIFIED shows finalizers clearing and DELETED marks an object gone
+  useEffect(() => {
+    if (!trackedKey) return;
+
+    let cancelled = false;
+    const unsubscribers = [];
+    const uids = new Set(tracked.map(({ resource }) => resource.metadata.uid));
+    const context = claim?.claimContext;
+
+    const handleEvent = (event) => {
+      if (event.type === 'SYNC') {
+        const [apiVersion, kind] = event.target;
+        const present = new Map(event.items.map(item => [item.metadata.uid, item]));
+        setProgress(prev => {
+          const next = { ...prev };
+          tracked
+            .filter(({ resource }) => resource.apiVersion === apiVersion && resource.kind === kind)
+            .forEach(({ resource }) => {
+              const uid = resource.metadata.uid;
+              next[uid] = present.has(uid)
+                ? { object: present.get(uid), gone: false }
+                : { object: next[uid]?.object || resource, gone: true };
+            });
+          return next;
+        });
+        return;
+      }
+
+      const uid = event.object?.metadata?.uid;
+      if (!uids.has(uid)) return;
+      setProgress(prev => ({
+        ...prev,
+        [uid]: { object: event.object, gone: event.type === 'DELETED' }
+      }));
+    };
+
+    trackedKey.split(',').forEach(async (target) => {
+      const [apiVersion, kind] = target.split('|');
+      const resolved = await resolveResource(apiVersion, kind, context);
+      if (!cancelled) {
+        unsubscribers.push(watchResource(buildResourcePath(resolved), event => {
+          handleEvent({ ...event, target: [apiVersion, kind] });
+        }, context));
+      }
+    });
+
+    const timer = setInterval(() => setNow(Date.now()), 10000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [trackedKey, tracked, claim]);
+
+  const allGone = phase === 'deleting' &&
+    tracked.length > 0 &&
+    tracked.every(({ resource }) => progress[resource.metadata.uid]?.gone);
+
+  useEffect(() => {
+    if (allGone) {
+      setPhase('done');
+    }
+  }, [allGone]);
+
+  const handleDelete = async () => {
+    setError(null);
+    try {
+      await deleteClaim(claim, claim.claimContext);
+      setProgress(Object.fromEntries(tracked.map(({ resource }) => [
+        resource.metadata.uid,
+        { object: resource, gone: false }
+      ])));
+      setNow(Date.now());
+      setPhase('deleting');
+      onDeleted?.(claim);
+    } catch (err) {
+      setError(`Failed to delete claim: ${err.message}`);
+    }
+  };
+
+  if (!isOpen || !claim) return null;
+
+  const managed = resources.filter(({ resource }) => !isComposite(resource));
+  const orphanCount = managed.filter(({ resource }) => getDeletionPolicy(resource) === 'Orphan').length;
+  const stuckCount = phase === 'deleting'
+    ? tracked.filter(({ resource }) => {
+      const entry = progress[resource.metadata.uid];
+      return entry && describeProgress(entry, now).label === 'Stuck';
+    }).length
+    : 0;
+  const showProgress = phase === 'deleting' || phase === 'done';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl w-full max-w-4xl max-h-[85vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center shrink-0">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">
+              {showProgress ? 'Deleting' : 'Delete'} {claim.kind}/{claim.metadata.name}
+            </h3>
+            <p className="text-sm text-gray-500 mt-1">
+              {showProgress
+                ? 'Tracking deletion as finalizers clear'
+                : 'The following resources will be garbage-collected with this claim'}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {phase === 'loading' ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+              <span className="ml-3 text-gray-600">Working out what will be deleted...</span>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{error}</div>
+              )}
+
+              {!showProgress && managed.length > 0 && (
+                <div className="flex flex-wrap gap-2 text-sm">
+                  <span className="px-3 py-1 rounded-full bg-red-100 text-red-800">
+                    {managed.length - orphanCount} external {managed.length - orphanCount === 1 ? 'resource' : 'resources'} deleted
+                  </span>
+                  {orphanCount > 0 && (
+                    <span className="px-3 py-1 rounded-full bg-amber-100 text-amber-800">
+                      {orphanCount} orphaned (kept in the provider)
+                    </span>
+                  )}
+                  {claim.spec?.compositeDeletePolicy && (
+                    <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">
+                      Composite delete policy: {claim.spec.compositeDeletePolicy}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {stuckCount > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                  {stuckCount} {stuckCount === 1 ? 'resource has' : 'resources have'} been deleting for more than
+                  {' '}{STUCK_DELETION_MS / 60000} minutes. Check the listed finalizers and the provider's logs.
+                </div>
+              )}
+
+              {phase === 'done' && (
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-700">
+                  The claim and all of its resources have been deleted.
+                </div>
+              )}
+
+              <div className="font-mono bg-gray-50 rounded-lg border border-gray-200 overflow-hidden">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="px-4 py-2 text-left font-medium text-gray-600">RESOURCE</th>
+                      <th className="px-4 py-2 text-left font-medium text-gray-600">EXTERNAL RESOURCE</th>
+                      {showProgress && (
+                        <>
+                          <th className="px-4 py-2 text-left font-medium text-gray-600">FINALIZERS</th>
+                          <th className="px-4 py-2 text-center font-medium text-gray-600">PROGRESS</th>
+                        </>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {(showProgress ? tracked : resources).map(({ resource, depth }) => {
+                      const entry = progress[resource.metadata.uid];
+                      const current = entry?.object || resource;
+                      const policy = getDeletionPolicy(resource);
+                      const status = entry && describeProgress(entry, now);
+                      return (
+                        <tr key={resource.metadata.uid} className={policy === 'Orphan' && !isComposite(resource) && depth >= 0 ? 'bg-amber-50' : ''}>
+                          <td className="px-4 py-2 text-gray-800" style={{ paddingLeft: `${16 + Math.max(depth, 0) * 20}px` }}>
+                            {resource.kind}/{resource.metadata.name}
+                          </td>
+                          <td className="px-4 py-2">
+                            {depth < 0 ? (
+                              <span className="text-gray-400">claim</span>
+                            ) : isComposite(resource) ? (
+                              <span className="text-gray-400">composite</span>
+                            ) : policy === 'Orphan' ? (
+                              <span className="text-amber-700 font-medium">Orphan</span>
+                            ) : (
+                              <span className="text-red-700 font-medium">Delete</span>
+                            )}
+                          </td>
+                          {showProgress && (
+                            <>
+                              <td className="px-4 py-2 text-xs text-gray-600">
+                                {entry?.gone ? '-' : (current.metadata.finalizers || []).join(', ') || '-'}
+                              </td>
+                              <td className="px-4 py-2 text-center">
+                                {status && (
+                                  <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                                    {status.label}
+                                  </span>
+                                )}
+                              </td>
+                            </>
+                          )}
+                        </tr>
+                      );
+                    })}
+                    {!showProgress && resources.length === 0 && (
+                      <tr>
+                        <td colSpan={2} className="px-4 py-4 text-center text-gray-500">No composed resources found</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between shrink-0">
+          {phase === 'confirm' ? (
+            <>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <span>Type <span className="font-mono font-medium">{claim.metadata.name}</span> to confirm</span>
+                <input
+                  type="text"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm focus:border-red-500 focus:outline-none focus:ring-1 focus:ring-red-500"
+                />
+              </label>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleDelete}
+                  disabled={confirmation !== claim.metadata.name}
+                  className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                >
+                  Delete Claim
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <span className="text-sm text-gray-500">
+                {showProgress && `${tracked.filter(({ resource }) => progress[resource.metadata.uid]?.gone).length} of ${tracked.length} deleted`}
+              </span>
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+              >
+                Close
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteClaimModal;
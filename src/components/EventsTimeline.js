@@ -0,0 +1,143 @@
+import { useMemo, useState } from 'react';
+import { collectTraceEvents } from '../services/k8sService';
+import { formatAge, getEventTime } from '../utils/time';
+
+const eventCount = (event) => event.count || event.series?.count || 1;
+const toMillis = (timestamp) => (timestamp ? new Date(timestamp).getTime() : 0);
+
+// Merge events that repeat the same reason and message for one resource,
+// summing their counts and keeping the first and last time they were seen
+function collapseEvents(events) {
+  const groups = new Map();
+  events.forEach(event => {
+    const key = `${event.resource.uid}|${event.type}|${event.reason}|${event.message}`;
+    const time = getEventTime(event);
+    const first = event.firstTimestamp || time;
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...event, key, count: eventCount(event), first, last: time });
+      return;
+    }
+    group.count += eventCount(event);
+    if (first && (!group.first || toMillis(first) < toMillis(group.first))) group.first = first;
+    if (time && toMillis(time) > toMillis(group.last)) group.last = time;
+  });
+  return [...groups.values()];
+}
+
+// Chronological timeline of every event in a trace. Clicking an event shows
+// its resource in the trace tree, or in the graph through the side button.
+const EventsTimeline = ({ traceData, onSelectResource }) => {
+  const [type, setType] = useState('all');
+  const [reason, setReason] = useState('all');
+  const [resource, setResource] = useState('all');
+  const [collapse, setCollapse] = useState(true);
+
+  const events = useMemo(() => collectTraceEvents(traceData), [traceData]);
+
+  const reasons = useMemo(() => [...new Set(events.map(e => e.reason).filter(Boolean))].sort(), [events]);
+  const resources = useMemo(() => {
+    const byUid = new Map();
+    events.forEach(e => byUid.set(e.resource.uid, e.resource));
+    return [...byUid.values()].sort((a, b) => `${a.kind}/${a.name}`.localeCompare(`${b.kind}/${b.name}`));
+  }, [events]);
+
+  const timeline = useMemo(() => {
+    const filtered = events
+      .filter(e => type === 'all' || e.type === type)
+      .filter(e => reason === 'all' || e.reason === reason)
+      .filter(e => resource === 'all' || e.resource.uid === resource);
+    const rows = collapse
+      ? collapseEvents(filtered)
+      : filtered.map(e => ({ ...e, key: e.metadata?.uid, count: eventCount(e), first: e.firstTimestamp, last: getEventTime(e) }));
+    return rows.sort((a, b) => toMillis(b.last) - toMillis(a.last));
+  }, [events, type, reason, resource, collapse]);
+
+  const warnings = events.filter(e => e.type === 'Warning').length;
+  const selectClassName = 'rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-900 focus:border-blue-500 focus:outline-none';
+
+  return (
+    <div className="h-full flex flex-col bg-gray-50 rounded-lg border border-gray-200 overflow-hidden">
+      <div className="shrink-0 flex flex-wrap items-center gap-3 px-4 py-3 border-b border-gray-200 bg-white">
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+          {['all', 'Warning', 'Normal'].map(value => (
+            <button
+              key={value}
+              onClick={() => setType(value)}
+              className={`px-3 py-1.5 ${type === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {value === 'all' ? 'All' : value}
+            </button>
+          ))}
+        </div>
+        <select value={reason} onChange={(e) => setReason(e.target.value)} className={selectClassName}>
+          <option value="all">All reasons</option>
+          {reasons.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <select value={resource} onChange={(e) => setResource(e.target.value)} className={selectClassName}>
+          <option value="all">All resources</option>
+          {resources.map(r => <option key={r.uid} value={r.uid}>{r.kind}/{r.name}</option>)}
+        </select>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input type="checkbox" checked={collapse} onChange={(e) => setCollapse(e.target.checked)} />
+          <span>Collapse repeats</span>
+        </label>
+        <span className="ml-auto text-sm text-gray-500">
+          {events.length} {events.length === 1 ? 'event' : 'events'}
+          {warnings > 0 && <span className="text-amber-700"> · {warnings} {warnings === 1 ? 'warning' : 'warnings'}</span>}
+        </span>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-y-auto">
+        {timeline.map(event => {
+          const isWarning = event.type === 'Warning';
+          return (
+            <div
+              key={event.key}
+              onClick={() => onSelectResource(event.resource, 'trace')}
+              className="group flex items-start gap-3 px-4 py-3 border-b border-gray-100 bg-white hover:bg-blue-50 cursor-pointer"
+            >
+              <div className="w-12 shrink-0 pt-0.5 text-xs text-gray-500" title={event.last ? new Date(event.last).toLocaleString() : ''}>
+                {formatAge(event.last)}
+              </div>
+              <div className={`mt-1.5 w-2 h-2 shrink-0 rounded-full ${isWarning ? 'bg-amber-500' : 'bg-blue-400'}`} />
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className={`font-medium ${isWarning ? 'text-amber-800' : 'text-gray-900'}`}>{event.reason || event.type}</span>
+                  {event.count > 1 && (
+                    <span
+                      className="px-1.5 py-0.5 rounded bg-gray-100 text-xs font-medium text-gray-700"
+                      title={event.first ? `First seen ${new Date(event.first).toLocaleString()}` : ''}
+                    >
+                      ×{event.count}
+                    </span>
+                  )}
+                  <span className="text-xs text-gray-500">{event.resource.kind}/{event.resource.name}</span>
+                </div>
+                <div className="mt-0.5 text-sm text-gray-700 break-words">{event.message}</div>
+              </div>
+              {event.resource.role !== 'composition' && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onSelectResource(event.resource, 'graph');
+                  }}
+                  className="shrink-0 px-2 py-1 text-xs text-blue-600 rounded opacity-0 group-hover:opacity-100 hover:bg-blue-100"
+                >
+                  Show in graph
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {timeline.length === 0 && (
+          <div className="p-8 text-center text-sm text-gray-500">
+            {events.length === 0 ? 'No events were recorded for the resources in this trace.' : 'No events match the filters.'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventsTimeline;
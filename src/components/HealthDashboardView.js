@@ -0,0 +1,221 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchHealthDashboard } from '../services/healthHistoryService';
+import { formatDuration } from '../utils/time';
+
+const RANGES = [1, 3, 7, 14];
+
+// Step line through [{ at, value }] points, in a 100 x 30 view box
+const stepPath = (points, since, now) => {
+  const x = (time) => ((Math.max(time, since) - since) / (now - since)) * 100;
+  const y = (value) => 30 - value * 28 - 1;
+  return points
+    .map((point, index) => {
+      const next = points[index + 1];
+      const end = next ? next.at : now;
+      return `${index === 0 ? 'M' : 'L'}${x(point.at)},${y(point.value)} L${x(end)},${y(point.value)}`;
+    })
+    .join(' ');
+};
+
+const ratio = (count, field) => count.total > 0 ? count[field] / count.total : 0;
+
+const NamespaceChart = ({ namespace, series, since, now }) => {
+  const latest = series[series.length - 1];
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-medium text-gray-900 truncate" title={namespace}>{namespace}</span>
+        <span className="ml-2 shrink-0 text-sm text-gray-500">
+          {latest.ready}/{latest.total} ready
+        </span>
+      </div>
+      <svg className="w-full h-16" viewBox="0 0 100 30" preserveAspectRatio="none">
+        <path
+          d={stepPath(series.map(count => ({ at: count.at, value: ratio(count, 'synced') })), since, now)}
+          className="stroke-blue-400"
+          fill="none"
+          strokeWidth={1}
+          strokeDasharray="2 1"
+          vectorEffect="non-scaling-stroke"
+        />
+        <path
+          d={stepPath(series.map(count => ({ at: count.at, value: ratio(count, 'ready') })), since, now)}
+          className="stroke-green-500"
+          fill="none"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+    </div>
+  );
+};
+
+// Health trends of the current context from the recorded history: ready
+// ratios per namespace, the claims that flap the most, and how long each
+// composition's claims take to become ready
+const HealthDashboardView = ({ context, revision, onSelectClaim }) => {
+  const [days, setDays] = useState(7);
+  const [dashboard, setDashboard] = useState(null);
+  const [range, setRange] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!context) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const now = Date.now();
+      setDashboard(await fetchHealthDashboard(context, days));
+      setRange({ since: now - days * 24 * 60 * 60 * 1000, now });
+    } catch (err) {
+      setError(err.message);
+      setDashboard(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [context, days]);
+
+  useEffect(() => {
+    load();
+  }, [load, revision]);
+
+  const namespaces = dashboard ? Object.keys(dashboard.namespaces).sort() : [];
+  const slowest = dashboard?.timeToReady.reduce((max, entry) => Math.max(max, entry.meanMs), 0) || 0;
+
+  return (
+    <div className="h-full max-w-7xl mx-auto p-6 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-6 shrink-0">
+        <div className="flex items-center space-x-3">
+          <svg className="w-6 h-6 text-green-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12h4l3-8 4 16 3-8h4" />
+          </svg>
+          <h2 className="text-2xl font-semibold text-gray-900">Health</h2>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          >
+            {RANGES.map(range => (
+              <option key={range} value={range}>Last {range} {range === 1 ? 'day' : 'days'}</option>
+            ))}
+          </select>
+          <button
+            onClick={load}
+            disabled={loading}
+            className="flex items-center space-x-1 rounded-lg px-3 py-2 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50"
+          >
+            <span>{loading ? 'Loading...' : 'Refresh'}</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="shrink-0 mb-4 text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>
+      )}
+
+      {dashboard && range && (
+        <div className="flex-1 overflow-y-auto space-y-8">
+          <section>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-medium text-gray-900">Ready claims by namespace</h3>
+              <div className="flex items-center space-x-4 text-xs text-gray-500">
+                <span className="flex items-center"><span className="w-4 h-0.5 bg-green-500 mr-1" />Ready</span>
+                <span className="flex items-center"><span className="w-4 h-0.5 bg-blue-400 mr-1" />Synced</span>
+              </div>
+            </div>
+            {namespaces.length > 0 ? (
+              <div className="grid grid-cols-3 gap-4">
+                {namespaces.map(namespace => (
+                  <NamespaceChart
+                    key={namespace}
+                    namespace={namespace}
+                    series={dashboard.namespaces[namespace]}
+                    since={range.since}
+                    now={range.now}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="bg-gray-50 rounded-lg p-6 text-center text-gray-500">
+                No history recorded yet. Claims are recorded while they are listed.
+              </div>
+            )}
+          </section>
+
+          <section>
+            <h3 className="text-lg font-medium text-gray-900 mb-3">Flapping claims</h3>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Claim</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Namespace</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Composition</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Ready changes</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Now</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {dashboard.flapping.map(claim => (
+                    <tr
+                      key={claim.uid}
+                      onClick={() => onSelectClaim(claim.uid)}
+                      className="cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="px-4 py-2">
+                        <span className="text-gray-500">{claim.kind}/</span>
+                        <span className="font-medium text-blue-600">{claim.name}</span>
+                      </td>
+                      <td className="px-4 py-2 text-gray-700">{claim.namespace}</td>
+                      <td className="px-4 py-2 text-gray-700">{claim.composition || '-'}</td>
+                      <td className="px-4 py-2 text-right font-medium text-gray-900">{claim.changes}</td>
+                      <td className={`px-4 py-2 text-right ${claim.ready ? 'text-green-600' : 'text-red-600'}`}>
+                        {claim.ready ? 'Ready' : 'Not ready'}
+                      </td>
+                    </tr>
+                  ))}
+                  {dashboard.flapping.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="px-4 py-6 text-center text-gray-500">No claim changed Ready more than once</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section>
+            <h3 className="text-lg font-medium text-gray-900 mb-3">Mean time to ready by composition</h3>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-3">
+              {dashboard.timeToReady.map(entry => (
+                <div key={entry.composition} className="flex items-center space-x-3 text-sm">
+                  <span className="w-56 shrink-0 truncate text-gray-700" title={entry.composition}>{entry.composition}</span>
+                  <div className="flex-1 h-4 bg-gray-100 rounded">
+                    <div
+                      className="h-4 bg-blue-500 rounded"
+                      style={{ width: `${slowest > 0 ? Math.max((entry.meanMs / slowest) * 100, 1) : 0}%` }}
+                    />
+                  </div>
+                  <span
+                    className="w-40 shrink-0 text-right text-gray-600"
+                    title={`Slowest: ${formatDuration(entry.maxMs)}`}
+                  >
+                    {formatDuration(entry.meanMs)} · {entry.samples} {entry.samples === 1 ? 'claim' : 'claims'}
+                  </span>
+                </div>
+              ))}
+              {dashboard.timeToReady.length === 0 && (
+                <div className="py-2 text-center text-gray-500">No claim became ready in this period</div>
+              )}
+            </div>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HealthDashboardView;
@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react';
+import { fetchClaimHealthHistory } from '../services/healthHistoryService';
+
+const DAYS = 7;
+
+// Spans of a condition from the claim's health records: [{ from, to, value }]
+// with value null where nothing was recorded
+const toSpans = ({ initial, records }, field, since, now) => {
+  const spans = [];
+  let from = since;
+  let value = initial ? initial[field] : null;
+  records.forEach(record => {
+    if (record[field] === value) return;
+    if (record.at > from) spans.push({ from, to: record.at, value });
+    from = record.at;
+    value = record[field];
+  });
+  spans.push({ from, to: now, value });
+  return spans;
+};
+
+const spanColor = (value) => value === null ? 'fill-gray-200' : value ? 'fill-green-500' : 'fill-red-500';
+
+const describeSpan = (label, { from, to, value }) => {
+  const state = value === null ? 'Not recorded' : value ? label : `Not ${label.toLowerCase()}`;
+  return `${state}: ${new Date(from).toLocaleString()} – ${new Date(to).toLocaleString()}`;
+};
+
+// Ready and Synced of a claim over the last days, from the recorded health
+// history. revision changes whenever new history is recorded.
+const HealthSparkline = ({ context, uid, revision }) => {
+  const [history, setHistory] = useState(null);
+  const [range, setRange] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const now = Date.now();
+    fetchClaimHealthHistory(context, uid, DAYS)
+      .then(result => {
+        if (cancelled) return;
+        setHistory(result);
+        setRange({ since: now - DAYS * 24 * 60 * 60 * 1000, now });
+      })
+      .catch(error => {
+        console.error('Error loading health history:', error);
+        if (!cancelled) setHistory(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [context, uid, revision]);
+
+  if (!history || !range) return null;
+
+  const { since, now } = range;
+  const x = (time) => ((time - since) / (now - since)) * 100;
+  const changes = history.records.filter((record, index) => {
+    const previous = index > 0 ? history.records[index - 1] : history.initial;
+    return previous && previous.ready !== record.ready;
+  }).length;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+        <span>Last {DAYS} days</span>
+        <span>{changes} Ready {changes === 1 ? 'change' : 'changes'}</span>
+      </div>
+      {[['ready', 'Ready'], ['synced', 'Synced']].map(([field, label]) => (
+        <div key={field} className="flex items-center space-x-2 mb-1">
+          <span className="w-12 shrink-0 text-xs text-gray-600">{label}</span>
+          <svg className="flex-1 h-3 rounded overflow-hidden" viewBox="0 0 100 10" preserveAspectRatio="none">
+            {toSpans(history, field, since, now).map(span => (
+              <rect
+                key={span.from}
+                x={x(span.from)}
+                y={0}
+                width={Math.max(x(span.to) - x(span.from), 0.2)}
+                height={10}
+                className={spanColor(span.value)}
+              >
+                <title>{describeSpan(label, span)}</title>
+              </rect>
+            ))}
+          </svg>
+        </div>
+      ))}
+      <div className="flex justify-between text-xs text-gray-400 ml-14">
+        <span>{new Date(since).toLocaleDateString()}</span>
+        <span>Now</span>
+      </div>
+    </div>
+  );
+};
+
+export default HealthSparkline;
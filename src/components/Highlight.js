@@ -0,0 +1,15 @@
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text with every case-insensitive occurrence of the terms marked
+const Highlight = ({ text, terms }) => {
+  const words = (terms || []).filter(Boolean);
+  if (!text || words.length === 0) return text || null;
+
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+  // split with a capture group puts the matches at the odd indexes
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">{part}</mark> : part
+  );
+};
+
+export default Highlight;
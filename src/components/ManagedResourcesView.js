@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { fetchManagedResources, isConditionTrue } from '../services/k8sService';
+import { formatAge } from '../utils/time';
+import YAMLModal from './YAMLModal';
+
+const EXTERNAL_NAME_ANNOTATION = 'crossplane.io/external-name';
+
+// The XR a managed resource was composed for, if any
+const getOwner = (resource) => {
+  const owner = resource.metadata.ownerReferences?.find(ref => ref.controller) ||
+    resource.metadata.ownerReferences?.[0];
+  if (owner) return `${owner.kind}/${owner.name}`;
+  return resource.metadata.labels?.['crossplane.io/composite'] || null;
+};
+
+const healthFilters = {
+  all: () => true,
+  healthy: resource => isConditionTrue(resource, 'Ready') && isConditionTrue(resource, 'Synced'),
+  unhealthy: resource => !isConditionTrue(resource, 'Ready') || !isConditionTrue(resource, 'Synced'),
+  notReady: resource => !isConditionTrue(resource, 'Ready'),
+  notSynced: resource => !isConditionTrue(resource, 'Synced')
+};
+
+const ownerFilters = {
+  all: () => true,
+  composed: resource => Boolean(getOwner(resource)),
+  standalone: resource => !getOwner(resource)
+};
+
+const StatusPill = ({ ok, label }) => (
+  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+    ok ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+  }`}>
+    {label}
+  </span>
+);
+
+// Every managed resource in the cluster, including ones created directly or
+// orphaned from their claim, found through API discovery rather than traces
+const ManagedResourcesView = ({ context }) => {
+  const [kinds, setKinds] = useState([]);
+  const [resources, setResources] = useState([]);
+  const [kindErrors, setKindErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [provider, setProvider] = useState('all');
+  const [kind, setKind] = useState('all');
+  const [health, setHealth] = useState('all');
+  const [owner, setOwner] = useState('all');
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!context) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchManagedResources();
+      setKinds(result.kinds);
+      setResources(result.resources);
+      setKindErrors(result.errors);
+    } catch (err) {
+      setError(err.message);
+      setResources([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [context]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Provider of each kind, keyed by apiVersion and kind
+  const providerOf = useMemo(() => {
+    const lookup = new Map();
+    kinds.forEach(k => lookup.set(`${k.apiVersion}|${k.kind}`, k.provider));
+    return lookup;
+  }, [kinds]);
+
+  const providers = useMemo(() => [...new Set(kinds.map(k => k.provider))].sort(), [kinds]);
+  const kindNames = useMemo(() => [...new Set(
+    kinds.filter(k => provider === 'all' || k.provider === provider).map(k => k.kind)
+  )].sort(), [kinds, provider]);
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return resources
+      .filter(resource => provider === 'all' || providerOf.get(`${resource.apiVersion}|${resource.kind}`) === provider)
+      .filter(resource => kind === 'all' || resource.kind === kind)
+      .filter(healthFilters[health])
+      .filter(ownerFilters[owner])
+      .filter(resource => !term ||
+        resource.metadata.name.toLowerCase().includes(term) ||
+        (resource.metadata.annotations?.[EXTERNAL_NAME_ANNOTATION] || '').toLowerCase().includes(term))
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.metadata.name.localeCompare(b.metadata.name));
+  }, [resources, providerOf, provider, kind, health, owner, search]);
+
+  const selectClassName = 'rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+  const failedKinds = Object.entries(kindErrors);
+
+  return (
+    <div className="h-full max-w-7xl mx-auto p-6 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-6 shrink-0">
+        <div className="flex items-center space-x-3">
+          <svg className="w-6 h-6 text-purple-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+          </svg>
+          <h2 className="text-2xl font-semibold text-gray-900">Managed Resources</h2>
+          <span className="text-sm text-gray-500">
+            {filtered.length === resources.length ? resources.length : `${filtered.length} of ${resources.length}`}
+          </span>
+        </div>
+        <button
+          onClick={load}
+          disabled={loading}
+          className="flex items-center space-x-1 rounded-lg px-3 py-2 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50"
+        >
+          <svg className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+          <span>{loading ? 'Loading...' : 'Refresh'}</span>
+        </button>
+      </div>
+
+      <div className="shrink-0 mb-4 flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search name or external name"
+          className={`${selectClassName} w-64`}
+        />
+        <select
+          value={provider}
+          onChange={(e) => {
+            setProvider(e.target.value);
+            setKind('all');
+          }}
+          className={selectClassName}
+        >
+          <option value="all">All providers</option>
+          {providers.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <select value={kind} onChange={(e) => setKind(e.target.value)} className={selectClassName}>
+          <option value="all">All kinds</option>
+          {kindNames.map(k => <option key={k} value={k}>{k}</option>)}
+        </select>
+        <select value={health} onChange={(e) => setHealth(e.target.value)} className={selectClassName}>
+          <option value="all">Any health</option>
+          <option value="healthy">Ready and synced</option>
+          <option value="unhealthy">Unhealthy</option>
+          <option value="notReady">Not ready</option>
+          <option value="notSynced">Not synced</option>
+        </select>
+        <select value={owner} onChange={(e) => setOwner(e.target.value)} className={selectClassName}>
+          <option value="all">Any owner</option>
+          <option value="composed">Owned by an XR</option>
+          <option value="standalone">No owning XR</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="shrink-0 mb-4 text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>
+      )}
+      {failedKinds.length > 0 && (
+        <div
+          className="shrink-0 mb-4 text-sm text-amber-800 bg-amber-50 border border-amber-200 px-4 py-2 rounded-lg"
+          title={failedKinds.map(([name, message]) => `${name}: ${message}`).join('\n')}
+        >
+          {failedKinds.length} {failedKinds.length === 1 ? 'kind' : 'kinds'} couldn't be listed
+        </div>
+      )}
+
+      <div className="flex-1 min-h-0 overflow-auto bg-white rounded-xl shadow-sm border border-gray-200">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0 text-left text-xs font-medium uppercase tracking-wide text-gray-500">
+            <tr>
+              <th className="px-4 py-3">Name</th>
+              <th className="px-4 py-3">Kind</th>
+              <th className="px-4 py-3">Provider</th>
+              <th className="px-4 py-3">External Name</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3">Age</th>
+              <th className="px-4 py-3">Owner</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {filtered.map(resource => (
+              <tr
+                key={resource.metadata.uid}
+                onClick={() => setSelected(resource)}
+                className="hover:bg-blue-50 cursor-pointer"
+              >
+                <td className="px-4 py-2">
+                  <div className="font-medium text-blue-600">{resource.metadata.name}</div>
+                  {resource.metadata.namespace && (
+                    <div className="text-xs text-gray-400">{resource.metadata.namespace}</div>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-gray-700" title={resource.apiVersion}>{resource.kind}</td>
+                <td className="px-4 py-2 text-gray-700">{providerOf.get(`${resource.apiVersion}|${resource.kind}`)}</td>
+                <td className="px-4 py-2 font-mono text-xs text-gray-600 break-all">
+                  {resource.metadata.annotations?.[EXTERNAL_NAME_ANNOTATION] || '—'}
+                </td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center space-x-1">
+                    <StatusPill ok={isConditionTrue(resource, 'Synced')} label="Synced" />
+                    <StatusPill ok={isConditionTrue(resource, 'Ready')} label="Ready" />
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-gray-500" title={new Date(resource.metadata.creationTimestamp).toLocaleString()}>
+                  {formatAge(resource.metadata.creationTimestamp)}
+                </td>
+                <td className="px-4 py-2 text-gray-700">
+                  {getOwner(resource) || <span className="text-gray-400">None</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && filtered.length === 0 && (
+          <div className="p-8 text-center text-gray-500">
+            {resources.length === 0 ? 'No managed resources found in this context.' : 'No managed resources match the filters.'}
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <YAMLModal resource={selected} onClose={() => setSelected(null)} />
+      )}
+    </div>
+  );
+};
+
+export default ManagedResourcesView;
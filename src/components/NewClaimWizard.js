@@ -0,0 +1,502 @@
+import { useEffect, useMemo, useState } from 'react';
+import yaml from 'js-yaml';
+import { fetchCompositeResourceDefinitions, createClaim, getReferenceableVersion } from '../services/k8sService';
+import { toYAML } from '../utils/yaml';
+import { schemaType, isFreeFormObject, buildDefaults, pruneEmpty, validateValue } from '../utils/openapi';
+
+// Kubernetes object names: lowercase RFC 1123 subdomain
+const NAME_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+
+const inputClassName = 'w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// Pick the version new claims should use: the referenceable one if served
+const getDefaultVersion = (xrd) => xrd.spec.versions.find(v => v.name === getReferenceableVersion(xrd));
+
+const getSpecSchema = (version) => version?.schema?.openAPIV3Schema?.properties?.spec;
+
+const FieldLabel = ({ name, type, required }) => (
+  <label className="block text-sm font-medium text-gray-700 mb-1">
+    {name}
+    {required && <span className="text-red-500 ml-0.5">*</span>}
+    <span className="ml-2 text-xs font-normal text-gray-400">{type}</span>
+  </label>
+);
+
+// Free-form objects have no declared properties, so edit them as YAML
+const FreeFormField = ({ value, onChange }) => {
+  const [text, setText] = useState(() => (value ? toYAML(value) : ''));
+  const [parseError, setParseError] = useState(null);
+
+  const handleBlur = () => {
+    if (!text.trim()) {
+      setParseError(null);
+      onChange(undefined);
+      return;
+    }
+    try {
+      onChange(yaml.load(text));
+      setParseError(null);
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={handleBlur}
+        rows={4}
+        placeholder="key: value"
+        className={`${inputClassName} font-mono`}
+      />
+      {parseError && <div className="text-xs text-red-600 mt-1">{parseError}</div>}
+    </div>
+  );
+};
+
+// Render the input for one schema node, recursing into objects and arrays
+const SchemaField = ({ name, schema, value, onChange, required, path, errors }) => {
+  const type = schemaType(schema);
+  const error = errors[path];
+  const help = schema.description && (
+    <p className="text-xs text-gray-500 mt-1 whitespace-pre-line">{schema.description}</p>
+  );
+  const errorText = error && <div className="text-xs text-red-600 mt-1">{name} {error}</div>;
+
+  if (type === 'object' && schema.properties) {
+    return (
+      <fieldset className="border border-gray-200 rounded-lg p-4 space-y-4">
+        <legend className="px-1 text-sm font-medium text-gray-700">
+          {name}
+          {required && <span className="text-red-500 ml-0.5">*</span>}
+        </legend>
+        {help}
+        {errorText}
+        {Object.entries(schema.properties).map(([key, child]) => (
+          <SchemaField
+            key={key}
+            name={key}
+            schema={child}
+            value={value?.[key]}
+            onChange={(childValue) => onChange({ ...(value || {}), [key]: childValue })}
+            required={(schema.required || []).includes(key)}
+            path={`${path}.${key}`}
+            errors={errors}
+          />
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (type === 'array') {
+    const items = Array.isArray(value) ? value : [];
+    const itemSchema = schema.items || {};
+    const newItem = () => buildDefaults(itemSchema, true) ?? (schemaType(itemSchema) === 'object' ? {} : undefined);
+
+    return (
+      <div>
+        <FieldLabel name={name} type={`${schemaType(itemSchema)}[]`} required={required} />
+        {help}
+        <div className="space-y-2 mt-2">
+          {items.map((item, index) => (
+            <div key={index} className="flex items-start gap-2">
+              <div className="flex-1">
+                <SchemaField
+                  name={`${name}[${index}]`}
+                  schema={itemSchema}
+                  value={item}
+                  onChange={(itemValue) => onChange(items.map((existing, i) => (i === index ? itemValue : existing)))}
+                  path={`${path}[${index}]`}
+                  errors={errors}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => onChange(items.filter((_, i) => i !== index))}
+                className="mt-6 px-2 py-1 text-sm text-gray-500 hover:text-red-600 hover:bg-red-50 rounded"
+                title="Remove item"
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange([...items, newItem()])}
+            className="px-3 py-1 text-sm text-blue-600 bg-blue-50 rounded hover:bg-blue-100"
+          >
+            Add item
+          </button>
+        </div>
+        {errorText}
+      </div>
+    );
+  }
+
+  let input;
+  if (isFreeFormObject(schema)) {
+    input = <FreeFormField value={value} onChange={onChange} />;
+  } else if (Array.isArray(schema.enum)) {
+    input = (
+      <select
+        value={value ?? ''}
+        onChange={(e) => {
+          const selected = schema.enum.find(option => String(option) === e.target.value);
+          onChange(selected);
+        }}
+        className={inputClassName}
+      >
+        <option value="">-- select --</option>
+        {schema.enum.map(option => (
+          <option key={String(option)} value={String(option)}>{String(option)}</option>
+        ))}
+      </select>
+    );
+  } else if (type === 'boolean') {
+    input = (
+      <input
+        type="checkbox"
+        checked={value === true}
+        onChange={(e) => onChange(e.target.checked)}
+        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+      />
+    );
+  } else if (type === 'integer' || type === 'number') {
+    input = (
+      <input
+        type="number"
+        value={value ?? ''}
+        min={schema.minimum}
+        max={schema.maximum}
+        step={type === 'integer' ? 1 : 'any'}
+        onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+        className={inputClassName}
+      />
+    );
+  } else {
+    input = (
+      <input
+        type="text"
+        value={value ?? ''}
+        placeholder={schema.default !== undefined ? String(schema.default) : ''}
+        onChange={(e) => onChange(e.target.value === '' ? undefined : e.target.value)}
+        className={inputClassName}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <FieldLabel name={name} type={type} required={required} />
+      {input}
+      {help}
+      {errorText}
+    </div>
+  );
+};
+
+// Wizard for creating a claim from an XRD's OpenAPI schema
+const NewClaimWizard = ({ isOpen, onClose, onCreated, namespaces = [], defaultNamespace }) => {
+  const [xrds, setXrds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [selectedXrdName, setSelectedXrdName] = useState('');
+  const [versionName, setVersionName] = useState('');
+  const [name, setName] = useState('');
+  const [namespace, setNamespace] = useState(defaultNamespace || 'default');
+  const [spec, setSpec] = useState(undefined);
+  const [showErrors, setShowErrors] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [dryRunPassed, setDryRunPassed] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNamespace(defaultNamespace || 'default');
+    }
+  }, [isOpen, defaultNamespace]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadXrds = async () => {
+      setLoading(true);
+      setLoadError(null);
+      try {
+        const items = await fetchCompositeResourceDefinitions();
+        setXrds(items.filter(xrd => xrd.spec?.claimNames?.kind));
+      } catch (err) {
+        setLoadError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadXrds();
+  }, [isOpen]);
+
+  const xrd = xrds.find(item => item.metadata.name === selectedXrdName);
+  const servedVersions = xrd ? xrd.spec.versions.filter(v => v.served) : [];
+  const version = servedVersions.find(v => v.name === versionName);
+  const specSchema = getSpecSchema(version);
+
+  const manifest = useMemo(() => {
+    if (!xrd || !version) return null;
+    return {
+      apiVersion: `${xrd.spec.group}/${version.name}`,
+      kind: xrd.spec.claimNames.kind,
+      metadata: { name, namespace },
+      spec: pruneEmpty(spec) || {}
+    };
+  }, [xrd, version, name, namespace, spec]);
+
+  const errors = useMemo(() => {
+    if (!manifest) return {};
+    const list = [];
+    if (!NAME_PATTERN.test(name)) {
+      list.push({ path: 'metadata.name', message: 'must be a lowercase DNS name' });
+    }
+    if (!NAME_PATTERN.test(namespace)) {
+      list.push({ path: 'metadata.namespace', message: 'must be a lowercase DNS name' });
+    }
+    list.push(...validateValue(manifest.spec, specSchema, 'spec'));
+    return list.reduce((acc, { path, message }) => {
+      if (!acc[path]) acc[path] = message;
+      return acc;
+    }, {});
+  }, [manifest, name, namespace, specSchema]);
+
+  const errorEntries = Object.entries(errors);
+  const visibleErrors = showErrors ? errors : {};
+
+  const selectXrd = (xrdName) => {
+    const next = xrds.find(item => item.metadata.name === xrdName);
+    const nextVersion = next ? getDefaultVersion(next) : null;
+    setSelectedXrdName(xrdName);
+    setVersionName(nextVersion?.name || '');
+    setSpec(buildDefaults(getSpecSchema(nextVersion), true));
+    setShowErrors(false);
+    setSubmitError(null);
+    setDryRunPassed(false);
+  };
+
+  const selectVersion = (nextVersionName) => {
+    setVersionName(nextVersionName);
+    setSpec(buildDefaults(getSpecSchema(servedVersions.find(v => v.name === nextVersionName)), true));
+    setDryRunPassed(false);
+  };
+
+  const handleClose = () => {
+    setSelectedXrdName('');
+    setVersionName('');
+    setName('');
+    setSpec(undefined);
+    setShowErrors(false);
+    setSubmitError(null);
+    setDryRunPassed(false);
+    onClose();
+  };
+
+  const submit = async (dryRun) => {
+    setShowErrors(true);
+    setDryRunPassed(false);
+    if (!manifest || errorEntries.length > 0) return;
+
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const created = await createClaim(xrd, manifest, { dryRun });
+      if (dryRun) {
+        setDryRunPassed(true);
+      } else {
+        onCreated?.(created);
+        handleClose();
+      }
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white rounded-xl w-full max-w-6xl h-[90vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center shrink-0">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">New Claim</h3>
+            <p className="text-sm text-gray-500 mt-1">Generate a claim from a Composite Resource Definition</p>
+          </div>
+          <button
+            onClick={handleClose}
+            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-hidden grid grid-cols-2 gap-6 p-6">
+          <div className="overflow-y-auto pr-2 space-y-4">
+            {loading ? (
+              <div className="flex items-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+                <span className="ml-3 text-gray-600">Loading definitions...</span>
+              </div>
+            ) : loadError ? (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-700 text-sm">{loadError}</div>
+            ) : (
+              <>
+                <div>
+                  <FieldLabel name="Definition" type="XRD" required />
+                  <select
+                    value={selectedXrdName}
+                    onChange={(e) => selectXrd(e.target.value)}
+                    className={inputClassName}
+                  >
+                    <option value="">-- select a claim kind --</option>
+                    {xrds.map(item => (
+                      <option key={item.metadata.name} value={item.metadata.name}>
+                        {item.spec.claimNames.kind} ({item.metadata.name})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {xrd && (
+                  <>
+                    {servedVersions.length > 1 && (
+                      <div>
+                        <FieldLabel name="Version" type="string" required />
+                        <select
+                          value={versionName}
+                          onChange={(e) => selectVersion(e.target.value)}
+                          className={inputClassName}
+                        >
+                          {servedVersions.map(v => (
+                            <option key={v.name} value={v.name}>
+                              {v.name}{v.referenceable ? ' (referenceable)' : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <FieldLabel name="Name" type="string" required />
+                        <input
+                          type="text"
+                          value={name}
+                          onChange={(e) => setName(e.target.value)}
+                          className={inputClassName}
+                        />
+                        {visibleErrors['metadata.name'] && (
+                          <div className="text-xs text-red-600 mt-1">Name {visibleErrors['metadata.name']}</div>
+                        )}
+                      </div>
+                      <div>
+                        <FieldLabel name="Namespace" type="string" required />
+                        <input
+                          type="text"
+                          list="new-claim-namespaces"
+                          value={namespace}
+                          onChange={(e) => setNamespace(e.target.value)}
+                          className={inputClassName}
+                        />
+                        <datalist id="new-claim-namespaces">
+                          {namespaces.map(ns => <option key={ns} value={ns} />)}
+                        </datalist>
+                        {visibleErrors['metadata.namespace'] && (
+                          <div className="text-xs text-red-600 mt-1">Namespace {visibleErrors['metadata.namespace']}</div>
+                        )}
+                      </div>
+                    </div>
+
+                    {specSchema ? (
+                      <SchemaField
+                        name="spec"
+                        schema={specSchema}
+                        value={spec}
+                        onChange={setSpec}
+                        required={(version.schema.openAPIV3Schema.required || []).includes('spec')}
+                        path="spec"
+                        errors={visibleErrors}
+                      />
+                    ) : (
+                      <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-500">
+                        This version has no spec schema.
+                      </div>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+          </div>
+
+          {/* YAML preview */}
+          <div className="flex flex-col min-h-0">
+            <h4 className="text-sm font-medium text-gray-500 mb-2 shrink-0">Preview</h4>
+            <div className="flex-1 bg-gray-50 rounded-lg border border-gray-200 overflow-auto">
+              <pre className="p-4 text-sm text-gray-800 font-mono whitespace-pre">
+                {manifest ? toYAML(manifest) : '# Select a definition to get started'}
+              </pre>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between shrink-0">
+          <div className="text-sm min-w-0 truncate">
+            {submitError ? (
+              <span className="text-red-600">{submitError}</span>
+            ) : showErrors && errorEntries.length > 0 ? (
+              <span className="text-red-600">
+                {errorEntries.length} {errorEntries.length === 1 ? 'field needs' : 'fields need'} attention
+              </span>
+            ) : dryRunPassed ? (
+              <span className="text-green-600">Server-side validation passed</span>
+            ) : null}
+          </div>
+          <div className="flex items-center space-x-2 shrink-0">
+            <button
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => submit(true)}
+              disabled={!manifest || submitting}
+              className="px-4 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+            >
+              Validate
+            </button>
+            <button
+              onClick={() => submit(false)}
+              disabled={!manifest || submitting}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {submitting ? 'Submitting...' : 'Create Claim'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewClaimWizard;
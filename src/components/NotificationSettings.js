@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { STUCK_DELETION_MS } from '../services/k8sService';
+
+const EVENTS = [
+  { id: 'regression', label: 'Health regressions', description: 'A claim stops being Ready or Synced.' },
+  { id: 'created', label: 'New claims', description: 'A claim appears in a listed context.' },
+  { id: 'deleted', label: 'Deleted claims', description: 'A claim is gone from a listed context.' },
+  { id: 'stuckDeletion', label: 'Stuck deletions', description: `A claim has been deleting for over ${STUCK_DELETION_MS / 60000} minutes.` }
+];
+
+const RULE_FIELDS = [
+  { id: 'namespace', placeholder: 'Any namespace' },
+  { id: 'kind', placeholder: 'Any kind' },
+  { id: 'selector', placeholder: 'Labels, e.g. team=payments,tier!=db' }
+];
+
+const inputClass = 'min-w-0 rounded-lg border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// Notification preferences for the preferences screen. onChange receives a
+// patch for settings.notifications; rules are replaced as a whole.
+const NotificationSettings = ({ notifications = {}, onChange }) => {
+  // Rules are edited here and saved when a field loses focus, so typing
+  // isn't slowed down by a save per key
+  const [rules, setRules] = useState(notifications.rules || []);
+  const events = notifications.events || {};
+  const quietHours = notifications.quietHours || {};
+
+  const saveRules = (next) => {
+    setRules(next);
+    onChange({ rules: next });
+  };
+
+  const editRule = (index, field, value) =>
+    setRules(prev => prev.map((rule, i) => i === index ? { ...rule, [field]: value } : rule));
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-start space-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={notifications.enabled !== false}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        <div>
+          <div className="text-sm font-medium text-gray-900">Desktop notifications</div>
+          <div className="text-xs text-gray-500">Notify about changes to the listed claims. Clicking one opens the claim.</div>
+        </div>
+      </label>
+
+      {notifications.enabled !== false && (
+        <div className="ml-7 space-y-4">
+          <div className="space-y-2">
+            {EVENTS.map(({ id, label, description }) => (
+              <label key={id} className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Boolean(events[id])}
+                  onChange={(e) => onChange({ events: { [id]: e.target.checked } })}
+                  className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <div>
+                  <div className="text-sm text-gray-900">{label}</div>
+                  <div className="text-xs text-gray-500">{description}</div>
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-900">Only for claims matching</div>
+            <div className="text-xs text-gray-500 mb-2">
+              {rules.length === 0 ? 'Every claim notifies. Add a rule to narrow it down.' : 'Any of these rules; empty fields match anything.'}
+            </div>
+            <div className="space-y-2">
+              {rules.map((rule, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  {RULE_FIELDS.map(({ id, placeholder }) => (
+                    <input
+                      key={id}
+                      type="text"
+                      value={rule[id] || ''}
+                      placeholder={placeholder}
+                      onChange={(e) => editRule(index, id, e.target.value)}
+                      onBlur={() => onChange({ rules })}
+                      className={`${inputClass} ${id === 'selector' ? 'flex-[2]' : 'flex-1'}`}
+                    />
+                  ))}
+                  <button
+                    onClick={() => saveRules(rules.filter((_, i) => i !== index))}
+                    className="shrink-0 rounded-lg p-1 text-gray-400 hover:text-red-600 hover:bg-gray-100"
+                    title="Remove rule"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => saveRules([...rules, { namespace: '', kind: '', selector: '' }])}
+              className="mt-2 px-3 py-1 text-sm text-blue-700 hover:bg-blue-50 rounded-lg"
+            >
+              Add rule
+            </button>
+          </div>
+
+          <div className="flex items-center space-x-2 text-sm">
+            <label className="flex items-center space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={Boolean(quietHours.enabled)}
+                onChange={(e) => onChange({ quietHours: { enabled: e.target.checked } })}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="text-gray-900">Quiet hours from</span>
+            </label>
+            <input
+              type="time"
+              value={quietHours.start || '22:00'}
+              onChange={(e) => onChange({ quietHours: { start: e.target.value } })}
+              disabled={!quietHours.enabled}
+              className={inputClass}
+            />
+            <span className="text-gray-900">to</span>
+            <input
+              type="time"
+              value={quietHours.end || '07:00'}
+              onChange={(e) => onChange({ quietHours: { end: e.target.value } })}
+              disabled={!quietHours.enabled}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
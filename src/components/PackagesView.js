@@ -0,0 +1,347 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  fetchPackageKinds,
+  getPackageRevisions,
+  updatePackage,
+  activatePackageRevision,
+  fetchPackageRuntimeConfig,
+  watchResource,
+  listResources,
+  applyWatchEvent,
+  getCondition
+} from '../services/k8sService';
+import { formatAge } from '../utils/time';
+import YAMLModal from './YAMLModal';
+
+const ConditionPill = ({ resource, type }) => {
+  const condition = getCondition(resource, type);
+  const ok = condition?.status === 'True';
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+        ok ? 'bg-green-100 text-green-800' : condition ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-600'
+      }`}
+      title={condition?.message || condition?.reason || 'No status reported'}
+    >
+      {type}
+    </span>
+  );
+};
+
+const buttonClassName = 'px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-50';
+
+// One installed package with its settings and revision history
+const PackageCard = ({ pkg, revisions, onShowYaml }) => {
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [upgradeRef, setUpgradeRef] = useState(null);
+  const [confirmRevision, setConfirmRevision] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const runtimeConfigName = pkg.spec?.runtimeConfigRef?.name || pkg.spec?.controllerConfigRef?.name;
+  const policy = pkg.spec?.revisionActivationPolicy || 'Automatic';
+  const currentRevision = pkg.status?.currentRevision;
+
+  const run = async (action) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setActionError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const applyUpgrade = async () => {
+    if (await run(() => updatePackage(pkg, { package: upgradeRef.trim() }))) {
+      setUpgradeRef(null);
+    }
+  };
+
+  const changePolicy = (revisionActivationPolicy) =>
+    run(() => updatePackage(pkg, { revisionActivationPolicy }));
+
+  const activate = async (revision) => {
+    if (await run(() => activatePackageRevision(pkg, revision, revisions))) {
+      setConfirmRevision(null);
+    }
+  };
+
+  const showRuntimeConfig = () =>
+    run(async () => {
+      const config = await fetchPackageRuntimeConfig(pkg);
+      if (config) onShowYaml(config);
+    });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-start justify-between">
+        <div className="min-w-0">
+          <div className="flex items-center space-x-2">
+            <button onClick={() => onShowYaml(pkg)} className="text-lg font-medium text-blue-600 hover:underline truncate">
+              {pkg.metadata.name}
+            </button>
+            <span className="px-2 py-0.5 rounded bg-gray-100 text-xs font-medium text-gray-600">{pkg.kind}</span>
+          </div>
+          <div className="mt-1 font-mono text-xs text-gray-600 break-all">{pkg.spec?.package}</div>
+        </div>
+        <div className="flex items-center space-x-1 shrink-0">
+          <ConditionPill resource={pkg} type="Installed" />
+          <ConditionPill resource={pkg} type="Healthy" />
+        </div>
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 lg:grid-cols-4 gap-4 text-sm">
+        <div>
+          <div className="text-xs font-medium text-gray-500">Current Revision</div>
+          <div className="mt-1 text-gray-900 truncate" title={currentRevision}>{currentRevision || '—'}</div>
+        </div>
+        <div>
+          <div className="text-xs font-medium text-gray-500">Current Package</div>
+          <div className="mt-1 font-mono text-xs text-gray-900 break-all">
+            {pkg.status?.resolvedPackage || pkg.status?.currentIdentifier || '—'}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs font-medium text-gray-500">Activation Policy</div>
+          <select
+            value={policy}
+            onChange={(e) => changePolicy(e.target.value)}
+            disabled={busy}
+            className="mt-1 rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 focus:border-blue-500 focus:outline-none"
+          >
+            <option value="Automatic">Automatic</option>
+            <option value="Manual">Manual</option>
+          </select>
+        </div>
+        <div>
+          <div className="text-xs font-medium text-gray-500">Runtime Config</div>
+          {runtimeConfigName ? (
+            <button onClick={showRuntimeConfig} disabled={busy} className="mt-1 text-blue-600 hover:underline truncate">
+              {runtimeConfigName}
+            </button>
+          ) : (
+            <div className="mt-1 text-gray-500">default</div>
+          )}
+        </div>
+      </div>
+
+      {upgradeRef !== null && (
+        <div className="mt-4 flex items-center space-x-2">
+          <input
+            type="text"
+            value={upgradeRef}
+            onChange={(e) => setUpgradeRef(e.target.value)}
+            spellCheck={false}
+            className="flex-1 rounded-lg border border-gray-300 px-3 py-1.5 font-mono text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <button onClick={() => setUpgradeRef(null)} disabled={busy} className={`${buttonClassName} text-gray-700 hover:bg-gray-100`}>
+            Cancel
+          </button>
+          <button
+            onClick={applyUpgrade}
+            disabled={busy || !upgradeRef.trim() || upgradeRef.trim() === pkg.spec?.package}
+            className={`${buttonClassName} text-white bg-blue-600 hover:bg-blue-700`}
+          >
+            {busy ? 'Applying...' : 'Apply'}
+          </button>
+        </div>
+      )}
+
+      {actionError && (
+        <div className="mt-3 text-sm text-red-600 bg-red-50 px-3 py-2 rounded-lg">{actionError}</div>
+      )}
+
+      <div className="mt-4 flex items-center space-x-2">
+        {upgradeRef === null && (
+          <button
+            onClick={() => setUpgradeRef(pkg.spec?.package || '')}
+            className={`${buttonClassName} text-blue-700 bg-blue-50 hover:bg-blue-100`}
+          >
+            Change Version
+          </button>
+        )}
+        <button
+          onClick={() => setShowRevisions(!showRevisions)}
+          className={`${buttonClassName} text-gray-700 bg-gray-50 hover:bg-gray-100`}
+        >
+          {showRevisions ? 'Hide Revisions' : `Revisions (${revisions.length})`}
+        </button>
+      </div>
+
+      {showRevisions && (
+        <table className="mt-4 w-full text-sm">
+          <thead className="text-left text-xs font-medium uppercase tracking-wide text-gray-500 border-b border-gray-200">
+            <tr>
+              <th className="py-2 pr-3">Revision</th>
+              <th className="py-2 pr-3">Image</th>
+              <th className="py-2 pr-3">State</th>
+              <th className="py-2 pr-3">Health</th>
+              <th className="py-2 pr-3">Age</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {revisions.map(revision => {
+              const isActive = revision.spec?.desiredState === 'Active';
+              const isCurrent = revision.metadata.name === currentRevision;
+              return (
+                <tr key={revision.metadata.uid}>
+                  <td className="py-2 pr-3">
+                    <button onClick={() => onShowYaml(revision)} className="text-blue-600 hover:underline">
+                      {revision.spec?.revision}
+                    </button>
+                  </td>
+                  <td className="py-2 pr-3 font-mono text-xs text-gray-700 break-all">{revision.spec?.image}</td>
+                  <td className="py-2 pr-3">
+                    <span className={isActive ? 'text-green-700 font-medium' : 'text-gray-500'}>
+                      {revision.spec?.desiredState}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-3"><ConditionPill resource={revision} type="Healthy" /></td>
+                  <td className="py-2 pr-3 text-gray-500">{formatAge(revision.metadata.creationTimestamp)}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    {!isActive && !isCurrent && (confirmRevision === revision.metadata.uid ? (
+                      <span className="space-x-1">
+                        <button onClick={() => activate(revision)} disabled={busy} className={`${buttonClassName} text-white bg-amber-600 hover:bg-amber-700`}>
+                          Confirm
+                        </button>
+                        <button onClick={() => setConfirmRevision(null)} disabled={busy} className={`${buttonClassName} text-gray-700 hover:bg-gray-100`}>
+                          Cancel
+                        </button>
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => setConfirmRevision(revision.metadata.uid)}
+                        className={`${buttonClassName} text-amber-700 bg-amber-50 hover:bg-amber-100`}
+                      >
+                        Activate
+                      </button>
+                    ))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Installed providers, functions and configurations with their revisions
+const PackagesView = ({ context, live }) => {
+  const [kinds, setKinds] = useState([]);
+  // Objects of each package and revision collection, keyed by path
+  const [collections, setCollections] = useState({});
+  const [error, setError] = useState(null);
+  const [kindFilter, setKindFilter] = useState('all');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [yamlResource, setYamlResource] = useState(null);
+
+  useEffect(() => {
+    if (!context) return;
+
+    let cancelled = false;
+    const stops = [];
+    setCollections({});
+    setError(null);
+
+    fetchPackageKinds()
+      .then(async found => {
+        if (cancelled) return;
+        setKinds(found);
+        const paths = found.flatMap(kind => [kind.path, kind.revisionPath]);
+
+        if (live) {
+          paths.forEach(path => {
+            stops.push(watchResource(path, event => {
+              setCollections(prev => ({ ...prev, [path]: applyWatchEvent(prev[path] || [], event) }));
+            }));
+          });
+          return;
+        }
+
+        const lists = await Promise.all(paths.map(path => listResources(path)));
+        if (!cancelled) {
+          setCollections(Object.fromEntries(paths.map((path, index) => [path, lists[index]?.items || []])));
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      stops.forEach(stop => stop());
+    };
+  }, [context, live, reloadKey]);
+
+  const packages = useMemo(() => kinds
+    .filter(kind => kindFilter === 'all' || kind.kind === kindFilter)
+    .flatMap(kind => {
+      const revisions = collections[kind.revisionPath] || [];
+      return (collections[kind.path] || []).map(pkg => ({ pkg, revisions: getPackageRevisions(pkg, revisions) }));
+    })
+    .sort((a, b) => a.pkg.metadata.name.localeCompare(b.pkg.metadata.name)),
+  [kinds, collections, kindFilter]);
+
+  const countOf = (kind) => (collections[kinds.find(k => k.kind === kind)?.path] || []).length;
+
+  return (
+    <div className="h-full max-w-7xl mx-auto p-6 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-6 shrink-0">
+        <div className="flex items-center space-x-3">
+          <svg className="w-6 h-6 text-teal-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
+          </svg>
+          <h2 className="text-2xl font-semibold text-gray-900">Packages</h2>
+        </div>
+        <div className="flex items-center space-x-2">
+          {['all', ...kinds.map(k => k.kind)].map(kind => (
+            <button
+              key={kind}
+              onClick={() => setKindFilter(kind)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                kindFilter === kind ? 'bg-blue-100 text-blue-700 hover:bg-blue-200' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {kind === 'all' ? 'All' : `${kind}s (${countOf(kind)})`}
+            </button>
+          ))}
+          {!live && (
+            <button
+              onClick={() => setReloadKey(key => key + 1)}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+            >
+              Refresh
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="shrink-0 mb-4 text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>
+      )}
+
+      <div className="flex-1 min-h-0 overflow-y-auto space-y-4">
+        {packages.map(({ pkg, revisions }) => (
+          <PackageCard key={pkg.metadata.uid} pkg={pkg} revisions={revisions} onShowYaml={setYamlResource} />
+        ))}
+        {!error && packages.length === 0 && (
+          <div className="p-8 text-center text-gray-500">No packages installed.</div>
+        )}
+      </div>
+
+      {yamlResource && (
+        <YAMLModal resource={yamlResource} onClose={() => setYamlResource(null)} />
+      )}
+    </div>
+  );
+};
+
+export default PackagesView;
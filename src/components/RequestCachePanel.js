@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react';
+import { clearRequestCache, getRequestCacheStats, onRequestCacheChange } from '../services/requestCache';
+
+const formatSeconds = (ms) => `${Math.max(0, Math.round(ms / 1000))}s`;
+
+// Debug view of the request cache: hit, miss and deduplication counts and
+// what's cached right now
+const RequestCachePanel = ({ isOpen, onClose }) => {
+  const [stats, setStats] = useState(getRequestCacheStats);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setStats(getRequestCacheStats());
+    const unsubscribe = onRequestCacheChange(() => setStats(getRequestCacheStats()));
+    // Keep the ages and expiry times counting
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const requests = stats.hits + stats.misses + stats.deduplicated;
+  const savedRate = requests > 0 ? Math.round(((stats.hits + stats.deduplicated) / requests) * 100) : 0;
+  const entries = [...stats.entries].sort((a, b) => a.context.localeCompare(b.context) || a.path.localeCompare(b.path));
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl w-full max-w-4xl max-h-[85vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center shrink-0">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">Request Cache</h3>
+            <p className="text-sm text-gray-500 mt-1">Reads of XRDs, compositions and revisions reused between screens</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="px-6 py-4 grid grid-cols-5 gap-4 shrink-0 border-b border-gray-200">
+          {[
+            ['Hits', stats.hits],
+            ['Misses', stats.misses],
+            ['Deduplicated', stats.deduplicated],
+            ['Invalidated', stats.invalidated],
+            ['Saved', `${savedRate}%`]
+          ].map(([label, value]) => (
+            <div key={label}>
+              <div className="text-sm font-medium text-gray-500">{label}</div>
+              <div className="mt-1 text-2xl font-semibold text-gray-900">{value}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-6 py-2 text-left font-medium text-gray-600">Context</th>
+                <th className="px-6 py-2 text-left font-medium text-gray-600">Path</th>
+                <th className="px-6 py-2 text-right font-medium text-gray-600">Age</th>
+                <th className="px-6 py-2 text-right font-medium text-gray-600">Expires in</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {entries.map(entry => (
+                <tr key={`${entry.context}|${entry.path}`}>
+                  <td className="px-6 py-2 text-gray-700 whitespace-nowrap">{entry.context || 'default'}</td>
+                  <td className="px-6 py-2 font-mono text-xs text-gray-800 break-all">{entry.path}</td>
+                  {entry.pending ? (
+                    <td colSpan={2} className="px-6 py-2 text-right text-blue-600">In flight</td>
+                  ) : (
+                    <>
+                      <td className="px-6 py-2 text-right text-gray-600">{formatSeconds(now - entry.storedAt)}</td>
+                      <td className={`px-6 py-2 text-right ${entry.expiresAt <= now ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {entry.expiresAt <= now ? 'Expired' : formatSeconds(entry.expiresAt - now)}
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-6 py-8 text-center text-gray-500">Nothing cached</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-between items-center shrink-0">
+          <button
+            onClick={clearRequestCache}
+            className="px-3 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Clear cache and stats
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RequestCachePanel;
@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchResourceTrace, isConditionTrue } from '../services/k8sService';
+import { findRootCauses } from '../utils/rootCause';
+import { formatAge, getEventTime } from '../utils/time';
+
+// "Why is this not ready?" for an unhealthy claim: traces it and lists the
+// deepest failing resources, earliest failure first. Reruns when the claim's
+// health conditions change.
+const RootCauseSummary = ({ claim, onShowInTrace }) => {
+  const [causes, setCauses] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const claimRef = useRef(claim);
+  claimRef.current = claim;
+
+  const unhealthy = !isConditionTrue(claim, 'Ready');
+  const healthKey = (claim.status?.conditions || [])
+    .map(c => `${c.type}=${c.status}@${c.lastTransitionTime}`)
+    .join(',');
+
+  const analyze = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const trace = await fetchResourceTrace(claimRef.current, claimRef.current.claimContext);
+      setCauses(findRootCauses(trace));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (unhealthy) analyze();
+  }, [unhealthy, healthKey, analyze]);
+
+  if (!unhealthy) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-red-200 bg-red-50 p-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-base font-medium text-red-900">Why is this not ready?</h3>
+        <button
+          onClick={analyze}
+          disabled={loading}
+          className="px-2 py-1 text-xs font-medium text-red-700 rounded hover:bg-red-100 disabled:opacity-50"
+        >
+          {loading ? 'Analyzing...' : 'Re-analyze'}
+        </button>
+      </div>
+
+      {error ? (
+        <div className="mt-2 text-sm text-red-700">Couldn't trace the claim: {error}</div>
+      ) : !causes ? (
+        <div className="mt-2 text-sm text-red-700">Tracing the claim...</div>
+      ) : causes.length === 0 ? (
+        <div className="mt-2 text-sm text-red-800">
+          No resource in the trace reports a failing Synced or Ready condition yet. Crossplane may still be creating them.
+        </div>
+      ) : (
+        <ol className="mt-3 space-y-3">
+          {causes.map(({ resource, path, conditions, failedAt, warnings }, index) => (
+            <li key={resource.metadata.uid} className="bg-white rounded-lg border border-red-100 p-3">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs font-medium text-red-600">#{index + 1}</span>
+                    <span className="font-medium text-gray-900 truncate">{resource.kind}/{resource.metadata.name}</span>
+                  </div>
+                  {path.length > 1 && (
+                    <div className="mt-0.5 text-xs text-gray-400 truncate">
+                      {path.slice(0, -1).map(r => r.kind).join(' → ')}
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => onShowInTrace(resource.metadata.uid)}
+                  className="shrink-0 px-2 py-1 text-xs font-medium text-blue-700 rounded hover:bg-blue-50"
+                >
+                  Show in trace
+                </button>
+              </div>
+              {conditions.map(cond => (
+                <div key={cond.type} className="mt-2 text-sm text-gray-700">
+                  <span className="font-medium text-red-700">{cond.type} False</span>
+                  {cond.reason && <span className="text-gray-500"> · {cond.reason}</span>}
+                  {cond.message && <div className="mt-0.5 break-words">{cond.message}</div>}
+                </div>
+              ))}
+              {failedAt && (
+                <div className="mt-1 text-xs text-gray-400" title={new Date(failedAt).toLocaleString()}>
+                  Failing for {formatAge(failedAt)}
+                </div>
+              )}
+              {warnings.length > 0 && (
+                <div className="mt-2 space-y-1 border-t border-gray-100 pt-2">
+                  {warnings.map(event => (
+                    <div key={event.metadata?.uid || event.message} className="text-xs text-amber-800">
+                      <span className="font-medium">{event.reason}</span>
+                      {event.count > 1 && <span className="text-gray-500"> ×{event.count}</span>}
+                      <span className="text-gray-400"> · {formatAge(getEventTime(event))}</span>
+                      <div className="text-gray-700 break-words">{event.message}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RootCauseSummary;
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+
+// What a saved view restores, for telling whether it's the one on screen
+const viewKey = (view) => JSON.stringify([
+  view.context || null,
+  [...(view.fleetContexts || [])].sort(),
+  [...(view.selectedContexts || [])].sort(),
+  view.namespace || 'all',
+  [...(view.kinds || [])].sort(),
+  (view.query || '').trim()
+]);
+
+const describeView = (view) => {
+  const parts = [];
+  if (view.fleetContexts?.length) {
+    parts.push(`${view.fleetContexts.length} contexts`);
+  } else if (view.context) {
+    parts.push(view.context);
+  }
+  if (view.namespace && view.namespace !== 'all') parts.push(view.namespace);
+  if (view.kinds?.length) parts.push(view.kinds.join(', '));
+  if (view.query) parts.push(`"${view.query}"`);
+  return parts.join(' · ') || 'All claims';
+};
+
+// Named filter combinations, kept in the settings. current is the view on
+// screen, in the same shape as a saved one.
+const SavedViews = ({ views, current, onApply, onSave, onDelete }) => {
+  const [name, setName] = useState('');
+  const currentKey = viewKey(current);
+  const trimmed = name.trim();
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName('');
+  };
+
+  return (
+    <div className="w-56 shrink-0 h-full flex flex-col border-r border-gray-200 bg-white/50">
+      <div className="px-4 py-4 shrink-0">
+        <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500">Saved Views</h3>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2 space-y-1">
+        {views.map(view => {
+          const isActive = viewKey(view) === currentKey;
+          return (
+            <div
+              key={view.name}
+              onClick={() => onApply(view)}
+              className={`group flex items-start justify-between rounded-lg px-2 py-2 cursor-pointer transition-colors ${
+                isActive ? 'bg-blue-50' : 'hover:bg-gray-100'
+              }`}
+            >
+              <div className="min-w-0">
+                <div className={`text-sm font-medium truncate ${isActive ? 'text-blue-700' : 'text-gray-900'}`}>{view.name}</div>
+                <div className="text-xs text-gray-500 truncate" title={describeView(view)}>{describeView(view)}</div>
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(view.name);
+                }}
+                className="ml-1 rounded p-0.5 text-gray-400 opacity-0 group-hover:opacity-100 hover:text-red-600 hover:bg-red-50"
+                title="Delete view"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          );
+        })}
+        {views.length === 0 && (
+          <div className="px-2 text-xs text-gray-500">
+            Save the current context and filters to come back to them in one click.
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={save} className="shrink-0 p-3 border-t border-gray-200 space-y-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="View name"
+          className="w-full rounded-lg border border-gray-300 bg-white px-2 py-1.5 text-sm text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!trimmed}
+          className="w-full px-3 py-1.5 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+        >
+          {views.some(view => view.name === trimmed) ? 'Update View' : 'Save Current View'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SavedViews;
@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import { exportSettings, importSettings, resetSettings } from '../services/settingsService';
+import NotificationSettings from './NotificationSettings';
+
+const Toggle = ({ checked, onChange, label, description }) => (
+  <label className="flex items-start space-x-3 cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+    />
+    <div>
+      <div className="text-sm font-medium text-gray-900">{label}</div>
+      <div className="text-xs text-gray-500">{description}</div>
+    </div>
+  </label>
+);
+
+// Preferences, plus import and export of the whole settings file so a team
+// can share a baseline. onChange receives a patch to merge into the settings;
+// onReplaced receives settings that were imported or reset.
+const SettingsModal = ({ isOpen, onClose, settings, views, onChange, onReplaced }) => {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!isOpen || !settings) return null;
+
+  const preferences = settings.preferences || {};
+  const rememberedContexts = Object.keys(settings.contexts || {});
+  const setPreference = (key, value) => onChange({ preferences: { [key]: value } });
+
+  const run = async (action) => {
+    setStatus(null);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExport = () => run(async () => {
+    const filePath = await exportSettings();
+    if (filePath) setStatus(`Exported to ${filePath}`);
+  });
+
+  const handleImport = () => run(async () => {
+    const imported = await importSettings();
+    if (imported) {
+      onReplaced(imported);
+      setStatus('Settings imported');
+    }
+  });
+
+  const handleReset = () => run(async () => {
+    onReplaced(await resetSettings());
+    setStatus('Settings reset to defaults');
+  });
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl w-full max-w-2xl max-h-[85vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center shrink-0">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">Preferences</h3>
+            <p className="text-sm text-gray-500 mt-1">Saved on this machine and restored when the app starts</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+          <div className="space-y-4">
+            <Toggle
+              checked={preferences.restoreLastContext !== false}
+              onChange={(value) => setPreference('restoreLastContext', value)}
+              label="Reopen the last context"
+              description="Start in the context you last used instead of the kubeconfig's current one."
+            />
+            <Toggle
+              checked={preferences.rememberFilters !== false}
+              onChange={(value) => setPreference('rememberFilters', value)}
+              label="Remember filters per context"
+              description="Restore each context's namespace and kind filters when switching to it."
+            />
+            <Toggle
+              checked={preferences.rememberSelection !== false}
+              onChange={(value) => setPreference('rememberSelection', value)}
+              label="Remember the selected claim per context"
+              description="Reselect the claim you last looked at in each context."
+            />
+            <Toggle
+              checked={preferences.live !== false}
+              onChange={(value) => setPreference('live', value)}
+              label="Live updates"
+              description="Watch the cluster for changes instead of refreshing by hand."
+            />
+            <Toggle
+              checked={preferences.tray === true}
+              onChange={(value) => setPreference('tray', value)}
+              label="Keep running in the tray"
+              description="Closing the window leaves claims monitored from the tray or menu bar, where Quit ends the app."
+            />
+            <label className="block">
+              <span className="text-sm font-medium text-gray-900">Start on</span>
+              <select
+                value={preferences.defaultView || 'claims'}
+                onChange={(e) => setPreference('defaultView', e.target.value)}
+                className="mt-1 w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              >
+                {views.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="border-t border-gray-200 pt-4">
+            {/* Keyed on the status so imported or reset rules replace the ones being edited */}
+            <NotificationSettings
+              key={status}
+              notifications={settings.notifications}
+              onChange={(patch) => onChange({ notifications: patch })}
+            />
+          </div>
+
+          <div className="border-t border-gray-200 pt-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="text-sm font-medium text-gray-900">Remembered contexts</div>
+                <div className="text-xs text-gray-500">
+                  {rememberedContexts.length > 0 ? rememberedContexts.join(', ') : 'None yet'}
+                </div>
+              </div>
+              <button
+                onClick={() => onChange({ contexts: null })}
+                disabled={rememberedContexts.length === 0}
+                className="px-3 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+              >
+                Forget
+              </button>
+            </div>
+          </div>
+
+          {status && <div className="text-sm text-green-700 bg-green-50 px-4 py-2 rounded-lg break-all">{status}</div>}
+          {error && <div className="text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-between items-center shrink-0">
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleImport}
+              className="px-3 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+            >
+              Import...
+            </button>
+            <button
+              onClick={handleExport}
+              className="px-3 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+            >
+              Export...
+            </button>
+            <button
+              onClick={handleReset}
+              className="px-3 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
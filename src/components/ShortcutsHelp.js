@@ -0,0 +1,48 @@
+// Cheat sheet of the keyboard shortcuts. shortcuts are { keys, label }
+// entries, keys being the keys to press together.
+const ShortcutsHelp = ({ isOpen, onClose, shortcuts }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl w-full max-w-md max-h-[85vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center shrink-0">
+          <h3 className="text-xl font-semibold text-gray-900">Keyboard Shortcuts</h3>
+          <button
+            onClick={onClose}
+            className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-2">
+          {shortcuts.map(({ keys, label }) => (
+            <div key={label} className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">{label}</span>
+              <span className="flex items-center space-x-1">
+                {keys.map(key => (
+                  <kbd key={key} className="px-2 py-0.5 text-xs font-mono text-gray-700 bg-gray-100 border border-gray-300 rounded">
+                    {key}
+                  </kbd>
+                ))}
+              </span>
+            </div>
+          ))}
+          <p className="pt-2 text-xs text-gray-500">Single-key shortcuts are ignored while typing in a field or with a dialog open.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsHelp;
@@ -0,0 +1,40 @@
+import { toYAML } from '../utils/yaml';
+
+const changeStyles = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800',
+  changed: 'bg-amber-100 text-amber-800'
+};
+
+const ValueBlock = ({ value, className }) => (
+  <pre className={`flex-1 min-w-0 overflow-x-auto rounded p-2 text-xs font-mono whitespace-pre ${className}`}>
+    {value === undefined ? '' : toYAML(value).trimEnd()}
+  </pre>
+);
+
+// List of changes from diffObjects, each with its path and the values on
+// either side
+const StructuralDiff = ({ changes, emptyMessage = 'No differences.', formatPath = path => path }) => {
+  if (changes.length === 0) {
+    return <div className="p-6 text-center text-sm text-gray-500">{emptyMessage}</div>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {changes.map(change => (
+        <div key={change.path} className="rounded-lg border border-gray-200 p-3">
+          <div className="flex items-center space-x-2 mb-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${changeStyles[change.type]}`}>{change.type}</span>
+            <span className="font-mono text-xs text-gray-700 break-all">{formatPath(change.path)}</span>
+          </div>
+          <div className="flex space-x-2">
+            {change.type !== 'added' && <ValueBlock value={change.before} className="bg-red-50 text-gray-800" />}
+            {change.type !== 'removed' && <ValueBlock value={change.after} className="bg-green-50 text-gray-800" />}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StructuralDiff;
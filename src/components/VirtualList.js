@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// How far past the visible area rows are drawn, so fast scrolling doesn't
+// show gaps
+const OVERSCAN_PX = 800;
+
+// First index whose row ends below the given offset
+const findFirstVisible = (offsets, heights, top) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid] + heights[mid] <= top) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Scrolling list that only mounts the rows near the visible area. Rows start
+// at estimateHeight(item) and are measured once drawn, so they can be of any
+// height; spacing between rows belongs inside renderItem.
+const VirtualList = ({ items, getKey, estimateHeight, renderItem, className = '' }) => {
+  const containerRef = useRef(null);
+  // Measured heights by row key, kept while rows scroll out of view
+  const heightsRef = useRef(new Map());
+  const observerRef = useRef(null);
+  const refCallbacksRef = useRef(new Map());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [, setMeasured] = useState(0);
+
+  // Created on first use: rows attach their refs before this component's
+  // effects run
+  const getObserver = () => {
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver(entries => {
+        let changed = false;
+        entries.forEach(({ target }) => {
+          const key = target.dataset.key;
+          if (key && heightsRef.current.get(key) !== target.offsetHeight) {
+            heightsRef.current.set(key, target.offsetHeight);
+            changed = true;
+          }
+        });
+        if (changed) setMeasured(count => count + 1);
+      });
+    }
+    return observerRef.current;
+  };
+
+  // One stable ref callback per row, so rows aren't re-observed every render
+  const measureRow = (key) => {
+    if (!refCallbacksRef.current.has(key)) {
+      let element = null;
+      refCallbacksRef.current.set(key, (node) => {
+        if (element) getObserver().unobserve(element);
+        element = node;
+        if (node) {
+          getObserver().observe(node);
+        } else {
+          refCallbacksRef.current.delete(key);
+        }
+      });
+    }
+    return refCallbacksRef.current.get(key);
+  };
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    setViewportHeight(container.clientHeight);
+    return () => observer.disconnect();
+  }, []);
+
+  const handleScroll = useCallback((e) => setScrollTop(e.currentTarget.scrollTop), []);
+
+  const keys = items.map(getKey);
+  const heights = items.map((item, index) => heightsRef.current.get(keys[index]) ?? estimateHeight(item));
+  const offsets = [];
+  let totalHeight = 0;
+  heights.forEach(height => {
+    offsets.push(totalHeight);
+    totalHeight += height;
+  });
+
+  const first = items.length > 0 ? findFirstVisible(offsets, heights, Math.max(0, scrollTop - OVERSCAN_PX)) : 0;
+  let last = first;
+  const bottom = scrollTop + viewportHeight + OVERSCAN_PX;
+  while (last < items.length && offsets[last] < bottom) last++;
+
+  return (
+    <div ref={containerRef} onScroll={handleScroll} className={`overflow-y-auto ${className}`}>
+      <div className="relative" style={{ height: totalHeight }}>
+        {items.slice(first, last).map((item, offset) => {
+          const index = first + offset;
+          return (
+            <div
+              key={keys[index]}
+              ref={measureRow(keys[index])}
+              data-key={keys[index]}
+              className="absolute left-0 right-0"
+              style={{ top: offsets[index] }}
+            >
+              {renderItem(item)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,346 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { fetchCompositeResourceDefinitions, getReferenceableVersion } from '../services/k8sService';
+import { schemaType } from '../utils/openapi';
+import { diffObjects } from '../utils/diff';
+import StructuralDiff from './StructuralDiff';
+import YAMLModal from './YAMLModal';
+
+const ConditionPill = ({ xrd, type }) => {
+  const condition = xrd.status?.conditions?.find(c => c.type === type);
+  const ok = condition?.status === 'True';
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+        ok ? 'bg-green-100 text-green-800' : condition ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-600'
+      }`}
+      title={condition?.message || condition?.reason || 'Not reported'}
+    >
+      {type}
+    </span>
+  );
+};
+
+const Flag = ({ on, label }) => (
+  <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${on ? 'bg-blue-50 text-blue-700' : 'bg-gray-100 text-gray-400'}`}>
+    {label}
+  </span>
+);
+
+// Type as shown in the docs, e.g. "array of string"
+const describeType = (schema) => {
+  const type = schemaType(schema);
+  if (type === 'array') return `array of ${describeType(schema.items)}`;
+  if (schema?.['x-kubernetes-int-or-string']) return 'int or string';
+  return schema?.format ? `${type} (${schema.format})` : type;
+};
+
+// Validation rules worth showing next to a field
+const describeConstraints = (schema) => [
+  schema.enum && `one of: ${schema.enum.join(', ')}`,
+  schema.minimum !== undefined && `min ${schema.minimum}`,
+  schema.maximum !== undefined && `max ${schema.maximum}`,
+  schema.minLength !== undefined && `min length ${schema.minLength}`,
+  schema.maxLength !== undefined && `max length ${schema.maxLength}`,
+  schema.minItems !== undefined && `min items ${schema.minItems}`,
+  schema.maxItems !== undefined && `max items ${schema.maxItems}`,
+  schema.pattern && `pattern ${schema.pattern}`,
+  schema['x-kubernetes-immutable'] && 'immutable'
+].filter(Boolean);
+
+// The object whose properties a field documents: itself, or its array items
+const childSchema = (schema) => (schemaType(schema) === 'array' ? schema.items : schema);
+
+const SchemaField = ({ name, schema, required, depth }) => {
+  const nested = childSchema(schema);
+  const properties = nested?.properties || {};
+  const hasChildren = Object.keys(properties).length > 0;
+  const [expanded, setExpanded] = useState(depth < 1);
+  const constraints = describeConstraints(schema);
+
+  return (
+    <div className={depth > 0 ? 'border-l border-gray-200 pl-4' : ''}>
+      <div className="py-2">
+        <div className="flex items-center flex-wrap gap-x-2">
+          {hasChildren ? (
+            <button onClick={() => setExpanded(!expanded)} className="flex items-center font-mono text-sm font-medium text-gray-900 hover:text-blue-600">
+              <svg className={`w-3 h-3 mr-1 transform transition-transform ${expanded ? 'rotate-90' : ''}`} viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
+              </svg>
+              {name}
+            </button>
+          ) : (
+            <span className="font-mono text-sm font-medium text-gray-900 pl-4">{name}</span>
+          )}
+          <span className="text-xs text-purple-700">{describeType(schema)}</span>
+          {required && <span className="text-xs font-medium text-red-600">required</span>}
+          {schema.default !== undefined && (
+            <span className="text-xs text-gray-500">default: <code className="font-mono">{JSON.stringify(schema.default)}</code></span>
+          )}
+        </div>
+        {schema.description && (
+          <div className="mt-1 pl-4 text-sm text-gray-600 whitespace-pre-line">{schema.description}</div>
+        )}
+        {constraints.length > 0 && (
+          <div className="mt-1 pl-4 text-xs text-gray-500">{constraints.join(' · ')}</div>
+        )}
+      </div>
+      {hasChildren && expanded && (
+        <div className="ml-2">
+          {Object.entries(properties).map(([key, child]) => (
+            <SchemaField
+              key={key}
+              name={key}
+              schema={child}
+              required={(nested.required || []).includes(key)}
+              depth={depth + 1}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const schemaOf = (versions, name) => versions.find(v => v.name === name)?.schema?.openAPIV3Schema || {};
+
+// Schema diff paths run through "properties"; show them as field paths
+const toFieldPath = (path) => path.replace(/(^|\.)properties\./g, '$1');
+
+// Browsable docs, version flags and schema comparison for one XRD. Keyed by
+// XRD so the version pickers start over for each one.
+const XRDDetail = ({ xrd, onShowYaml }) => {
+  const versions = useMemo(() => xrd.spec?.versions || [], [xrd]);
+  const referenceable = getReferenceableVersion(xrd);
+  const [tab, setTab] = useState('docs');
+  const [docVersion, setDocVersion] = useState(referenceable);
+  const [fromVersion, setFromVersion] = useState(versions[0]?.name);
+  const [toVersion, setToVersion] = useState(versions[versions.length - 1]?.name);
+
+  const docSchema = schemaOf(versions, docVersion);
+  const changes = useMemo(
+    () => diffObjects(schemaOf(versions, fromVersion), schemaOf(versions, toVersion)),
+    [versions, fromVersion, toVersion]
+  );
+
+  const selectClassName = 'rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 focus:border-blue-500 focus:outline-none';
+
+  return (
+    <div className="flex flex-col min-h-0 h-full">
+      <div className="shrink-0 flex items-start justify-between mb-4">
+        <div className="min-w-0">
+          <h3 className="text-lg font-medium text-gray-900">{xrd.spec?.names?.kind}</h3>
+          <div className="text-sm text-gray-500">
+            {xrd.spec?.group} · {xrd.spec?.names?.plural}
+            {xrd.spec?.scope ? ` · ${xrd.spec.scope}` : ''}
+          </div>
+          {xrd.spec?.claimNames && (
+            <div className="text-sm text-gray-500">
+              Claim: {xrd.spec.claimNames.kind} ({xrd.spec.claimNames.plural})
+            </div>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 shrink-0">
+          <ConditionPill xrd={xrd} type="Established" />
+          {xrd.spec?.claimNames && <ConditionPill xrd={xrd} type="Offered" />}
+          <button
+            onClick={() => onShowYaml(xrd)}
+            className="px-3 py-1.5 text-sm font-medium text-gray-600 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            View YAML
+          </button>
+        </div>
+      </div>
+
+      <table className="shrink-0 w-full text-sm mb-4">
+        <thead className="text-left text-xs font-medium uppercase tracking-wide text-gray-500 border-b border-gray-200">
+          <tr>
+            <th className="py-2 pr-3">Version</th>
+            <th className="py-2 pr-3">Flags</th>
+            <th className="py-2">Notes</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {versions.map(version => (
+            <tr key={version.name}>
+              <td className="py-2 pr-3 font-mono text-gray-900">{version.name}</td>
+              <td className="py-2 pr-3 space-x-1">
+                <Flag on={version.served} label="served" />
+                <Flag on={version.referenceable} label="referenceable" />
+                {version.deprecated && <Flag on label="deprecated" />}
+              </td>
+              <td className="py-2 text-gray-500">{version.deprecationWarning || ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="shrink-0 flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          {['docs', 'compare'].map(name => (
+            <button
+              key={name}
+              onClick={() => setTab(name)}
+              className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                tab === name ? 'text-blue-700 bg-blue-50' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {name === 'docs' ? 'Schema' : 'Compare Versions'}
+            </button>
+          ))}
+        </div>
+        {tab === 'docs' ? (
+          <select value={docVersion} onChange={(e) => setDocVersion(e.target.value)} className={selectClassName}>
+            {versions.map(v => <option key={v.name} value={v.name}>{v.name}</option>)}
+          </select>
+        ) : (
+          <div className="flex items-center space-x-2 text-sm text-gray-600">
+            <select value={fromVersion} onChange={(e) => setFromVersion(e.target.value)} className={selectClassName}>
+              {versions.map(v => <option key={v.name} value={v.name}>{v.name}</option>)}
+            </select>
+            <span>→</span>
+            <select value={toVersion} onChange={(e) => setToVersion(e.target.value)} className={selectClassName}>
+              {versions.map(v => <option key={v.name} value={v.name}>{v.name}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-y-auto bg-white rounded-xl border border-gray-200 p-4">
+        {tab === 'docs' ? (
+          Object.keys(docSchema.properties || {}).length > 0 ? (
+            ['spec', 'status'].filter(key => docSchema.properties[key]).map(key => (
+              <SchemaField
+                key={`${docVersion}-${key}`}
+                name={key}
+                schema={docSchema.properties[key]}
+                required={(docSchema.required || []).includes(key)}
+                depth={0}
+              />
+            ))
+          ) : (
+            <div className="p-6 text-center text-sm text-gray-500">This version has no schema.</div>
+          )
+        ) : (
+          <StructuralDiff
+            changes={changes}
+            formatPath={toFieldPath}
+            emptyMessage={fromVersion === toVersion ? 'Pick two different versions to compare.' : 'The schemas are identical.'}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Every XRD with its versions, conditions and schema documentation
+const XRDsView = ({ context }) => {
+  const [xrds, setXrds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedName, setSelectedName] = useState(null);
+  const [search, setSearch] = useState('');
+  const [yamlResource, setYamlResource] = useState(null);
+
+  // fresh skips cached results, for the Refresh button
+  const load = useCallback(async ({ fresh = false } = {}) => {
+    if (!context) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setXrds(await fetchCompositeResourceDefinitions({ fresh }));
+    } catch (err) {
+      setError(err.message);
+      setXrds([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [context]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return xrds
+      .filter(xrd => !term ||
+        xrd.metadata.name.toLowerCase().includes(term) ||
+        xrd.spec?.claimNames?.kind?.toLowerCase().includes(term))
+      .sort((a, b) => a.metadata.name.localeCompare(b.metadata.name));
+  }, [xrds, search]);
+
+  const selected = xrds.find(xrd => xrd.metadata.name === selectedName) || null;
+
+  return (
+    <div className="h-full max-w-7xl mx-auto p-6 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-6 shrink-0">
+        <div className="flex items-center space-x-3">
+          <svg className="w-6 h-6 text-cyan-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+          </svg>
+          <h2 className="text-2xl font-semibold text-gray-900">XRDs</h2>
+          <span className="text-sm text-gray-500">{xrds.length}</span>
+        </div>
+        <button
+          onClick={() => load({ fresh: true })}
+          disabled={loading}
+          className="flex items-center space-x-1 rounded-lg px-3 py-2 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50"
+        >
+          <span>{loading ? 'Loading...' : 'Refresh'}</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="shrink-0 mb-4 text-sm text-red-600 bg-red-50 px-4 py-2 rounded-lg">{error}</div>
+      )}
+
+      <div className="flex-1 min-h-0 grid grid-cols-3 gap-6">
+        <div className="flex flex-col min-h-0">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search XRDs"
+            className="shrink-0 mb-3 rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <div className="flex-1 overflow-y-auto bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+            {filtered.map(xrd => (
+              <button
+                key={xrd.metadata.uid}
+                onClick={() => setSelectedName(xrd.metadata.name)}
+                className={`w-full text-left px-4 py-3 transition-colors ${
+                  xrd.metadata.name === selectedName ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium text-blue-600 truncate">{xrd.spec?.names?.kind}</div>
+                <div className="mt-1 flex items-center justify-between">
+                  <span className="text-xs text-gray-500 truncate" title={xrd.metadata.name}>{xrd.spec?.group}</span>
+                  <span className="ml-2 shrink-0 text-xs text-gray-400">{(xrd.spec?.versions || []).map(v => v.name).join(', ')}</span>
+                </div>
+              </button>
+            ))}
+            {!loading && filtered.length === 0 && (
+              <div className="p-6 text-center text-gray-500">No XRDs found.</div>
+            )}
+          </div>
+        </div>
+
+        <div className="col-span-2 flex flex-col min-h-0">
+          {selected ? (
+            <XRDDetail key={selected.metadata.uid} xrd={selected} onShowYaml={setYamlResource} />
+          ) : (
+            <div className="flex-1 flex items-center justify-center text-gray-500">
+              Select an XRD to browse its API
+            </div>
+          )}
+        </div>
+      </div>
+
+      {yamlResource && (
+        <YAMLModal resource={yamlResource} onClose={() => setYamlResource(null)} />
+      )}
+    </div>
+  );
+};
+
+export default XRDsView;
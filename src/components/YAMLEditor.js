@@ -0,0 +1,281 @@
+import { useMemo, useState } from 'react';
+import yaml from 'js-yaml';
+import { fetchObject, replaceObject } from '../services/k8sService';
+import { toYAML } from '../utils/yaml';
+import { diffLines, createMergePatch, applyMergePatch } from '../utils/diff';
+
+// Fields the portal attaches to objects for its own use
+const PORTAL_FIELDS = ['claimNamespace', 'claimContext', '_uiState', 'dependencies', 'events', 'connectionDetails', 'propagatedStatus'];
+
+// Metadata owned by the API server
+const SERVER_METADATA = ['managedFields', 'resourceVersion', 'uid', 'creationTimestamp', 'generation', 'selfLink'];
+
+// The part of a live object that's worth editing: no status, server-owned
+// metadata or portal bookkeeping
+export const toEditable = (object) => {
+  const editable = { ...object, metadata: { ...object.metadata } };
+  delete editable.status;
+  PORTAL_FIELDS.forEach(field => delete editable[field]);
+  SERVER_METADATA.forEach(field => delete editable.metadata[field]);
+  return editable;
+};
+
+const rowStyles = {
+  same: ['', ''],
+  changed: ['bg-red-50', 'bg-green-50'],
+  removed: ['bg-red-50', 'bg-gray-100'],
+  added: ['bg-gray-100', 'bg-green-50']
+};
+
+// Side-by-side line diff
+const DiffView = ({ before, after, leftTitle, rightTitle }) => {
+  const rows = useMemo(() => diffLines(before, after), [before, after]);
+
+  return (
+    <div className="flex-1 min-h-0 overflow-auto bg-white rounded-lg border border-gray-200">
+      <table className="w-full table-fixed border-collapse font-mono text-xs">
+        <thead className="bg-gray-100 sticky top-0">
+          <tr>
+            <th colSpan={2} className="px-2 py-1 text-left font-medium text-gray-600">{leftTitle}</th>
+            <th colSpan={2} className="px-2 py-1 text-left font-medium text-gray-600 border-l border-gray-200">{rightTitle}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td className={`w-10 px-2 text-right text-gray-400 select-none ${rowStyles[row.type][0]}`}>{row.leftNumber}</td>
+              <td className={`px-2 whitespace-pre overflow-hidden text-ellipsis ${rowStyles[row.type][0]}`}>{row.left}</td>
+              <td className={`w-10 px-2 text-right text-gray-400 select-none border-l border-gray-200 ${rowStyles[row.type][1]}`}>{row.rightNumber}</td>
+              <td className={`px-2 whitespace-pre overflow-hidden text-ellipsis ${rowStyles[row.type][1]}`}>{row.right}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Edit a claim or XR as YAML, review the diff against the live object and
+// apply it with the resourceVersion it was based on. context is the one the
+// resource lives in.
+const YAMLEditor = ({ resource, context, onSaved, onCancel }) => {
+  // The live object the edits are based on
+  const [base, setBase] = useState(resource);
+  const [text, setText] = useState(() => toYAML(toEditable(resource)));
+  const [mode, setMode] = useState('edit'); // edit, review or conflict
+  const [latest, setLatest] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const baseText = useMemo(() => toYAML(toEditable(base)), [base]);
+
+  const parsed = useMemo(() => {
+    try {
+      const value = yaml.load(text);
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'The document must be a YAML mapping' };
+      }
+      if (
+        value.apiVersion !== base.apiVersion ||
+        value.kind !== base.kind ||
+        value.metadata?.name !== base.metadata.name ||
+        (value.metadata?.namespace || null) !== (base.metadata.namespace || null)
+      ) {
+        return { error: 'apiVersion, kind, name and namespace cannot be changed' };
+      }
+      return { value, text: toYAML(value) };
+    } catch (err) {
+      return { error: err.mark ? `Line ${err.mark.line + 1}: ${err.reason}` : err.message };
+    }
+  }, [text, base]);
+
+  const hasChanges = parsed.value && parsed.text !== baseText;
+  const changedUnderneath = resource.metadata.resourceVersion !== base.metadata.resourceVersion;
+
+  const loadLatest = async () => {
+    setSaveError(null);
+    try {
+      setLatest(await fetchObject(base, context));
+    } catch (err) {
+      setSaveError(`Failed to load the latest version: ${err.message}`);
+    }
+  };
+
+  // Compare against the object as it's live now, not as it was loaded. If it
+  // changed in the meantime, go straight to the conflict.
+  const review = async () => {
+    setChecking(true);
+    setSaveError(null);
+    try {
+      const live = await fetchObject(base, context);
+      if (live.metadata.resourceVersion !== base.metadata.resourceVersion) {
+        setLatest(live);
+        setMode('conflict');
+      } else {
+        setBase(live);
+        setMode('review');
+      }
+    } catch (err) {
+      setSaveError(`Failed to load the live version: ${err.message}`);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const apply = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const saved = await replaceObject({
+        ...parsed.value,
+        metadata: { ...parsed.value.metadata, resourceVersion: base.metadata.resourceVersion }
+      }, { context });
+      onSaved?.(saved);
+    } catch (err) {
+      if (err.statusCode === 409) {
+        setMode('conflict');
+        await loadLatest();
+      } else {
+        setSaveError(err.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Carry our edits over to the latest version: diff them against the old
+  // base and apply that patch on top of what's live now
+  const rebase = () => {
+    const ourChanges = createMergePatch(toEditable(base), parsed.value);
+    setText(toYAML(applyMergePatch(toEditable(latest), ourChanges)));
+    setBase(latest);
+    setLatest(null);
+    setMode('review');
+  };
+
+  const discard = () => {
+    setText(toYAML(toEditable(latest)));
+    setBase(latest);
+    setLatest(null);
+    setMode('edit');
+  };
+
+  const buttonClassName = 'px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col h-full min-h-[400px] space-y-3">
+      {mode === 'edit' && (
+        <>
+          {changedUnderneath && (
+            <div className="shrink-0 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2 text-sm text-amber-800">
+              This resource has changed since you started editing. Applying will show a conflict.
+            </div>
+          )}
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            spellCheck={false}
+            className="flex-1 min-h-0 w-full bg-gray-50 rounded-lg border border-gray-200 p-4 text-sm font-mono text-gray-800 whitespace-pre focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="shrink-0 flex items-center justify-between">
+            <div className={`text-sm ${parsed.error || saveError ? 'text-red-600' : 'text-gray-500'}`}>
+              {parsed.error || saveError || (hasChanges ? 'Valid YAML' : 'No changes')}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button onClick={onCancel} className={`${buttonClassName} text-gray-700 hover:bg-gray-100`}>
+                Cancel
+              </button>
+              <button
+                onClick={review}
+                disabled={!hasChanges || checking}
+                className={`${buttonClassName} text-white bg-blue-600 hover:bg-blue-700`}
+              >
+                {checking ? 'Checking...' : 'Review Changes'}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {mode === 'review' && (
+        <>
+          <DiffView before={baseText} after={parsed.text || ''} leftTitle="Live" rightTitle="Your changes" />
+          <div className="shrink-0 flex items-center justify-between">
+            <div className="text-sm text-red-600">{saveError}</div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => {
+                  setSaveError(null);
+                  setMode('edit');
+                }}
+                disabled={saving}
+                className={`${buttonClassName} text-gray-700 hover:bg-gray-100`}
+              >
+                Back to Editing
+              </button>
+              <button
+                onClick={apply}
+                disabled={saving || !hasChanges}
+                className={`${buttonClassName} text-white bg-blue-600 hover:bg-blue-700`}
+              >
+                {saving ? 'Applying...' : 'Apply'}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {mode === 'conflict' && (
+        <>
+          <div className="shrink-0 bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800">
+            <div className="font-medium">Someone else changed this resource</div>
+            <div className="mt-1">
+              It was modified after you started editing, so your changes weren't applied.
+              Re-base to carry your edits over to the latest version and review them again,
+              or discard them and start from the latest version.
+            </div>
+          </div>
+          {latest ? (
+            <DiffView
+              before={baseText}
+              after={toYAML(toEditable(latest))}
+              leftTitle="When you started editing"
+              rightTitle="Live now"
+            />
+          ) : (
+            <div className="flex-1 flex items-center justify-center text-sm text-gray-500">
+              {saveError || 'Loading the latest version...'}
+            </div>
+          )}
+          <div className="shrink-0 flex items-center justify-end space-x-2">
+            <button onClick={onCancel} className={`${buttonClassName} text-gray-700 hover:bg-gray-100`}>
+              Cancel
+            </button>
+            {!latest && saveError && (
+              <button onClick={loadLatest} className={`${buttonClassName} text-blue-700 bg-blue-50 hover:bg-blue-100`}>
+                Retry
+              </button>
+            )}
+            <button
+              onClick={discard}
+              disabled={!latest}
+              className={`${buttonClassName} text-red-700 bg-red-50 hover:bg-red-100`}
+            >
+              Discard My Changes
+            </button>
+            <button
+              onClick={rebase}
+              disabled={!latest}
+              className={`${buttonClassName} text-white bg-blue-600 hover:bg-blue-700`}
+            >
+              Re-base My Changes
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default YAMLEditor;
@@ -0,0 +1,178 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import YAMLEditor from './YAMLEditor';
+import { toYAML } from '../utils/yaml';
+
+// Read-only YAML view of a resource with search, optionally editable
+const YAMLModal = ({ resource: liveResource, context, onClose, editable = false }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [highlightedLines, setHighlightedLines] = useState([]);
+  const [currentMatch, setCurrentMatch] = useState(0);
+  const [isEditing, setIsEditing] = useState(false);
+  // What we saved last, shown until a newer copy arrives from the trace
+  const [savedResource, setSavedResource] = useState(null);
+  const resource = savedResource || liveResource;
+  const yamlContent = useMemo(() => resource ? toYAML(resource) : '', [resource]);
+  const preRef = useRef(null);
+
+  useEffect(() => {
+    setSavedResource(null);
+  }, [liveResource]);
+
+  useEffect(() => {
+    if (!searchTerm) {
+      setHighlightedLines([]);
+      setCurrentMatch(0);
+      return;
+    }
+
+    const lines = yamlContent.split('\n');
+    const matches = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => line.toLowerCase().includes(searchTerm.toLowerCase()));
+    setHighlightedLines(matches.map(m => m.index));
+    setCurrentMatch(0);
+
+    // Scroll to first match if there are any matches
+    if (matches.length > 0 && preRef.current) {
+      const firstMatch = preRef.current.querySelector(`div:nth-child(${matches[0].index + 1})`);
+      if (firstMatch) {
+        firstMatch.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    }
+  }, [searchTerm, yamlContent]);
+
+  // Scroll to the current match when it changes
+  useEffect(() => {
+    if (highlightedLines.length > 0 && preRef.current) {
+      const matchLine = highlightedLines[currentMatch];
+      const matchElem = preRef.current.querySelector(`div:nth-child(${matchLine + 1})`);
+      if (matchElem) {
+        matchElem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    }
+  }, [currentMatch, highlightedLines]);
+
+  const handleNext = () => {
+    if (highlightedLines.length === 0) return;
+    setCurrentMatch((prev) => (prev + 1) % highlightedLines.length);
+  };
+  const handleBack = () => {
+    if (highlightedLines.length === 0) return;
+    setCurrentMatch((prev) => (prev - 1 + highlightedLines.length) % highlightedLines.length);
+  };
+
+  if (!resource) return null;
+
+  return (
+    <div 
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div 
+        className="bg-white rounded-xl w-full max-w-4xl h-[80vh] flex flex-col overflow-hidden shadow-2xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <h3 className="text-lg font-medium text-gray-900">
+            {resource.kind}/{resource.metadata.name}
+          </h3>
+          <div className="flex items-center space-x-2">
+            {editable && !isEditing && (
+              <button
+                onClick={() => setIsEditing(true)}
+                className="px-3 py-1.5 text-sm font-medium text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+              >
+                Edit
+              </button>
+            )}
+            <button 
+              onClick={onClose}
+              className="rounded-lg p-2 hover:bg-gray-100 transition-colors"
+            >
+              <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+        {isEditing ? (
+          <div className="flex-1 overflow-hidden p-6">
+            <YAMLEditor
+              resource={resource}
+              context={context}
+              onCancel={() => setIsEditing(false)}
+              onSaved={(saved) => {
+                setSavedResource(saved);
+                setIsEditing(false);
+              }}
+            />
+          </div>
+        ) : (
+          <>
+            <div className="p-4 border-b border-gray-200">
+              <div className="relative flex items-center gap-2">
+                <input
+                  type="text"
+                  placeholder="You know, for search..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                {searchTerm && (
+                  <>
+                    <button
+                      onClick={handleBack}
+                      className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-gray-200 text-gray-600"
+                      title="Previous match"
+                    >
+                      &#8592;
+                    </button>
+                    <span className="text-xs text-gray-500 select-none">
+                      {highlightedLines.length > 0 ? `${currentMatch + 1} of ${highlightedLines.length}` : '0 of 0'}
+                    </span>
+                    <button
+                      onClick={handleNext}
+                      className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-gray-200 text-gray-600"
+                      title="Next match"
+                    >
+                      &#8594;
+                    </button>
+                    <button
+                      onClick={() => setSearchTerm('')}
+                      className="ml-2 text-gray-400 hover:text-gray-600"
+                      title="Clear search"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+            <div className="flex-1 overflow-auto p-6">
+              <pre ref={preRef} className="bg-gray-50 rounded-lg p-4 text-sm font-mono text-gray-800 whitespace-pre">
+                {yamlContent.split('\n').map((line, index) => (
+                  <div 
+                    key={index}
+                    className={
+                      highlightedLines.includes(index)
+                        ? (highlightedLines[currentMatch] === index
+                            ? 'bg-yellow-300' // Active match
+                            : 'bg-yellow-100') // Other matches
+                        : ''
+                    }
+                  >
+                    {line}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default YAMLModal;
@@ -0,0 +1,50 @@
+// Links that open a claim: crossplane-portal://context/namespace/kind/name,
+// optionally with ?tab=trace or ?tab=graph to open the trace on that tab
+const api = window.api;
+
+export const DEEP_LINK_PROTOCOL = 'crossplane-portal';
+const TRACE_TABS = ['trace', 'graph'];
+
+// Each segment is URI-encoded since context names often contain slashes and
+// colons (e.g. EKS ARNs)
+export function buildClaimLink({ context, namespace, kind, name, tab }) {
+  const path = [context, namespace, kind, name].map(encodeURIComponent).join('/');
+  return `${DEEP_LINK_PROTOCOL}://${path}${TRACE_TABS.includes(tab) ? `?tab=${tab}` : ''}`;
+}
+
+export function parseClaimLink(url) {
+  const prefix = `${DEEP_LINK_PROTOCOL}://`;
+  if (!url?.startsWith(prefix)) {
+    throw new Error(`Not a ${DEEP_LINK_PROTOCOL} link: ${url}`);
+  }
+
+  const [path, query = ''] = url.slice(prefix.length).split('?');
+  let segments;
+  try {
+    segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw new Error(`Malformed link: ${url}`);
+  }
+  if (segments.length !== 4) {
+    throw new Error(`Expected ${prefix}context/namespace/kind/name, got ${url}`);
+  }
+
+  const [context, namespace, kind, name] = segments;
+  const tab = new URLSearchParams(query).get('tab');
+  return { context, namespace, kind, name, tab: TRACE_TABS.includes(tab) ? tab : null };
+}
+
+// The link the app was opened with or sent since, if any. Each link is only
+// returned once.
+export async function takeDeepLink() {
+  if (!api?.takeDeepLink) return null;
+  return api.takeDeepLink();
+}
+
+// Call back when a link arrives while the app is running. Returns an
+// unsubscribe function.
+export function onDeepLink(callback) {
+  // Without the desktop bridge no links can arrive
+  if (!api?.onDeepLink) return () => {};
+  return api.onDeepLink(callback);
+}
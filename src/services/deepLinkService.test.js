@@ -0,0 +1,71 @@
+import { buildClaimLink, parseClaimLink, takeDeepLink, onDeepLink } from './deepLinkService';
+
+const EKS_CONTEXT = 'arn:aws:eks:eu-west-1:123456789012:cluster/prod';
+
+describe('buildClaimLink', () => {
+  test('encodes every segment', () => {
+    expect(buildClaimLink({ context: EKS_CONTEXT, namespace: 'team-a', kind: 'Database', name: 'orders' })).toBe(
+      'crossplane-portal://arn%3Aaws%3Aeks%3Aeu-west-1%3A123456789012%3Acluster%2Fprod/team-a/Database/orders'
+    );
+  });
+
+  test('adds only known tabs', () => {
+    const claim = { context: 'kind', namespace: 'default', kind: 'Bucket', name: 'logs' };
+    expect(buildClaimLink({ ...claim, tab: 'graph' })).toBe('crossplane-portal://kind/default/Bucket/logs?tab=graph');
+    expect(buildClaimLink({ ...claim, tab: 'yaml' })).toBe('crossplane-portal://kind/default/Bucket/logs');
+  });
+});
+
+describe('parseClaimLink', () => {
+  test('round-trips contexts with slashes and colons', () => {
+    const claim = { context: EKS_CONTEXT, namespace: 'team-a', kind: 'Database', name: 'orders', tab: 'trace' };
+    expect(parseClaimLink(buildClaimLink(claim))).toEqual(claim);
+  });
+
+  test('decodes segments encoded by hand', () => {
+    expect(parseClaimLink('crossplane-portal://gke_proj_europe-west1_main/ns/Kind/na%20me')).toEqual({
+      context: 'gke_proj_europe-west1_main',
+      namespace: 'ns',
+      kind: 'Kind',
+      name: 'na me',
+      tab: null
+    });
+  });
+
+  test('ignores a trailing slash and unknown tabs', () => {
+    expect(parseClaimLink('crossplane-portal://ctx/ns/Kind/name/?tab=yaml')).toEqual({
+      context: 'ctx',
+      namespace: 'ns',
+      kind: 'Kind',
+      name: 'name',
+      tab: null
+    });
+  });
+
+  test('rejects other protocols and empty input', () => {
+    expect(() => parseClaimLink('https://ctx/ns/Kind/name')).toThrow('Not a crossplane-portal link');
+    expect(() => parseClaimLink(undefined)).toThrow('Not a crossplane-portal link');
+  });
+
+  test('rejects links with the wrong number of segments', () => {
+    expect(() => parseClaimLink('crossplane-portal://ctx/ns/Kind')).toThrow('Expected crossplane-portal://context/namespace/kind/name');
+    // An unencoded slash in the context adds a segment
+    expect(() => parseClaimLink(`crossplane-portal://${EKS_CONTEXT}/ns/Kind/name`)).toThrow('Expected');
+  });
+
+  test('rejects malformed encoding', () => {
+    expect(() => parseClaimLink('crossplane-portal://ctx/ns/Kind/%E0%A4%A')).toThrow('Malformed link');
+  });
+});
+
+describe('without the desktop bridge', () => {
+  test('has no pending link', async () => {
+    await expect(takeDeepLink()).resolves.toBeNull();
+  });
+
+  test('subscribes to nothing', () => {
+    const unsubscribe = onDeepLink(() => {});
+    expect(unsubscribe).toEqual(expect.any(Function));
+    expect(() => unsubscribe()).not.toThrow();
+  });
+});
@@ -0,0 +1,36 @@
+import { getCompositionName, isConditionTrue } from './k8sService';
+
+// Claim health history, recorded and queried by the main process
+const api = window.api;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record the health of a context's claims. Only changes since the last call
+// are stored, so this can be called with the full list whenever it changes.
+export async function recordClaimHealth(context, claims) {
+  return api.recordClaimHealth({
+    context,
+    claims: claims.map(claim => ({
+      uid: claim.metadata.uid,
+      kind: claim.kind,
+      name: claim.metadata.name,
+      namespace: claim.claimNamespace || claim.metadata.namespace,
+      composition: getCompositionName(claim),
+      created: claim.metadata.creationTimestamp,
+      ready: isConditionTrue(claim, 'Ready'),
+      synced: isConditionTrue(claim, 'Synced')
+    }))
+  });
+}
+
+// A claim's health records over the last days: { initial, records }, where
+// initial is the last record before the window, if any
+export async function fetchClaimHealthHistory(context, uid, days) {
+  return api.getClaimHealthHistory({ context, uid, since: Date.now() - days * DAY_MS });
+}
+
+// Health trends of a context over the last days: { namespaces, flapping,
+// timeToReady }
+export async function fetchHealthDashboard(context, days) {
+  return api.getHealthDashboard({ context, since: Date.now() - days * DAY_MS });
+}
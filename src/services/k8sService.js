@@ -1,18 +1,54 @@
+import { cachedRequest, invalidateRequests } from './requestCache';
+
 // Access the exposed API from the preload script
 const api = window.api;
 
+// The context requests are currently going to, used to key per-context caches
+let activeContext = '';
+
+// Discovery results per context: the /apis group list and the resource list
+// of each group/version, so plural and scope lookups only hit the API once
+const discoveryCache = new Map();
+
+// Watch event callbacks keyed by context and collection path, fed by a single
+// IPC listener
+const watchSubscribers = new Map();
+let removeWatchListener = null;
+
+// How long cached reads are used before asking the API again. Watches and
+// writes drop them sooner.
+const CACHE_TTL = {
+  xrds: 60000,
+  compositions: 30000,
+  compositionRevisions: 30000
+};
+
+const XRDS_PATH = '/apis/apiextensions.crossplane.io/v1/compositeresourcedefinitions';
+
 export async function getKubeConfig() {
-  return api.getKubeConfig();
+  const config = await api.getKubeConfig();
+  activeContext = config?.currentContext || '';
+  return config;
 }
 
 export async function setContext(contextName) {
-  return api.setContext(contextName);
+  const result = await api.setContext(contextName);
+  if (result) {
+    activeContext = contextName;
+    // Start the context over with fresh data
+    invalidateRequests(contextName);
+  }
+  return result;
 }
 
-export async function fetchResource(path, method = 'GET', body = undefined) {
+// Send a request through the k8s-api bridge. Options are passed through:
+// context, query, patchType, propagationPolicy, dryRun and force. Requests go
+// to the active context unless another one is given.
+export async function fetchResource(path, method = 'GET', body = undefined, options = {}) {
   try {
     console.log(`Fetching resource: ${path}, method: ${method}`);
-    const response = await api.k8sApi({ path, method, body });
+    const context = options.context || activeContext || undefined;
+    const response = await api.k8sApi({ path, method, body, ...options, context });
     
     // Log the raw response for debugging
     console.log('Raw API response:', response);
@@ -32,9 +68,19 @@ export async function fetchResource(path, method = 'GET', body = undefined) {
         statusCode: response.statusCode || undefined
       };
       console.error('Error details:', errorDetails);
-      throw new Error(response.error + (response.details ? `: ${response.details}` : ''));
+      // Kubernetes Status bodies carry the useful message
+      const detailMessage = typeof response.details === 'object' ? response.details?.message : response.details;
+      const error = new Error(response.error + (detailMessage && detailMessage !== response.error ? `: ${detailMessage}` : ''));
+      error.statusCode = response.statusCode;
+      error.details = response.details;
+      throw error;
     }
     
+    // Anything written may be in a cached read
+    if (!['GET', 'LIST'].includes(method.toUpperCase())) {
+      invalidateRequests(context || '');
+    }
+
     // Check if response has a data property
     if (!response.data) {
       console.error('No data in response:', response);
@@ -92,60 +138,663 @@ export async function fetchResource(path, method = 'GET', body = undefined) {
   }
 }
 
-export async function fetchCompositeResources() {
+// List a collection, e.g. with labelSelector, fieldSelector, limit or continue
+export async function listResources(path, query = {}, context = activeContext) {
+  return fetchResource(path, 'LIST', undefined, { query, context });
+}
+
+// Read a path through the request cache. ttl is in ms; fresh skips the
+// cached copy. Objects read this way are shared and must not be modified.
+function fetchCached(path, { ttl, query, context = activeContext, fresh = false }) {
+  const key = query ? `${path}?${new URLSearchParams(query)}` : path;
+  return cachedRequest(
+    context,
+    key,
+    ttl,
+    () => fetchResource(path, query ? 'LIST' : 'GET', undefined, { context: context || undefined, query }),
+    { fresh }
+  );
+}
+
+// Items per page when listing every item of a large collection
+const LIST_PAGE_SIZE = 500;
+
+// How many XRDs' claims to list at once
+const CLAIM_LIST_CONCURRENCY = 6;
+
+// List every item of a collection, following continue tokens a page at a time
+export async function listAllPages(path, { context, query = {}, pageSize = LIST_PAGE_SIZE } = {}) {
+  const items = [];
+  let continueToken = null;
+  do {
+    const page = await fetchResource(path, 'LIST', undefined, {
+      context,
+      query: { ...query, limit: pageSize, ...(continueToken ? { continue: continueToken } : {}) }
+    });
+    items.push(...(page?.items || []));
+    continueToken = page?.metadata?.continue || null;
+  } while (continueToken);
+  return items;
+}
+
+export async function createResource(path, body, { dryRun = false, context } = {}) {
+  return fetchResource(path, 'POST', body, { dryRun, context });
+}
+
+// Replace an object. Include metadata.resourceVersion for optimistic concurrency.
+export async function replaceResource(path, body, { dryRun = false, context } = {}) {
+  return fetchResource(path, 'PUT', body, { dryRun, context });
+}
+
+// Patch an object. patchType is merge, json, strategic or apply (server-side apply).
+export async function patchResource(path, patch, { patchType = 'merge', dryRun = false, force = false, context } = {}) {
+  return fetchResource(path, 'PATCH', patch, { patchType, dryRun, force, context });
+}
+
+// Delete an object. propagationPolicy is Foreground, Background or Orphan.
+export async function deleteResource(path, { propagationPolicy, dryRun = false, context } = {}) {
+  return fetchResource(path, 'DELETE', undefined, { propagationPolicy, dryRun, context });
+}
+
+function getDiscoveryCache(context) {
+  if (!discoveryCache.has(context)) {
+    discoveryCache.set(context, { groups: null, resources: new Map() });
+  }
+  return discoveryCache.get(context);
+}
+
+// Drop cached discovery data, e.g. after CRDs were installed or removed
+export function invalidateDiscovery(contextName = activeContext) {
+  discoveryCache.delete(contextName);
+}
+
+// List the API groups served by a context's cluster (/apis)
+export async function fetchApiGroups(context = activeContext) {
+  const cache = getDiscoveryCache(context);
+  if (!cache.groups) {
+    cache.groups = fetchResource('/apis', 'GET', undefined, { context })
+      .then(list => list?.groups || [])
+      .catch(error => {
+        cache.groups = null;
+        throw error;
+      });
+  }
+  return cache.groups;
+}
+
+// List the top-level resources of a group/version, without subresources
+export async function fetchGroupVersionResources(apiVersion, context = activeContext) {
+  const cache = getDiscoveryCache(context);
+  if (!cache.resources.has(apiVersion)) {
+    const path = apiVersion.includes('/') ? `/apis/${apiVersion}` : `/api/${apiVersion}`;
+    const pending = fetchResource(path, 'GET', undefined, { context })
+      .then(list => (list?.resources || []).filter(resource => !resource.name.includes('/')))
+      .catch(error => {
+        cache.resources.delete(apiVersion);
+        throw error;
+      });
+    cache.resources.set(apiVersion, pending);
+  }
+  return cache.resources.get(apiVersion);
+}
+
+// Resolve the plural name and scope of a kind through the discovery of a
+// context (the active one if not given). Falls back to a naive plural with
+// unknown scope if discovery isn't available.
+export async function resolveResource(apiVersion, kind, context = activeContext) {
+  const [group, version] = apiVersion.includes('/') ? apiVersion.split('/') : ['', apiVersion];
+
   try {
-    console.log('Fetching composite resources...');
-    
-    // First, get all XRDs
-    const xrds = await fetchResource('/apis/apiextensions.crossplane.io/v1/compositeresourcedefinitions');
-    if (!xrds) {
-      console.log('No XRDs found');
-      return [];
+    if (group) {
+      const groups = await fetchApiGroups(context);
+      const served = groups
+        .find(g => g.name === group)
+        ?.versions.some(v => v.version === version);
+      if (!served) {
+        throw new Error(`API version ${apiVersion} is not served by the cluster`);
+      }
     }
-    
-    console.log('Fetched XRDs:', xrds);
-    
-    // Then, for each XRD, get its claims
-    const resources = [];
-    for (const xrd of xrds.items || []) {
-      const group = xrd.spec.group;
-      const version = xrd.spec.versions[0].name;
-      const claimNames = xrd.spec.claimNames;
-      
-      if (claimNames && claimNames.kind) {
-        try {
-          console.log(`Fetching claims for ${claimNames.kind} from ${group}/${version}/${claimNames.plural}`);
-          const claims = await fetchResource(`/apis/${group}/${version}/${claimNames.plural}`);
-          
-          // Skip if no claims found
-          if (!claims) {
-            console.log(`No claims found for ${claimNames.kind}`);
-            continue;
-          }
-          
-          console.log(`Fetched claims for ${claimNames.kind}:`, claims);
-          
-          resources.push(...(claims.items || []).map(claim => ({
-            ...claim,
-            claimNamespace: claim.metadata.namespace
-          })));
-        } catch (error) {
-          // Log the error but continue processing other XRDs
-          console.warn(`Failed to fetch claims for ${claimNames.kind}:`, error);
-          continue;
-        }
+
+    let resource = (await fetchGroupVersionResources(apiVersion, context)).find(r => r.kind === kind);
+    if (!resource) {
+      // The CRD may have been installed after this group was cached
+      getDiscoveryCache(context).resources.delete(apiVersion);
+      resource = (await fetchGroupVersionResources(apiVersion, context)).find(r => r.kind === kind);
+    }
+
+    if (resource) {
+      return { group, version, plural: resource.name, namespaced: resource.namespaced };
+    }
+    console.warn(`Kind ${kind} not found in ${apiVersion} discovery`);
+  } catch (error) {
+    console.warn(`Discovery failed for ${kind} in ${apiVersion}:`, error);
+  }
+
+  const base = kind.toLowerCase();
+  return { group, version, plural: base.endsWith('s') ? base : base + 's', namespaced: null };
+}
+
+// Build the API path for a resolved resource. A null scope means discovery
+// failed, in which case we trust whether a namespace was given.
+export function buildResourcePath({ group, version, plural, namespaced }, name, namespace) {
+  const base = group ? `/apis/${group}/${version}` : `/api/${version}`;
+  const scope = namespace && namespaced !== false ? `/namespaces/${namespace}` : '';
+  return `${base}${scope}/${plural}${name ? `/${name}` : ''}`;
+}
+
+const watchSubscriberKey = (context, path) => `${context}|${path}`;
+
+function dispatchWatchEvent(event) {
+  // Whatever changed may be in a cached read of the collection
+  invalidateRequests(event.context, event.path);
+  const subscribers = watchSubscribers.get(watchSubscriberKey(event.context, event.path));
+  if (subscribers) {
+    subscribers.forEach(callback => callback(event));
+  }
+}
+
+// Subscribe to watch events for a collection path. The callback receives
+// ADDED/MODIFIED/DELETED events with an object, and a SYNC event with the
+// full item list whenever the watch (re)lists. Watches the active context
+// unless another one is given. Returns an unsubscribe function.
+export function watchResource(path, onEvent, context = activeContext) {
+  if (!removeWatchListener) {
+    removeWatchListener = api.onWatchEvent(dispatchWatchEvent);
+  }
+
+  // Events carry the name of the context the main process resolved, e.g.
+  // the current one for '', so subscribe under the name it reports back
+  let key = null;
+  let stopped = false;
+  api.watchResource(path, context)
+    .then(watchedContext => {
+      if (stopped) return;
+      key = watchSubscriberKey(watchedContext, path);
+      if (!watchSubscribers.has(key)) {
+        watchSubscribers.set(key, new Set());
+      }
+      watchSubscribers.get(key).add(onEvent);
+    })
+    .catch(error => {
+      console.error(`Failed to watch ${path}:`, error);
+    });
+
+  return () => {
+    stopped = true;
+    const subscribers = key && watchSubscribers.get(key);
+    if (subscribers) {
+      subscribers.delete(onEvent);
+      if (subscribers.size === 0) {
+        watchSubscribers.delete(key);
       }
     }
-    
-    console.log('Final composite resources:', resources);
-    return resources;
+    api.unwatchResource(path, context).catch(error => {
+      console.error(`Failed to stop watching ${path}:`, error);
+    });
+  };
+}
+
+// Apply a watch event to a plain list of objects. SYNC replaces the list; the
+// other events upsert or remove a single object by UID.
+export function applyWatchEvent(items, event) {
+  switch (event.type) {
+    case 'SYNC':
+      return event.items;
+    case 'DELETED':
+      return items.filter(item => item.metadata.uid !== event.object.metadata.uid);
+    case 'ADDED':
+    case 'MODIFIED': {
+      const index = items.findIndex(item => item.metadata.uid === event.object.metadata.uid);
+      if (index === -1) {
+        return [...items, event.object];
+      }
+      const next = [...items];
+      next[index] = event.object;
+      return next;
+    }
+    default:
+      return items;
+  }
+}
+
+// Resolve the API path of an existing object from its apiVersion and kind
+export async function getObjectPath(object, context = activeContext) {
+  const resolved = await resolveResource(object.apiVersion, object.kind, context);
+  return buildResourcePath(resolved, object.metadata.name, object.metadata.namespace);
+}
+
+// Fetch the live copy of an object
+export async function fetchObject(object, context = activeContext) {
+  return fetchResource(await getObjectPath(object, context), 'GET', undefined, { context });
+}
+
+// Replace an object. Its metadata.resourceVersion makes this fail with a 409
+// if someone else changed the object in the meantime.
+export async function replaceObject(object, { dryRun = false, context = activeContext } = {}) {
+  return replaceResource(await getObjectPath(object, context), object, { dryRun, context });
+}
+
+// How long a resource may sit with a deletionTimestamp before we call it stuck
+export const STUCK_DELETION_MS = 5 * 60 * 1000;
+
+// Delete a claim. Crossplane takes care of the XR and its managed resources.
+export async function deleteClaim(claim, context = activeContext) {
+  return deleteResource(await getObjectPath(claim, context), { propagationPolicy: 'Background', context });
+}
+
+// fresh skips the request cache, e.g. for a refresh the user asked for
+export async function fetchCompositeResourceDefinitions({ fresh = false, context } = {}) {
+  const xrds = await fetchCached(XRDS_PATH, { ttl: CACHE_TTL.xrds, context, fresh });
+  return xrds?.items || [];
+}
+
+// The version to read an XRD's XRs and claims at: the referenceable one if
+// it's served, otherwise the first served version
+export function getReferenceableVersion(xrd) {
+  const versions = xrd.spec?.versions || [];
+  const served = versions.filter(v => v.served !== false);
+  return (served.find(v => v.referenceable) || served[0] || versions[0])?.name;
+}
+
+export async function fetchCompositions({ fresh = false } = {}) {
+  const list = await fetchCached('/apis/apiextensions.crossplane.io/v1/compositions', { ttl: CACHE_TTL.compositions, fresh });
+  return list?.items || [];
+}
+
+// List the XRs of every XRD. XRDs whose XRs can't be listed are skipped.
+export async function fetchAllCompositeResources() {
+  const xrds = await fetchCompositeResourceDefinitions();
+  const results = await mapWithConcurrency(xrds, 8, xrd =>
+    listResources(`/apis/${xrd.spec.group}/${getReferenceableVersion(xrd)}/${xrd.spec.names.plural}`)
+  );
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.warn('Failed to list composite resources:', result.reason));
+  return results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value?.items || []);
+}
+
+// The composition an XR uses. Crossplane v2 moved it under spec.crossplane.
+export function getCompositionName(xr) {
+  return xr.spec?.compositionRef?.name || xr.spec?.crossplane?.compositionRef?.name || null;
+}
+
+// The composition revision an XR is on
+export function getCompositionRevisionName(xr) {
+  return xr.spec?.compositionRevisionRef?.name || xr.spec?.crossplane?.compositionRevisionRef?.name || null;
+}
+
+// Whether an XR follows new composition revisions (Automatic) or stays on
+// the one it's pinned to (Manual)
+export function getCompositionUpdatePolicy(xr) {
+  return xr.spec?.compositionUpdatePolicy || xr.spec?.crossplane?.compositionUpdatePolicy || 'Automatic';
+}
+
+// The revisions of a composition, newest first
+export async function fetchCompositionRevisions(compositionName, context = activeContext) {
+  const list = await fetchCached('/apis/apiextensions.crossplane.io/v1/compositionrevisions', {
+    ttl: CACHE_TTL.compositionRevisions,
+    query: { labelSelector: `crossplane.io/composition-name=${compositionName}` },
+    context
+  });
+  return [...(list?.items || [])].sort((a, b) => (b.spec?.revision || 0) - (a.spec?.revision || 0));
+}
+
+// Set an XR's composition update policy, pinning it to a revision when the
+// policy is Manual. A claimed XR is changed through its claim, which would
+// otherwise copy its own settings back onto the XR.
+export async function setCompositionRevision(xr, policy, revisionName) {
+  const claimRef = xr.spec?.claimRef;
+  const target = claimRef
+    ? { apiVersion: claimRef.apiVersion, kind: claimRef.kind, metadata: { name: claimRef.name, namespace: claimRef.namespace } }
+    : xr;
+
+  const settings = { compositionUpdatePolicy: policy };
+  if (policy === 'Manual' && revisionName) {
+    settings.compositionRevisionRef = { name: revisionName };
+  }
+  const spec = !claimRef && xr.spec?.crossplane ? { crossplane: settings } : settings;
+  return patchResource(await getObjectPath(target), { spec });
+}
+
+// The Secret a claim or XR writes its connection details to. A claim's secret
+// lives in the claim's namespace.
+export function getConnectionSecretRef(resource) {
+  const ref = resource?.spec?.writeConnectionSecretToRef;
+  if (!ref?.name) return null;
+  const namespace = ref.namespace || resource.metadata.namespace;
+  return namespace ? { name: ref.name, namespace } : null;
+}
+
+// Connection detail keys a composition publishes, from its resources or from
+// the resources of its patch-and-transform pipeline steps
+export function getPromisedConnectionKeys(composition) {
+  const resources = [
+    ...(composition?.spec?.resources || []),
+    ...(composition?.spec?.pipeline || []).flatMap(step => step.input?.resources || [])
+  ];
+  const keys = resources
+    .flatMap(resource => resource.connectionDetails || [])
+    .map(detail => detail.name || detail.fromConnectionSecretKey)
+    .filter(Boolean);
+  return [...new Set(keys)].sort();
+}
+
+// The keys a claim or XR's connection secret should hold according to its
+// composition, narrowed to the XRD's connectionSecretKeys for claims. Null
+// when the composition can't be found.
+export async function fetchPromisedConnectionKeys(resource, context = activeContext) {
+  let compositionName = getCompositionName(resource);
+  const resourceRef = resource.spec?.resourceRef;
+  if (!compositionName && resourceRef) {
+    const xr = await fetchObject({ apiVersion: resourceRef.apiVersion, kind: resourceRef.kind, metadata: { name: resourceRef.name } }, context);
+    compositionName = getCompositionName(xr);
+  }
+  if (!compositionName) return null;
+
+  let composition;
+  try {
+    composition = await fetchResource(`/apis/apiextensions.crossplane.io/v1/compositions/${compositionName}`, 'GET', undefined, { context });
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+  if (!composition) return null;
+  let keys = getPromisedConnectionKeys(composition);
+
+  if (resourceRef) {
+    const group = resource.apiVersion.split('/')[0];
+    const xrds = await fetchCompositeResourceDefinitions({ context });
+    const xrd = xrds.find(x => x.spec.group === group && x.spec.claimNames?.kind === resource.kind);
+    const allowed = xrd?.spec?.connectionSecretKeys;
+    if (allowed?.length) {
+      keys = keys.filter(key => allowed.includes(key));
+    }
+  }
+  return keys;
+}
+
+// Secrets go through their own bridge calls so values only leave the main
+// process when one is revealed
+async function callSecretApi(method, ref, key, context = activeContext) {
+  const response = await api[method]({ ...ref, key, context: context || undefined });
+  if (response?.error) {
+    const error = new Error(response.error);
+    error.statusCode = response.statusCode;
+    throw error;
+  }
+  return response?.data;
+}
+
+// The type of a secret and the names and sizes of its keys, or null if the
+// secret doesn't exist (yet)
+export async function fetchSecretKeys(ref, context = activeContext) {
+  try {
+    return await callSecretApi('getSecretKeys', ref, undefined, context);
   } catch (error) {
-    console.error('Failed to fetch composite resources:', error);
+    if (error.statusCode === 404) return null;
     throw error;
   }
 }
 
-export async function fetchResourceTrace(claim) {
+export async function revealSecretValue(ref, key, context = activeContext) {
+  return callSecretApi('revealSecretValue', ref, key, context);
+}
+
+// Copy a secret value to the clipboard. The main process clears it again
+// after the returned number of milliseconds unless something else was copied.
+export async function copySecretValue(ref, key, context = activeContext) {
+  const result = await callSecretApi('copySecretValue', ref, key, context);
+  return result?.clearAfter;
+}
+
+// Create a claim for an XRD. Claims are always namespaced.
+export async function createClaim(xrd, manifest, { dryRun = false } = {}) {
+  const version = manifest.apiVersion.split('/')[1];
+  const path = `/apis/${xrd.spec.group}/${version}/namespaces/${manifest.metadata.namespace}/${xrd.spec.claimNames.plural}`;
+  return createResource(path, manifest, { dryRun });
+}
+
+// A resource's condition of a type, e.g. Ready
+export function getCondition(resource, type) {
+  return resource.status?.conditions?.find(c => c.type === type);
+}
+
+// Whether a resource reports a condition, e.g. Ready, as True
+export function isConditionTrue(resource, type) {
+  return getCondition(resource, type)?.status === 'True';
+}
+
+// Crossplane package kinds and the revision kind each one rolls out
+export const PACKAGE_KINDS = [
+  { kind: 'Provider', revisionKind: 'ProviderRevision' },
+  { kind: 'Function', revisionKind: 'FunctionRevision' },
+  { kind: 'Configuration', revisionKind: 'ConfigurationRevision' }
+];
+
+// Resolve a pkg.crossplane.io kind at v1, falling back to v1beta1 for kinds
+// older Crossplane versions only serve there (e.g. Function before 1.17)
+async function resolvePackageResource(kind) {
+  for (const version of ['v1', 'v1beta1']) {
+    const resolved = await resolveResource(`pkg.crossplane.io/${version}`, kind);
+    if (resolved.namespaced !== null) {
+      return resolved;
+    }
+  }
+  return null;
+}
+
+// Collection paths of the package kinds the cluster serves:
+// [{ kind, revisionKind, path, revisionPath }]
+export async function fetchPackageKinds() {
+  const kinds = await Promise.all(PACKAGE_KINDS.map(async ({ kind, revisionKind }) => {
+    const [resolved, revisionResolved] = await Promise.all([
+      resolvePackageResource(kind),
+      resolvePackageResource(revisionKind)
+    ]);
+    if (!resolved || !revisionResolved) {
+      return null;
+    }
+    return {
+      kind,
+      revisionKind,
+      path: buildResourcePath(resolved),
+      revisionPath: buildResourcePath(revisionResolved)
+    };
+  }));
+  return kinds.filter(Boolean);
+}
+
+// The revisions of a package, newest first
+export function getPackageRevisions(pkg, revisions) {
+  return revisions
+    .filter(revision =>
+      revision.metadata.labels?.['pkg.crossplane.io/package'] === pkg.metadata.name &&
+      revision.metadata.ownerReferences?.some(ref => ref.kind === pkg.kind)
+    )
+    .sort((a, b) => (b.spec?.revision || 0) - (a.spec?.revision || 0));
+}
+
+// Change a package's spec, e.g. its package reference or activation policy
+export async function updatePackage(pkg, spec) {
+  return patchResource(await getObjectPath(pkg), { spec });
+}
+
+// Roll a package back (or forward) to one of its revisions. With automatic
+// activation the package manager activates whichever revision matches the
+// package reference, so we point it at the revision's image. With manual
+// activation we flip the revisions' desired states ourselves.
+export async function activatePackageRevision(pkg, revision, revisions) {
+  if (pkg.spec?.revisionActivationPolicy === 'Manual') {
+    // Deactivate the others first so two revisions never run side by side
+    const active = getPackageRevisions(pkg, revisions)
+      .filter(r => r.spec?.desiredState === 'Active' && r.metadata.uid !== revision.metadata.uid);
+    for (const previous of active) {
+      await patchResource(await getObjectPath(previous), { spec: { desiredState: 'Inactive' } });
+    }
+    try {
+      await patchResource(await getObjectPath(revision), { spec: { desiredState: 'Active' } });
+    } catch (error) {
+      if (active.length === 0) throw error;
+      const names = active.map(r => r.metadata.name).join(', ');
+      throw new Error(`Deactivated ${names} but failed to activate ${revision.metadata.name}: ${error.message}`);
+    }
+    return;
+  }
+  await updatePackage(pkg, { package: revision.spec.image });
+}
+
+// Fetch the runtime config a package runs with: its DeploymentRuntimeConfig,
+// or the deprecated ControllerConfig. Null when it uses the default.
+export async function fetchPackageRuntimeConfig(pkg) {
+  const runtimeRef = pkg.spec?.runtimeConfigRef;
+  const controllerRef = pkg.spec?.controllerConfigRef;
+  if (runtimeRef?.name) {
+    const apiVersion = runtimeRef.apiVersion || 'pkg.crossplane.io/v1beta1';
+    const resolved = await resolveResource(apiVersion, runtimeRef.kind || 'DeploymentRuntimeConfig');
+    return fetchResource(buildResourcePath(resolved, runtimeRef.name));
+  }
+  if (controllerRef?.name) {
+    const resolved = await resolveResource('pkg.crossplane.io/v1alpha1', 'ControllerConfig');
+    return fetchResource(buildResourcePath(resolved, controllerRef.name));
+  }
+  return null;
+}
+
+// Crossplane's own API groups. Managed resources live in provider groups.
+const CROSSPLANE_CORE_GROUPS = [
+  'apiextensions.crossplane.io',
+  'pkg.crossplane.io',
+  'secrets.crossplane.io',
+  'ops.crossplane.io',
+  'protection.crossplane.io'
+];
+
+// Run an async function over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Name the provider behind a managed resource kind: the CRD's provider
+// category if it has one (such as aws, ignoring crossplane and managed),
+// otherwise the label before the domain in its group (ec2.aws.upbound.io -> aws)
+export function getProviderName(group, categories = []) {
+  const category = categories.find(c => c !== 'crossplane' && c !== 'managed');
+  if (category) return category;
+  const parts = group.split('.');
+  return parts.length >= 3 ? parts[parts.length - 3] : parts[0];
+}
+
+// Find every managed resource kind the cluster serves. Provider CRDs are in
+// the "managed" category, which discovery reports for each resource.
+export async function fetchManagedResourceKinds() {
+  const groups = (await fetchApiGroups()).filter(group =>
+    group.name.includes('.') &&
+    !group.name.endsWith('.k8s.io') &&
+    !CROSSPLANE_CORE_GROUPS.includes(group.name)
+  );
+
+  const results = await mapWithConcurrency(groups, 8, async group => {
+    const apiVersion = group.preferredVersion?.groupVersion || group.versions[0].groupVersion;
+    const resources = await fetchGroupVersionResources(apiVersion);
+    return resources
+      .filter(resource => resource.categories?.includes('managed'))
+      .map(resource => ({
+        apiVersion,
+        group: group.name,
+        kind: resource.kind,
+        plural: resource.name,
+        namespaced: resource.namespaced,
+        provider: getProviderName(group.name, resource.categories)
+      }));
+  });
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.warn('Failed to discover managed resource kinds:', result.reason));
+  return results.filter(result => result.status === 'fulfilled').flatMap(result => result.value);
+}
+
+// List every managed resource across all namespaces, whether it was composed
+// for a claim or created directly. Returns { kinds, resources, errors } where
+// errors maps a kind to why it couldn't be listed.
+export async function fetchManagedResources() {
+  const kinds = await fetchManagedResourceKinds();
+  const results = await mapWithConcurrency(kinds, 8, kind =>
+    listResources(`/apis/${kind.apiVersion}/${kind.plural}`)
+  );
+
+  const resources = [];
+  const errors = {};
+  results.forEach((result, index) => {
+    const kind = kinds[index];
+    if (result.status === 'fulfilled') {
+      resources.push(...(result.value?.items || []).map(item => ({
+        ...item,
+        apiVersion: item.apiVersion || kind.apiVersion,
+        kind: item.kind || kind.kind
+      })));
+    } else {
+      errors[`${kind.kind}.${kind.group}`] = result.reason?.message || 'Failed to list resources';
+    }
+  });
+
+  return { kinds, resources, errors };
+}
+
+// Fetch the claims of every XRD, from the active context or the one given.
+// XRDs are listed a few at a time and each a page at a time. onProgress is
+// called as each XRD finishes with { claims, loaded, total, pending }: the
+// claims found so far and the claim kinds still loading, so partial results
+// can be shown right away.
+export async function fetchCompositeResources(context, { onProgress } = {}) {
+  const xrds = await fetchCompositeResourceDefinitions({ context: context || activeContext });
+  const claimXrds = xrds.filter(xrd => xrd.spec.claimNames?.kind);
+
+  // Claims per XRD, so the result keeps the XRDs' order however they finish
+  const claimsByXrd = new Array(claimXrds.length).fill(null);
+  const report = () => {
+    if (!onProgress) return;
+    const loaded = claimsByXrd.filter(Boolean).length;
+    onProgress({
+      claims: claimsByXrd.flatMap(claims => claims || []),
+      loaded,
+      total: claimXrds.length,
+      pending: claimXrds.filter((xrd, index) => !claimsByXrd[index]).map(xrd => xrd.spec.claimNames.kind)
+    });
+  };
+
+  await mapWithConcurrency(claimXrds, CLAIM_LIST_CONCURRENCY, async (xrd, index) => {
+    const { group, claimNames } = xrd.spec;
+    try {
+      const claims = await listAllPages(`/apis/${group}/${getReferenceableVersion(xrd)}/${claimNames.plural}`, { context });
+      claimsByXrd[index] = claims.map(claim => ({ ...claim, claimNamespace: claim.metadata.namespace }));
+    } catch (error) {
+      // Log the error but continue with the other XRDs
+      console.warn(`Failed to fetch claims for ${claimNames.kind}:`, error);
+      claimsByXrd[index] = [];
+    }
+    report();
+  });
+
+  return claimsByXrd.flatMap(claims => claims || []);
+}
+
+export async function fetchResourceTrace(claim, context = activeContext) {
   if (!claim) return null;
 
   try {
@@ -158,64 +807,39 @@ export async function fetchResourceTrace(claim) {
     }
 
     // Fetch the composite resource (XR)
-    const xrPlural = compositeRef.kind.toLowerCase() + 's';
-    const xrPath = `/apis/${compositeRef.apiVersion}/${xrPlural}/${compositeRef.name}`;
+    const xrResource = await resolveResource(compositeRef.apiVersion, compositeRef.kind, context);
+    const xrPath = buildResourcePath(xrResource, compositeRef.name, compositeRef.namespace);
     console.log('Fetching composite resource from:', xrPath);
-    const xrData = await fetchResource(xrPath);
+    const xrData = await fetchResource(xrPath, 'GET', undefined, { context });
 
     if (!xrData) {
       throw new Error(`Failed to fetch composite resource ${compositeRef.kind}/${compositeRef.name}`);
     }
 
     // Fetch composition revision information
-    const compositionRef = xrData.spec?.compositionRef;
+    const compositionName = getCompositionName(xrData);
     let compositionRevision = null;
     let compositionRevisions = [];
     let composition = null;
-    if (compositionRef) {
+    if (compositionName) {
       try {
-        console.log('Fetching composition with ref:', compositionRef);
+        console.log('Fetching composition:', compositionName);
         // Get the actual Composition resource
-        const compositionPath = `/apis/apiextensions.crossplane.io/v1/compositions/${compositionRef.name}`;
-        composition = await fetchResource(compositionPath);
-
-        // Get all revisions
-        const revisionsPath = `/apis/apiextensions.crossplane.io/v1/compositionrevisions`;
-        const revisions = await fetchResource(revisionsPath);
-        compositionRevisions = revisions?.items?.filter(rev => 
-          rev.spec.compositionRef.name === compositionRef.name
-        ) || [];
-
-        // Get active revision
-        const revisionPath = `/apis/apiextensions.crossplane.io/v1/compositionrevisions/${compositionRef.name}`;
-        compositionRevision = await fetchResource(revisionPath);
+        const compositionPath = `/apis/apiextensions.crossplane.io/v1/compositions/${compositionName}`;
+        const cachedComposition = await fetchCached(compositionPath, { ttl: CACHE_TTL.compositions, context });
+        // A copy, since the trace adds the composition's events to it
+        composition = cachedComposition && { ...cachedComposition };
+
+        // Get all revisions, and the one the XR is on
+        compositionRevisions = await fetchCompositionRevisions(compositionName, context);
+        const revisionName = getCompositionRevisionName(xrData);
+        compositionRevision = compositionRevisions.find(rev => rev.metadata.name === revisionName) ||
+          compositionRevisions[0] || null;
       } catch (error) {
         console.warn('Failed to fetch composition or revision:', error);
       }
     }
 
-    // Fetch package dependencies
-    let packageDependencies = [];
-    try {
-      // Get all packages (providers, functions, configurations)
-      const providers = await fetchResource('/apis/pkg.crossplane.io/v1/providers');
-      const functions = await fetchResource('/apis/pkg.crossplane.io/v1/functions');
-      const configurations = await fetchResource('/apis/pkg.crossplane.io/v1/configurations');
-
-      packageDependencies = [
-        ...(providers?.items || []),
-        ...(functions?.items || []),
-        ...(configurations?.items || [])
-      ].map(pkg => ({
-        ...pkg,
-        dependencies: pkg.spec?.dependencies || [],
-        runtime: pkg.spec?.runtime || null,
-        packageType: pkg.kind.toLowerCase()
-      }));
-    } catch (error) {
-      console.warn('Failed to fetch package dependencies:', error);
-    }
-
     // Create a Set to track processed resources and avoid cycles
     const processedResources = new Set();
     
@@ -234,7 +858,7 @@ export async function fetchResourceTrace(claim) {
           ? `/api/v1/namespaces/${ns}/events?fieldSelector=${fs}`
           : `/api/v1/events?fieldSelector=${fs}`;
 
-        const events = await fetchResource(path);
+        const events = await fetchResource(path, 'GET', undefined, { context });
         return events?.items || [];
       } catch (err) {
         console.warn('Failed to fetch events (falling back to empty list):', err);
@@ -258,7 +882,7 @@ export async function fetchResourceTrace(claim) {
     }
 
     // Recursive function to fetch a resource and its dependencies
-    async function fetchResourceAndDependencies(ref, depth = 0, maxDepth = 10) {
+    async function fetchResourceAndDependencies(ref, depth = 0, maxDepth = 10, parentNamespace = null) {
       if (depth >= maxDepth) {
         console.warn('Max depth reached, stopping recursion');
         return null;
@@ -269,7 +893,8 @@ export async function fetchResourceTrace(claim) {
         const resourceRef = typeof ref === 'string' ? ref : ref.name;
         const resourceKind = typeof ref === 'string' ? null : ref.kind;
         const resourceApiVersion = typeof ref === 'string' ? null : ref.apiVersion;
-        const namespace = typeof ref === 'string' ? null : ref.namespace;
+        // Refs to namespaced resources may omit the namespace of their parent
+        const namespace = typeof ref === 'string' ? null : (ref.namespace || parentNamespace);
 
         if (!resourceRef) {
           console.warn('Invalid resource reference:', ref);
@@ -287,19 +912,8 @@ export async function fetchResourceTrace(claim) {
         // Construct the resource path
         let path;
         if (resourceKind && resourceApiVersion) {
-          const [group, version] = resourceApiVersion.split('/');
-          const base   = resourceKind.toLowerCase();
-          const plural = base.endsWith('s') ? base : base + 's';
-
-          
-          // Try cluster-scoped path first for AWS resources
-          if (group.includes('aws')) {
-            path = `/apis/${group}/${version}/${plural}/${resourceRef}`;
-          } else {
-            path = namespace
-              ? `/apis/${group}/${version}/namespaces/${namespace}/${plural}/${resourceRef}`
-              : `/apis/${group}/${version}/${plural}/${resourceRef}`;
-          }
+          const resolved = await resolveResource(resourceApiVersion, resourceKind, context);
+          path = buildResourcePath(resolved, resourceRef, namespace);
         } else if (typeof ref === 'string') {
           path = ref;
         }
@@ -310,7 +924,7 @@ export async function fetchResourceTrace(claim) {
         }
 
         console.log('Fetching resource from:', path);
-        const resource = await fetchResource(path);
+        const resource = await fetchResource(path, 'GET', undefined, { context });
         
         if (!resource) {
           console.warn('No resource returned for path:', path);
@@ -363,7 +977,7 @@ export async function fetchResourceTrace(claim) {
         const dependencies = await Promise.all(
           refs
             .filter(Boolean)
-            .map(ref => fetchResourceAndDependencies(ref, depth + 1, maxDepth))
+            .map(ref => fetchResourceAndDependencies(ref, depth + 1, maxDepth, resource.metadata?.namespace))
         );
 
         // Filter out null dependencies and add them to the resource
@@ -416,7 +1030,7 @@ export async function fetchResourceTrace(claim) {
     const managedResources = await Promise.all(
       managedRefs
         .filter(Boolean)
-        .map(ref => fetchResourceAndDependencies(ref))
+        .map(ref => fetchResourceAndDependencies(ref, 0, 10, xrData.metadata?.namespace))
     );
 
     traceResult.managedResources = managedResources.filter(Boolean);
@@ -440,27 +1054,131 @@ export async function fetchResourceTrace(claim) {
   }
 }
 
-export async function fetchSpecificClaim(kind, name, namespace) {
+// Collect the apiVersion/kind pairs and UIDs of the XR and managed resources
+// in a trace, so callers know which collections to watch
+export function getTraceWatchTargets(trace) {
+  const kinds = new Map();
+  const uids = new Set();
+
+  const visit = (resource) => {
+    if (!resource?.metadata?.uid) return;
+    uids.add(resource.metadata.uid);
+    kinds.set(`${resource.apiVersion}|${resource.kind}`, { apiVersion: resource.apiVersion, kind: resource.kind });
+    (resource.dependencies || []).forEach(visit);
+  };
+
+  if (trace) {
+    visit(trace.composite);
+    (trace.managedResources || []).forEach(visit);
+  }
+
+  return { kinds: [...kinds.values()], uids };
+}
+
+// Flatten the XR and every managed resource (including nested ones) in a trace
+export function flattenTrace(trace) {
+  const resources = [];
+  const visit = (resource, depth) => {
+    if (!resource?.metadata) return;
+    resources.push({ resource, depth });
+    (resource.dependencies || []).forEach(child => visit(child, depth + 1));
+  };
+
+  if (trace) {
+    visit(trace.composite, 0);
+    (trace.managedResources || []).forEach(resource => visit(resource, 1));
+  }
+  return resources;
+}
+
+// Every event attached to the claim, XR, composition and managed resources of
+// a trace, each tagged with the resource it's about
+export function collectTraceEvents(trace) {
+  const events = new Map();
+  const visit = (resource, role) => {
+    if (!resource?.metadata) return;
+    const source = { uid: resource.metadata.uid, kind: resource.kind, name: resource.metadata.name, role };
+    (resource.events || []).forEach(event => {
+      events.set(event.metadata?.uid || `${source.uid}/${events.size}`, { ...event, resource: source });
+    });
+    (resource.dependencies || []).forEach(child => visit(child, 'managed'));
+  };
+
+  if (trace) {
+    visit(trace.claim, 'claim');
+    visit(trace.composite, 'composite');
+    visit(trace.composition, 'composition');
+    (trace.managedResources || []).forEach(resource => visit(resource, 'managed'));
+  }
+  return [...events.values()];
+}
+
+// Return a copy of the trace with the resource matching object's UID replaced,
+// keeping what the trace attached to it (dependencies, events, ...)
+export function updateTraceResource(trace, object) {
+  const uid = object?.metadata?.uid;
+  if (!trace || !uid) return trace;
+
+  const replace = (resource) => {
+    if (!resource) return resource;
+    if (resource.metadata?.uid === uid) {
+      return {
+        ...object,
+        dependencies: resource.dependencies,
+        events: resource.events,
+        connectionDetails: resource.connectionDetails,
+        propagatedStatus: resource.propagatedStatus
+      };
+    }
+    if (!Array.isArray(resource.dependencies)) return resource;
+    return { ...resource, dependencies: resource.dependencies.map(replace) };
+  };
+
+  return {
+    ...trace,
+    claim: trace.claim?.metadata?.uid === uid ? { ...object, events: trace.claim.events } : trace.claim,
+    composite: replace(trace.composite),
+    managedResources: (trace.managedResources || []).map(replace)
+  };
+}
+
+// Return a copy of the trace without the resource with the given UID
+export function removeTraceResource(trace, uid) {
+  if (!trace) return trace;
+
+  const prune = (resources) => (resources || [])
+    .filter(resource => resource.metadata?.uid !== uid)
+    .map(resource => Array.isArray(resource.dependencies)
+      ? { ...resource, dependencies: prune(resource.dependencies) }
+      : resource);
+
+  return { ...trace, managedResources: prune(trace.managedResources) };
+}
+
+// Fetch a claim by kind, name and namespace, from the active context or the
+// one given
+export async function fetchSpecificClaim(kind, name, namespace, context = activeContext) {
   try {
     console.log(`Fetching specific claim: ${kind}/${name} in namespace ${namespace}`);
     
     // Find the XRD for this claim kind
-    const xrds = await fetchResource('/apis/apiextensions.crossplane.io/v1/compositeresourcedefinitions');
-    const xrd = xrds.items.find(xrd => xrd.spec.claimNames?.kind === kind);
+    const xrds = await fetchCompositeResourceDefinitions({ context });
+    const xrd = xrds.find(xrd => xrd.spec.claimNames?.kind === kind);
     
     if (!xrd) {
       throw new Error(`No XRD found for claim kind ${kind}`);
     }
     
     const group = xrd.spec.group;
-    const version = xrd.spec.versions[0].name;
-    const plural = xrd.spec.claimNames.plural;
-    
-    const path = namespace 
-      ? `/apis/${group}/${version}/namespaces/${namespace}/${plural}/${name}`
-      : `/apis/${group}/${version}/${plural}/${name}`;
+    const version = getReferenceableVersion(xrd);
+    const resolved = await resolveResource(`${group}/${version}`, kind, context);
+    // The XRD knows the claim plural even when discovery doesn't
+    if (resolved.namespaced === null) {
+      resolved.plural = xrd.spec.claimNames.plural;
+    }
+    const path = buildResourcePath(resolved, name, namespace);
     
-    const claim = await fetchResource(path);
+    const claim = await fetchResource(path, 'GET', undefined, { context });
     return {
       ...claim,
       claimNamespace: namespace
@@ -0,0 +1,37 @@
+import { getCondition, isConditionTrue, STUCK_DELETION_MS } from './k8sService';
+
+// Desktop notifications for claim changes, raised by the main process
+const api = window.api;
+
+const failingCondition = (claim) =>
+  ['Ready', 'Synced']
+    .map(type => getCondition(claim, type))
+    .find(condition => condition && condition.status !== 'True');
+
+// Hand the main process the latest claims of each listed context, or null
+// for a context that couldn't be listed. It compares them with the last
+// lists and notifies about what changed.
+export async function updateClaimNotifications(claimsByContext) {
+  const lists = {};
+  claimsByContext.forEach((claims, context) => {
+    lists[context] = claims && claims.map(claim => {
+      const failing = failingCondition(claim);
+      const { deletionTimestamp } = claim.metadata;
+      return {
+        uid: claim.metadata.uid,
+        kind: claim.kind,
+        name: claim.metadata.name,
+        namespace: claim.claimNamespace || claim.metadata.namespace,
+        labels: claim.metadata.labels || {},
+        ready: isConditionTrue(claim, 'Ready'),
+        synced: isConditionTrue(claim, 'Synced'),
+        reason: failing?.reason,
+        message: failing?.message,
+        deletionTimestamp,
+        stuckAt: deletionTimestamp ? Date.parse(deletionTimestamp) + STUCK_DELETION_MS : null,
+        finalizers: claim.metadata.finalizers
+      };
+    });
+  });
+  return api.updateClaimNotifications(lists);
+}
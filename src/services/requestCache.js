@@ -0,0 +1,110 @@
+// Cache for API reads that rarely change, keyed by context and path. A
+// request made while the same one is in flight shares its result, and a
+// failed request isn't kept. Cached objects are shared between callers, so
+// they must not be modified.
+
+// Cached requests by `${context}|${path}`: { context, path, promise,
+// pending, storedAt, expiresAt }
+const entries = new Map();
+
+const stats = { hits: 0, misses: 0, deduplicated: 0, invalidated: 0 };
+
+// Called whenever the stats or entries change
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+const entryKey = (context, path) => `${context}|${path}`;
+
+// Run load() for a path unless a cached result younger than ttl (ms), or the
+// same request in flight, can be used. fresh skips any cached result.
+export function cachedRequest(context, path, ttl, load, { fresh = false } = {}) {
+  const key = entryKey(context, path);
+  const entry = entries.get(key);
+  if (entry && !fresh) {
+    if (entry.pending) {
+      stats.deduplicated++;
+      notify();
+      return entry.promise;
+    }
+    if (entry.expiresAt > Date.now()) {
+      stats.hits++;
+      notify();
+      return entry.promise;
+    }
+  }
+
+  stats.misses++;
+  const next = { context, path, pending: true, storedAt: null, expiresAt: 0 };
+  next.promise = load().then(
+    value => {
+      next.pending = false;
+      next.storedAt = Date.now();
+      next.expiresAt = next.storedAt + ttl;
+      notify();
+      return value;
+    },
+    error => {
+      // Don't drop a newer request for the same path
+      if (entries.get(key) === next) entries.delete(key);
+      notify();
+      throw error;
+    }
+  );
+  entries.set(key, next);
+  notify();
+  return next.promise;
+}
+
+// Collection paths with the namespace left out, so a watch on every
+// namespace covers the objects in each
+const withoutNamespace = (path) => path.replace(/\/namespaces\/[^/]+(?=\/)/, '');
+
+// Drop cached requests for a context, all of them or only those under a
+// collection path (the collection and the objects in it)
+export function invalidateRequests(context, collectionPath = null) {
+  const prefix = collectionPath && withoutNamespace(collectionPath);
+  let dropped = 0;
+  entries.forEach((entry, key) => {
+    if (entry.context !== context) return;
+    if (prefix) {
+      const path = withoutNamespace(entry.path);
+      if (path !== prefix && !path.startsWith(`${prefix}/`) && !path.startsWith(`${prefix}?`)) return;
+    }
+    entries.delete(key);
+    dropped++;
+  });
+  if (dropped > 0) {
+    stats.invalidated += dropped;
+    notify();
+  }
+}
+
+// Empty the cache and reset the stats
+export function clearRequestCache() {
+  entries.clear();
+  Object.keys(stats).forEach(key => {
+    stats[key] = 0;
+  });
+  notify();
+}
+
+// Stats for the debug panel: the counters plus every entry
+export function getRequestCacheStats() {
+  return {
+    ...stats,
+    entries: [...entries.values()].map(({ context, path, pending, storedAt, expiresAt }) => ({
+      context,
+      path,
+      pending,
+      storedAt,
+      expiresAt
+    }))
+  };
+}
+
+// Listen for cache changes. Returns an unsubscribe function.
+export function onRequestCacheChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,188 @@
+import {
+  cachedRequest,
+  invalidateRequests,
+  clearRequestCache,
+  getRequestCacheStats,
+  onRequestCacheChange
+} from './requestCache';
+
+const XRDS = '/apis/apiextensions.crossplane.io/v1/compositeresourcedefinitions';
+
+// A load whose promise is settled from the test
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const counts = () => {
+  const { hits, misses, deduplicated, invalidated } = getRequestCacheStats();
+  return { hits, misses, deduplicated, invalidated };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  clearRequestCache();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('shares a request that is still in flight', async () => {
+  const pending = deferred();
+  const load = jest.fn(() => pending.promise);
+
+  const first = cachedRequest('prod', XRDS, 1000, load);
+  const second = cachedRequest('prod', XRDS, 1000, load);
+  expect(getRequestCacheStats().entries[0].pending).toBe(true);
+  pending.resolve(['xrd']);
+
+  await expect(first).resolves.toEqual(['xrd']);
+  await expect(second).resolves.toEqual(['xrd']);
+  expect(load).toHaveBeenCalledTimes(1);
+  expect(counts()).toEqual({ hits: 0, misses: 1, deduplicated: 1, invalidated: 0 });
+});
+
+test('reuses a result until its TTL runs out', async () => {
+  const load = jest.fn(async () => Date.now());
+
+  const stored = await cachedRequest('prod', XRDS, 1000, load);
+  jest.advanceTimersByTime(999);
+  await expect(cachedRequest('prod', XRDS, 1000, load)).resolves.toBe(stored);
+  jest.advanceTimersByTime(1);
+  await expect(cachedRequest('prod', XRDS, 1000, load)).resolves.toBe(stored + 1000);
+
+  expect(load).toHaveBeenCalledTimes(2);
+  expect(counts()).toEqual({ hits: 1, misses: 2, deduplicated: 0, invalidated: 0 });
+});
+
+test('fresh skips a cached result and replaces it', async () => {
+  let calls = 0;
+  const load = jest.fn(async () => ++calls);
+
+  await cachedRequest('prod', XRDS, 1000, load);
+  await expect(cachedRequest('prod', XRDS, 1000, load, { fresh: true })).resolves.toBe(2);
+  await expect(cachedRequest('prod', XRDS, 1000, load)).resolves.toBe(2);
+  expect(load).toHaveBeenCalledTimes(2);
+});
+
+test('fresh doesn\'t join a request in flight', async () => {
+  const pending = deferred();
+  const load = jest.fn()
+    .mockReturnValueOnce(pending.promise)
+    .mockResolvedValueOnce('fresh');
+
+  const first = cachedRequest('prod', XRDS, 1000, load);
+  await expect(cachedRequest('prod', XRDS, 1000, load, { fresh: true })).resolves.toBe('fresh');
+  pending.resolve('stale');
+  await first;
+  expect(counts().deduplicated).toBe(0);
+});
+
+test('doesn\'t keep a failed request', async () => {
+  const load = jest.fn()
+    .mockRejectedValueOnce(new Error('forbidden'))
+    .mockResolvedValueOnce('ok');
+
+  await expect(cachedRequest('prod', XRDS, 1000, load)).rejects.toThrow('forbidden');
+  expect(getRequestCacheStats().entries).toEqual([]);
+  await expect(cachedRequest('prod', XRDS, 1000, load)).resolves.toBe('ok');
+});
+
+test('a failure doesn\'t drop a newer request for the same path', async () => {
+  const failing = deferred();
+  const load = jest.fn()
+    .mockReturnValueOnce(failing.promise)
+    .mockResolvedValueOnce('newer');
+
+  const first = cachedRequest('prod', XRDS, 1000, load);
+  await cachedRequest('prod', XRDS, 1000, load, { fresh: true });
+  failing.reject(new Error('timeout'));
+  await expect(first).rejects.toThrow('timeout');
+
+  await expect(cachedRequest('prod', XRDS, 1000, load)).resolves.toBe('newer');
+  expect(load).toHaveBeenCalledTimes(2);
+});
+
+test('keeps contexts apart', async () => {
+  const load = jest.fn(async () => 'value');
+  await cachedRequest('prod', XRDS, 1000, load);
+  await cachedRequest('staging', XRDS, 1000, load);
+  expect(load).toHaveBeenCalledTimes(2);
+
+  invalidateRequests('staging');
+  expect(getRequestCacheStats().entries.map(entry => entry.context)).toEqual(['prod']);
+});
+
+describe('invalidateRequests', () => {
+  const cache = (path) => cachedRequest('prod', path, 1000, async () => path);
+  const cachedPaths = () => getRequestCacheStats().entries.map(entry => entry.path).sort();
+
+  beforeEach(async () => {
+    await cache(XRDS);
+    await cache(`${XRDS}/xpostgres.example.org`);
+    await cache(`${XRDS}?labelSelector=team`);
+    await cache(`${XRDS}-archive`);
+    await cache('/api/v1/namespaces/team-a/secrets/db');
+    await cache('/api/v1/namespaces/team-b/secrets/cache');
+    await cache('/api/v1/namespaces/team-a/configmaps/settings');
+  });
+
+  test('drops a collection, its objects and its queries, but not similar paths', () => {
+    invalidateRequests('prod', XRDS);
+    expect(cachedPaths()).toEqual([
+      `${XRDS}-archive`,
+      '/api/v1/namespaces/team-a/configmaps/settings',
+      '/api/v1/namespaces/team-a/secrets/db',
+      '/api/v1/namespaces/team-b/secrets/cache'
+    ].sort());
+    expect(counts().invalidated).toBe(3);
+  });
+
+  test('ignores the namespace, so a watch on every namespace covers each', () => {
+    invalidateRequests('prod', '/api/v1/secrets');
+    expect(cachedPaths()).toEqual([
+      `${XRDS}`,
+      `${XRDS}-archive`,
+      `${XRDS}/xpostgres.example.org`,
+      `${XRDS}?labelSelector=team`,
+      '/api/v1/namespaces/team-a/configmaps/settings'
+    ].sort());
+  });
+
+  test('drops a namespaced collection in every namespace', () => {
+    invalidateRequests('prod', '/api/v1/namespaces/team-b/secrets');
+    expect(cachedPaths()).not.toContain('/api/v1/namespaces/team-a/secrets/db');
+  });
+
+  test('drops everything in a context without a path', () => {
+    invalidateRequests('prod');
+    expect(cachedPaths()).toEqual([]);
+    expect(counts().invalidated).toBe(7);
+  });
+
+  test('doesn\'t count a miss as an invalidation', () => {
+    invalidateRequests('staging');
+    invalidateRequests('prod', '/apis/pkg.crossplane.io/v1/providers');
+    expect(counts().invalidated).toBe(0);
+  });
+});
+
+test('tells listeners about changes until they unsubscribe', async () => {
+  const listener = jest.fn();
+  const unsubscribe = onRequestCacheChange(listener);
+
+  await cachedRequest('prod', XRDS, 1000, async () => 'value');
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  unsubscribe();
+  clearRequestCache();
+  expect(listener).toHaveBeenCalledTimes(2);
+  expect(counts()).toEqual({ hits: 0, misses: 0, deduplicated: 0, invalidated: 0 });
+});
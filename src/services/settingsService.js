@@ -0,0 +1,32 @@
+// Persistent settings, stored by the main process in the userData directory
+const api = window.api;
+
+export async function loadSettings() {
+  return api.getSettings();
+}
+
+// Merge a patch into the settings. Objects merge key by key, other values
+// replace what was there and null removes a key.
+export async function updateSettings(patch) {
+  return api.updateSettings(patch);
+}
+
+export async function resetSettings() {
+  return api.resetSettings();
+}
+
+// Save the settings to a file the user picks. Resolves to the file's path, or
+// null if the dialog was cancelled.
+export async function exportSettings() {
+  const result = await api.exportSettings();
+  if (result?.error) throw new Error(result.error);
+  return result?.data;
+}
+
+// Merge settings from a file the user picks over the current ones. Resolves
+// to the new settings, or null if the dialog was cancelled.
+export async function importSettings() {
+  const result = await api.importSettings();
+  if (result?.error) throw new Error(result.error);
+  return result?.data;
+}
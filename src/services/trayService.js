@@ -0,0 +1,19 @@
+// The tray (menu bar on macOS) menu, built by the main process from the
+// listed claims and what the renderer reports here
+const api = window.api;
+
+// Report live updates and contexts: { live, currentContext, contexts }. Does
+// nothing without the desktop bridge.
+export async function updateTray(state) {
+  if (!api?.updateTray) return;
+  return api.updateTray(state);
+}
+
+// Call back with actions picked from the tray menu: { type: 'pause' },
+// { type: 'resume' } or { type: 'switch-context', context }. Returns an
+// unsubscribe function. Without the desktop bridge there's no tray, so
+// nothing ever arrives.
+export function onTrayAction(callback) {
+  if (!api?.onTrayAction) return () => {};
+  return api.onTrayAction(callback);
+}
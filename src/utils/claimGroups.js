@@ -0,0 +1,86 @@
+import { getCompositionName, isConditionTrue } from '../services/k8sService';
+
+// Group for claims that have no value for the chosen field
+export const NO_VALUE = '(none)';
+
+// Health states in the order they're listed, worst first
+const HEALTH_STATES = ['Not synced', 'Not ready', 'Healthy'];
+
+const getHealth = (claim) => {
+  if (!isConditionTrue(claim, 'Synced')) return 'Not synced';
+  if (!isConditionTrue(claim, 'Ready')) return 'Not ready';
+  return 'Healthy';
+};
+
+// Annotations that are machine-written and never worth grouping by
+const IGNORED_ANNOTATION = /^kubectl\.kubernetes\.io\/|^crossplane\.io\/external-/;
+
+const FIXED_OPTIONS = [
+  { id: 'namespace', label: 'Namespace' },
+  { id: 'kind', label: 'Kind' },
+  { id: 'composition', label: 'Composition' },
+  { id: 'health', label: 'Health' }
+];
+
+// What the claims can be grouped by: fixed fields, then every label and
+// annotation key found on them. Ids are 'namespace', 'label:<key>', etc.
+export function getGroupingOptions(claims) {
+  const labelKeys = new Set();
+  const annotationKeys = new Set();
+  claims.forEach(claim => {
+    Object.keys(claim.metadata.labels || {}).forEach(key => labelKeys.add(key));
+    Object.keys(claim.metadata.annotations || {})
+      .filter(key => !IGNORED_ANNOTATION.test(key))
+      .forEach(key => annotationKeys.add(key));
+  });
+
+  return [
+    ...FIXED_OPTIONS,
+    ...[...labelKeys].sort().map(key => ({ id: `label:${key}`, label: `Label ${key}` })),
+    ...[...annotationKeys].sort().map(key => ({ id: `annotation:${key}`, label: `Annotation ${key}` }))
+  ];
+}
+
+// The group a claim falls in for a grouping id
+export function getGroupValue(claim, groupBy) {
+  if (groupBy === 'namespace') return claim.claimNamespace || 'default';
+  if (groupBy === 'kind') return claim.kind;
+  if (groupBy === 'composition') return getCompositionName(claim) || NO_VALUE;
+  if (groupBy === 'health') return getHealth(claim);
+  if (groupBy.startsWith('label:')) return claim.metadata.labels?.[groupBy.slice(6)] || NO_VALUE;
+  if (groupBy.startsWith('annotation:')) return claim.metadata.annotations?.[groupBy.slice(11)] || NO_VALUE;
+  return NO_VALUE;
+}
+
+const compareGroups = (groupBy) => (a, b) => {
+  if (groupBy === 'health') return HEALTH_STATES.indexOf(a.value) - HEALTH_STATES.indexOf(b.value);
+  if (a.value === NO_VALUE || b.value === NO_VALUE) return (a.value === NO_VALUE) - (b.value === NO_VALUE);
+  return a.value.localeCompare(b.value);
+};
+
+// Group claims by one or more grouping ids, nesting a level per id. Returns
+// [{ key, value, claims, children }], where claims includes the claims of
+// every nested group and children is null on the last level. The key is the
+// JSON of the values down to the group, since values can contain any
+// separator (label and annotation values often have slashes).
+export function groupClaims(claims, groupings, parentPath = []) {
+  const [groupBy, ...rest] = groupings;
+  const byValue = new Map();
+  claims.forEach(claim => {
+    const value = getGroupValue(claim, groupBy);
+    if (!byValue.has(value)) byValue.set(value, []);
+    byValue.get(value).push(claim);
+  });
+
+  return [...byValue.entries()]
+    .map(([value, members]) => {
+      const path = [...parentPath, value];
+      return {
+        key: JSON.stringify(path),
+        value,
+        claims: members,
+        children: rest.length > 0 ? groupClaims(members, rest, path) : null
+      };
+    })
+    .sort(compareGroups(groupBy));
+}
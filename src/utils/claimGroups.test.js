@@ -0,0 +1,115 @@
+import { NO_VALUE, getGroupingOptions, getGroupValue, groupClaims } from './claimGroups';
+
+const condition = (type, status) => ({ type, status });
+
+const claim = (name, { namespace = 'default', kind = 'Database', labels, annotations, composition, ready = true, synced = true } = {}) => ({
+  kind,
+  claimNamespace: namespace,
+  metadata: { name, labels, annotations },
+  spec: composition ? { compositionRef: { name: composition } } : {},
+  status: { conditions: [condition('Ready', ready ? 'True' : 'False'), condition('Synced', synced ? 'True' : 'False')] }
+});
+
+const summarize = (groups) => groups.map(group => ({
+  value: group.value,
+  claims: group.claims.map(c => c.metadata.name),
+  ...(group.children ? { children: summarize(group.children) } : {})
+}));
+
+describe('getGroupingOptions', () => {
+  test('lists the fixed fields, then sorted label and annotation keys', () => {
+    const ids = getGroupingOptions([
+      claim('a', { labels: { team: 'x', env: 'prod' }, annotations: { owner: 'me' } }),
+      claim('b', { labels: { env: 'dev' } })
+    ]).map(option => option.id);
+    expect(ids).toEqual(['namespace', 'kind', 'composition', 'health', 'label:env', 'label:team', 'annotation:owner']);
+  });
+
+  test('leaves out machine-written annotations', () => {
+    const ids = getGroupingOptions([claim('a', {
+      annotations: {
+        'kubectl.kubernetes.io/last-applied-configuration': '{}',
+        'crossplane.io/external-name': 'db-1',
+        'team.io/contact': 'ops'
+      }
+    })]).map(option => option.id);
+    expect(ids.filter(id => id.startsWith('annotation:'))).toEqual(['annotation:team.io/contact']);
+  });
+});
+
+describe('getGroupValue', () => {
+  test('reads fixed fields, labels and annotations', () => {
+    const c = claim('a', { namespace: 'team-a', kind: 'Bucket', composition: 'aws-bucket', labels: { env: 'prod' }, annotations: { owner: 'me' } });
+    expect(getGroupValue(c, 'namespace')).toBe('team-a');
+    expect(getGroupValue(c, 'kind')).toBe('Bucket');
+    expect(getGroupValue(c, 'composition')).toBe('aws-bucket');
+    expect(getGroupValue(c, 'label:env')).toBe('prod');
+    expect(getGroupValue(c, 'annotation:owner')).toBe('me');
+  });
+
+  test('uses NO_VALUE for missing fields', () => {
+    const c = claim('a');
+    expect(getGroupValue(c, 'composition')).toBe(NO_VALUE);
+    expect(getGroupValue(c, 'label:env')).toBe(NO_VALUE);
+    expect(getGroupValue(c, 'annotation:owner')).toBe(NO_VALUE);
+  });
+
+  test('reports health, not synced before not ready', () => {
+    expect(getGroupValue(claim('a'), 'health')).toBe('Healthy');
+    expect(getGroupValue(claim('a', { ready: false }), 'health')).toBe('Not ready');
+    expect(getGroupValue(claim('a', { ready: false, synced: false }), 'health')).toBe('Not synced');
+  });
+});
+
+describe('groupClaims', () => {
+  test('groups by one field, sorted by value with NO_VALUE last', () => {
+    const groups = groupClaims([
+      claim('a', { labels: { env: 'prod' } }),
+      claim('b'),
+      claim('c', { labels: { env: 'dev' } }),
+      claim('d', { labels: { env: 'prod' } })
+    ], ['label:env']);
+    expect(summarize(groups)).toEqual([
+      { value: 'dev', claims: ['c'] },
+      { value: 'prod', claims: ['a', 'd'] },
+      { value: NO_VALUE, claims: ['b'] }
+    ]);
+    expect(groups.every(group => group.children === null)).toBe(true);
+  });
+
+  test('lists health groups worst first', () => {
+    const groups = groupClaims([
+      claim('ok'),
+      claim('unready', { ready: false }),
+      claim('unsynced', { synced: false })
+    ], ['health']);
+    expect(groups.map(group => group.value)).toEqual(['Not synced', 'Not ready', 'Healthy']);
+  });
+
+  test('nests a level per field', () => {
+    const groups = groupClaims([
+      claim('a', { namespace: 'team-a', kind: 'Bucket' }),
+      claim('b', { namespace: 'team-a', kind: 'Database' }),
+      claim('c', { namespace: 'team-b', kind: 'Bucket' })
+    ], ['namespace', 'kind']);
+    expect(summarize(groups)).toEqual([
+      {
+        value: 'team-a',
+        claims: ['a', 'b'],
+        children: [{ value: 'Bucket', claims: ['a'] }, { value: 'Database', claims: ['b'] }]
+      },
+      { value: 'team-b', claims: ['c'], children: [{ value: 'Bucket', claims: ['c'] }] }
+    ]);
+  });
+
+  test('gives nested groups keys that values with separators cannot collide with', () => {
+    // Joined with slashes, both inner groups would be keyed "/a/b/c"
+    const groups = groupClaims([
+      claim('x', { labels: { team: 'a/b', app: 'c' } }),
+      claim('y', { labels: { team: 'a', app: 'b/c' } })
+    ], ['label:team', 'label:app']);
+    const keys = groups.flatMap(group => [group.key, ...group.children.map(child => child.key)]);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(groups[0].children[0].key).toBe(JSON.stringify(['a', 'b/c']));
+  });
+});
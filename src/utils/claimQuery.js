@@ -0,0 +1,103 @@
+// Search over claims with a small query syntax:
+//   label:team=payments   label with that value (label:team for any value)
+//   status:notready       ready, notready, synced, notsynced
+//   kind:Database         claim kind
+//   msg:"quota exceeded"  text in a condition's message or reason
+//   anything else         text in the claim's name or spec values
+// Terms are ANDed; quotes keep spaces inside one term.
+
+const STATUS_FILTERS = {
+  ready: { type: 'Ready', status: 'True' },
+  notready: { type: 'Ready', status: 'False' },
+  synced: { type: 'Synced', status: 'True' },
+  notsynced: { type: 'Synced', status: 'False' }
+};
+
+const FIELDS = ['label', 'status', 'kind', 'msg'];
+
+// field:"quoted value", field:value, "quoted text" or a bare word. The value
+// may be empty so a field with nothing after it is reported rather than taken
+// as free text; the empty matches between words are skipped.
+const TOKEN = /(?:(\w+):)?(?:"([^"]*)"?|(\S*))/g;
+
+// Parse a query into { terms: [{ field, value }], errors }. Free text has a
+// null field; unknown fields are taken as free text.
+export function parseClaimQuery(text) {
+  const terms = [];
+  const errors = [];
+
+  for (const [token, field, quoted, bare] of (text || '').matchAll(TOKEN)) {
+    const value = quoted ?? bare ?? '';
+    const name = field?.toLowerCase();
+    if (!FIELDS.includes(name)) {
+      const freeText = quoted !== undefined ? value : token;
+      if (freeText) terms.push({ field: null, value: freeText.toLowerCase() });
+      continue;
+    }
+    if (!value) {
+      errors.push(`${name}: needs a value`);
+    } else if (name === 'status' && !STATUS_FILTERS[value.toLowerCase()]) {
+      errors.push(`Unknown status "${value}", use ${Object.keys(STATUS_FILTERS).join(', ')}`);
+    } else {
+      terms.push({ field: name, value });
+    }
+  }
+
+  return { terms, errors };
+}
+
+// Every string, number and boolean in a spec with its dotted path
+function flattenValues(value, path, out) {
+  if (value === null || value === undefined) return out;
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) =>
+      flattenValues(child, Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key, out)
+    );
+  } else {
+    out.push({ path, value: String(value) });
+  }
+  return out;
+}
+
+const includes = (text, term) => (text || '').toLowerCase().includes(term);
+
+// Match a claim against a parsed query. Returns null when it doesn't match,
+// otherwise what matched, for highlighting: { text: free text terms,
+// spec: [{ path, value }], messages: [{ message, term }] }.
+export function matchClaim(claim, query) {
+  const match = { text: [], spec: [], messages: [] };
+  const conditions = claim.status?.conditions || [];
+  let specValues = null;
+
+  for (const { field, value } of query.terms) {
+    if (field === 'label') {
+      const [key, ...rest] = value.split('=');
+      const labels = claim.metadata.labels || {};
+      if (!(key in labels)) return null;
+      if (rest.length > 0 && labels[key] !== rest.join('=')) return null;
+    } else if (field === 'status') {
+      const { type, status } = STATUS_FILTERS[value.toLowerCase()];
+      // A missing condition counts as not ready or synced
+      const actual = conditions.find(c => c.type === type)?.status === 'True' ? 'True' : 'False';
+      if (actual !== status) return null;
+    } else if (field === 'kind') {
+      if (claim.kind?.toLowerCase() !== value.toLowerCase()) return null;
+    } else if (field === 'msg') {
+      const term = value.toLowerCase();
+      const matching = conditions.filter(c => includes(c.message, term) || includes(c.reason, term));
+      if (matching.length === 0) return null;
+      match.messages.push(...matching.map(c => ({ message: c.message || c.reason, term: value })));
+    } else {
+      specValues = specValues || flattenValues(claim.spec, '', []);
+      const inSpec = specValues.filter(({ value: specValue }) => includes(specValue, value));
+      if (!includes(claim.metadata.name, value) && inSpec.length === 0) return null;
+      match.text.push(value);
+      match.spec.push(...inSpec);
+    }
+  }
+
+  // Several terms can match the same value
+  match.spec = match.spec.filter((item, index) => match.spec.findIndex(other => other.path === item.path) === index);
+  match.messages = match.messages.filter((item, index) => match.messages.findIndex(other => other.message === item.message) === index);
+  return match;
+}
@@ -0,0 +1,121 @@
+import { parseClaimQuery, matchClaim } from './claimQuery';
+
+const claim = {
+  kind: 'PostgreSQLInstance',
+  metadata: { name: 'orders-db', labels: { team: 'payments', 'app.kubernetes.io/part-of': 'shop=eu' } },
+  spec: { parameters: { region: 'eu-west-1', sizes: ['small', 'large'] } },
+  status: {
+    conditions: [
+      { type: 'Synced', status: 'True', reason: 'ReconcileSuccess' },
+      { type: 'Ready', status: 'False', reason: 'Creating', message: 'Quota exceeded for instances' }
+    ]
+  }
+};
+
+const match = (text) => matchClaim(claim, parseClaimQuery(text));
+
+describe('parseClaimQuery', () => {
+  test('splits fields and free text', () => {
+    expect(parseClaimQuery('label:team=payments kind:Database orders')).toEqual({
+      terms: [
+        { field: 'label', value: 'team=payments' },
+        { field: 'kind', value: 'Database' },
+        { field: null, value: 'orders' }
+      ],
+      errors: []
+    });
+  });
+
+  test('keeps quoted values together', () => {
+    expect(parseClaimQuery('msg:"quota exceeded" "two words"').terms).toEqual([
+      { field: 'msg', value: 'quota exceeded' },
+      { field: null, value: 'two words' }
+    ]);
+  });
+
+  test('takes an unterminated quote to the end', () => {
+    expect(parseClaimQuery('msg:"quota exc').terms).toEqual([{ field: 'msg', value: 'quota exc' }]);
+  });
+
+  test('reports a field with no value', () => {
+    expect(parseClaimQuery('status:')).toEqual({ terms: [], errors: ['status: needs a value'] });
+    expect(parseClaimQuery('kind: orders')).toEqual({
+      terms: [{ field: null, value: 'orders' }],
+      errors: ['kind: needs a value']
+    });
+    expect(parseClaimQuery('msg:""').errors).toEqual(['msg: needs a value']);
+  });
+
+  test('reports an unknown status', () => {
+    const { terms, errors } = parseClaimQuery('status:broken');
+    expect(terms).toEqual([]);
+    expect(errors[0]).toMatch(/Unknown status "broken"/);
+  });
+
+  test('takes unknown fields and URLs as free text', () => {
+    expect(parseClaimQuery('owner:me https://example.com').terms).toEqual([
+      { field: null, value: 'owner:me' },
+      { field: null, value: 'https://example.com' }
+    ]);
+  });
+
+  test('matches field names in any case', () => {
+    expect(parseClaimQuery('KIND:Database').terms).toEqual([{ field: 'kind', value: 'Database' }]);
+  });
+
+  test('ignores empty and blank queries', () => {
+    expect(parseClaimQuery('')).toEqual({ terms: [], errors: [] });
+    expect(parseClaimQuery('   ')).toEqual({ terms: [], errors: [] });
+    expect(parseClaimQuery(undefined)).toEqual({ terms: [], errors: [] });
+  });
+});
+
+describe('matchClaim', () => {
+  test('matches labels by key or key and value', () => {
+    expect(match('label:team')).not.toBeNull();
+    expect(match('label:team=payments')).not.toBeNull();
+    expect(match('label:team=search')).toBeNull();
+    expect(match('label:owner')).toBeNull();
+  });
+
+  test('keeps an equals sign inside a label value', () => {
+    expect(match('label:app.kubernetes.io/part-of=shop=eu')).not.toBeNull();
+  });
+
+  test('matches status, treating a missing condition as false', () => {
+    expect(match('status:notready')).not.toBeNull();
+    expect(match('status:ready')).toBeNull();
+    expect(match('status:SYNCED')).not.toBeNull();
+    expect(matchClaim({ ...claim, status: {} }, parseClaimQuery('status:notsynced'))).not.toBeNull();
+  });
+
+  test('matches kind case-insensitively and exactly', () => {
+    expect(match('kind:postgresqlinstance')).not.toBeNull();
+    expect(match('kind:PostgreSQL')).toBeNull();
+  });
+
+  test('matches condition messages and reasons', () => {
+    expect(match('msg:"quota exceeded"').messages).toEqual([
+      { message: 'Quota exceeded for instances', term: 'quota exceeded' }
+    ]);
+    expect(match('msg:reconcilesuccess').messages).toEqual([
+      { message: 'ReconcileSuccess', term: 'reconcilesuccess' }
+    ]);
+    expect(match('msg:timeout')).toBeNull();
+  });
+
+  test('matches free text in the name or spec values, with their paths', () => {
+    expect(match('orders')).toEqual({ text: ['orders'], spec: [], messages: [] });
+    expect(match('large').spec).toEqual([{ path: 'parameters.sizes[1]', value: 'large' }]);
+    expect(match('nothing-like-this')).toBeNull();
+  });
+
+  test('requires every term to match', () => {
+    expect(match('orders status:notready')).not.toBeNull();
+    expect(match('orders status:ready')).toBeNull();
+  });
+
+  test('lists a spec value matched by several terms once', () => {
+    expect(match('eu west').spec).toEqual([{ path: 'parameters.region', value: 'eu-west-1' }]);
+  });
+});
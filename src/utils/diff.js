@@ -0,0 +1,145 @@
+// Line and object diffing used when reviewing edits before they're applied
+
+// Diff two texts line by line (LCS). Returns side-by-side rows of
+// { type: 'same' | 'changed' | 'removed' | 'added', left, right, leftNumber, rightNumber }.
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  // Pair up a run of removed and added lines as changed rows
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k++) {
+      const left = removed[k];
+      const right = added[k];
+      rows.push({
+        type: left && right ? 'changed' : left ? 'removed' : 'added',
+        left: left?.text,
+        right: right?.text,
+        leftNumber: left?.number,
+        rightNumber: right?.number
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ type: 'same', left: a[i], right: b[j], leftNumber: i + 1, rightNumber: j + 1 });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      added.push({ text: b[j], number: j + 1 });
+      j++;
+    } else {
+      removed.push({ text: a[i], number: i + 1 });
+      i++;
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Create a JSON merge patch (RFC 7386) that turns `from` into `to`
+export function createMergePatch(from, to) {
+  if (!isPlainObject(from) || !isPlainObject(to)) {
+    return to;
+  }
+
+  const patch = {};
+  Object.keys(from).forEach(key => {
+    if (!(key in to)) {
+      patch[key] = null;
+    }
+  });
+  Object.entries(to).forEach(([key, value]) => {
+    if (!(key in from)) {
+      patch[key] = value;
+    } else if (JSON.stringify(from[key]) !== JSON.stringify(value)) {
+      patch[key] = createMergePatch(from[key], value);
+    }
+  });
+  return patch;
+}
+
+// Apply a JSON merge patch (RFC 7386) to a target, returning a new object
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+// Arrays of named items (pipeline steps, composed resources, patch sets) are
+// matched by name so a reordering or insertion doesn't show every later item
+// as changed
+const arrayKeyOf = (items) => {
+  if (!items.every(isPlainObject)) return null;
+  return ['step', 'name'].find(key =>
+    items.every(item => typeof item[key] === 'string') &&
+    new Set(items.map(item => item[key])).size === items.length
+  ) || null;
+};
+
+// Structural diff of two values. Returns the changed leaves and subtrees as
+// { path, type: 'added' | 'removed' | 'changed', before, after }.
+export function diffObjects(before, after, path = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  if (before === undefined) {
+    return [{ path, type: 'added', after }];
+  }
+  if (after === undefined) {
+    return [{ path, type: 'removed', before }];
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffObjects(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const key = arrayKeyOf(before) && arrayKeyOf(before) === arrayKeyOf(after) ? arrayKeyOf(before) : null;
+    if (key) {
+      const beforeByKey = new Map(before.map(item => [item[key], item]));
+      const afterByKey = new Map(after.map(item => [item[key], item]));
+      const names = [...new Set([...beforeByKey.keys(), ...afterByKey.keys()])];
+      return names.flatMap(name => diffObjects(beforeByKey.get(name), afterByKey.get(name), `${path}[${key}=${name}]`));
+    }
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (_, index) => diffObjects(before[index], after[index], `${path}[${index}]`)).flat();
+  }
+
+  return [{ path, type: 'changed', before, after }];
+}
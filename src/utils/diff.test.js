@@ -0,0 +1,87 @@
+import { diffLines, createMergePatch, applyMergePatch } from './diff';
+
+const types = (rows) => rows.map(row => row.type);
+
+describe('diffLines', () => {
+  test('marks identical texts as the same throughout', () => {
+    const rows = diffLines('a\nb', 'a\nb');
+    expect(rows).toEqual([
+      { type: 'same', left: 'a', right: 'a', leftNumber: 1, rightNumber: 1 },
+      { type: 'same', left: 'b', right: 'b', leftNumber: 2, rightNumber: 2 }
+    ]);
+  });
+
+  test('pairs a replaced line up as a changed row', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { type: 'same', left: 'a', right: 'a', leftNumber: 1, rightNumber: 1 },
+      { type: 'changed', left: 'b', right: 'x', leftNumber: 2, rightNumber: 2 },
+      { type: 'same', left: 'c', right: 'c', leftNumber: 3, rightNumber: 3 }
+    ]);
+  });
+
+  test('shows added and removed lines against a blank side', () => {
+    expect(diffLines('a\nc', 'a\nb\nc')[1]).toEqual({
+      type: 'added', left: undefined, right: 'b', leftNumber: undefined, rightNumber: 2
+    });
+    expect(diffLines('a\nb\nc', 'a\nc')[1]).toEqual({
+      type: 'removed', left: 'b', right: undefined, leftNumber: 2, rightNumber: undefined
+    });
+  });
+
+  test('pairs what it can of uneven runs and leaves the rest added or removed', () => {
+    expect(types(diffLines('a\nb\nz', 'x\ny\nw\nz'))).toEqual(['changed', 'changed', 'added', 'same']);
+    expect(types(diffLines('a\nb\nc\nz', 'x\nz'))).toEqual(['changed', 'removed', 'removed', 'same']);
+  });
+
+  test('keeps the longest run of common lines', () => {
+    const rows = diffLines('spec:\n  size: small\n  region: eu\nstatus: {}', 'spec:\n  region: eu\n  tier: gold\nstatus: {}');
+    expect(rows.filter(row => row.type === 'same').map(row => row.left)).toEqual(['spec:', '  region: eu', 'status: {}']);
+  });
+
+  test('numbers the lines of each side', () => {
+    const rows = diffLines('a\nb', 'b\nc');
+    expect(rows.map(row => [row.leftNumber, row.rightNumber])).toEqual([[1, undefined], [2, 1], [undefined, 2]]);
+  });
+});
+
+describe('createMergePatch', () => {
+  test('sets changed and added fields and nulls removed ones', () => {
+    expect(createMergePatch(
+      { spec: { size: 'small', region: 'eu', tags: ['a'] }, metadata: { name: 'db' } },
+      { spec: { size: 'large', tags: ['a', 'b'], tier: 'gold' }, metadata: { name: 'db' } }
+    )).toEqual({ spec: { size: 'large', region: null, tags: ['a', 'b'], tier: 'gold' } });
+  });
+
+  test('gives an empty patch when nothing changed', () => {
+    expect(createMergePatch({ a: { b: [1] } }, { a: { b: [1] } })).toEqual({});
+  });
+
+  test('replaces values whose type changed', () => {
+    expect(createMergePatch({ a: { b: 1 } }, { a: 'text' })).toEqual({ a: 'text' });
+  });
+});
+
+describe('applyMergePatch', () => {
+  test('merges objects, replaces lists and removes nulled fields', () => {
+    expect(applyMergePatch(
+      { spec: { size: 'small', region: 'eu', tags: ['a'] }, kind: 'DB' },
+      { spec: { size: 'large', region: null, tags: ['b'] } }
+    )).toEqual({ spec: { size: 'large', tags: ['b'] }, kind: 'DB' });
+  });
+
+  test('does not modify the target', () => {
+    const target = { spec: { size: 'small' } };
+    applyMergePatch(target, { spec: { size: 'large' } });
+    expect(target).toEqual({ spec: { size: 'small' } });
+  });
+
+  test('carries our edits over to a version someone else changed', () => {
+    const base = { spec: { size: 'small', region: 'eu' } };
+    const ours = { spec: { size: 'large', region: 'eu' } };
+    const theirs = { spec: { size: 'small', region: 'us' }, metadata: { labels: { team: 'a' } } };
+    expect(applyMergePatch(theirs, createMergePatch(base, ours))).toEqual({
+      spec: { size: 'large', region: 'us' },
+      metadata: { labels: { team: 'a' } }
+    });
+  });
+});
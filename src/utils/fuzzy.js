@@ -0,0 +1,36 @@
+// Fuzzy matching for the command palette
+
+// Score how well a query matches text as a subsequence, or null if it
+// doesn't. Consecutive characters and matches at the start of a word
+// (after a space, dash, dot, slash, ...) score higher.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  if (!q) return 0;
+
+  let score = 0;
+  let streak = 0;
+  let from = 0;
+  for (const char of q) {
+    const index = t.indexOf(char, from);
+    if (index === -1) return null;
+
+    streak = index === from ? streak + 1 : 0;
+    const atWordStart = index === 0 || /[\s\-_./:]/.test(t[index - 1]);
+    score += 1 + streak * 2 + (atWordStart ? 3 : 0) - Math.min(index - from, 5) * 0.1;
+    from = index + 1;
+  }
+
+  // Prefer shorter texts among equal matches
+  return score - t.length * 0.01;
+}
+
+// Items matching a query, best first. getText returns the text to match.
+export function fuzzyFilter(items, query, getText) {
+  if (!query.trim()) return items;
+  return items
+    .map(item => ({ item, score: fuzzyScore(query.trim(), getText(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+}
@@ -0,0 +1,47 @@
+import { fuzzyScore, fuzzyFilter } from './fuzzy';
+
+describe('fuzzyScore', () => {
+  test('matches subsequences, ignoring case', () => {
+    expect(fuzzyScore('pgdb', 'Postgres-DB')).not.toBeNull();
+    expect(fuzzyScore('PG', 'postgres')).not.toBeNull();
+  });
+
+  test('gives null when the characters are missing or out of order', () => {
+    expect(fuzzyScore('xyz', 'postgres')).toBeNull();
+    expect(fuzzyScore('sop', 'postgres')).toBeNull();
+  });
+
+  test('scores an empty query as zero', () => {
+    expect(fuzzyScore('', 'anything')).toBe(0);
+  });
+
+  test('prefers consecutive characters', () => {
+    expect(fuzzyScore('post', 'postgres')).toBeGreaterThan(fuzzyScore('post', 'p-o-s-t'));
+  });
+
+  test('prefers matches at the start of a word', () => {
+    expect(fuzzyScore('db', 'my-db')).toBeGreaterThan(fuzzyScore('db', 'mydb'));
+    expect(fuzzyScore('c', 'team/cache')).toBeGreaterThan(fuzzyScore('c', 'team/xcache'));
+  });
+
+  test('prefers shorter texts among equal matches', () => {
+    expect(fuzzyScore('db', 'db')).toBeGreaterThan(fuzzyScore('db', 'db-replica'));
+  });
+});
+
+describe('fuzzyFilter', () => {
+  const items = ['orders-db', 'orders-cache', 'billing-db', 'logs-bucket'];
+
+  test('keeps matching items, best first', () => {
+    expect(fuzzyFilter(items, 'db', item => item)).toEqual(['billing-db', 'orders-db']);
+  });
+
+  test('returns every item for a blank query', () => {
+    expect(fuzzyFilter(items, '  ', item => item)).toBe(items);
+  });
+
+  test('trims the query and matches the text getText picks', () => {
+    const claims = [{ name: 'orders-db' }, { name: 'logs-bucket' }];
+    expect(fuzzyFilter(claims, ' logs ', claim => claim.name)).toEqual([{ name: 'logs-bucket' }]);
+  });
+});
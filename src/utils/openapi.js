@@ -0,0 +1,160 @@
+// Helpers for working with the OpenAPI v3 schemas found in an XRD's
+// spec.versions[].schema.openAPIV3Schema
+
+// Work out the effective type of a schema node. Kubernetes schemas often
+// leave the type implicit, e.g. for int-or-string or preserved objects.
+export function schemaType(schema) {
+  if (!schema) return 'string';
+  if (schema['x-kubernetes-int-or-string']) return 'string';
+  if (schema.type) return schema.type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return 'object';
+}
+
+// True for objects without declared properties (free-form maps)
+export function isFreeFormObject(schema) {
+  return schemaType(schema) === 'object' && !schema?.properties;
+}
+
+// Build an initial value from the schema's defaults. Objects are only created
+// when they're required or something inside them has a default.
+export function buildDefaults(schema, required = false) {
+  if (!schema) return undefined;
+  if (schema.default !== undefined) {
+    return JSON.parse(JSON.stringify(schema.default));
+  }
+
+  if (schemaType(schema) === 'object' && schema.properties) {
+    const value = {};
+    Object.entries(schema.properties).forEach(([key, child]) => {
+      const childValue = buildDefaults(child, (schema.required || []).includes(key));
+      if (childValue !== undefined) {
+        value[key] = childValue;
+      }
+    });
+    return Object.keys(value).length > 0 || required ? value : undefined;
+  }
+
+  return undefined;
+}
+
+// Drop unset fields so the generated manifest only carries what was filled in
+export function pruneEmpty(value) {
+  if (Array.isArray(value)) {
+    return value.map(pruneEmpty).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    const pruned = {};
+    Object.entries(value).forEach(([key, child]) => {
+      const prunedChild = pruneEmpty(child);
+      if (prunedChild !== undefined) {
+        pruned[key] = prunedChild;
+      }
+    });
+    return Object.keys(pruned).length > 0 ? pruned : undefined;
+  }
+  if (value === '' || value === null) {
+    return undefined;
+  }
+  return value;
+}
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Schema patterns are Go (RE2) regular expressions. Ones JavaScript can't
+// compile, e.g. with (?i) flags, give null and are left to the API server.
+const compiledPatterns = new Map();
+
+function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      console.warn(`Skipping schema pattern JavaScript can't compile: ${pattern}`);
+    }
+    compiledPatterns.set(pattern, regex);
+  }
+  return compiledPatterns.get(pattern);
+}
+
+// Validate a value against a schema. Returns a list of { path, message }.
+export function validateValue(value, schema, path = '') {
+  const errors = [];
+  if (!schema || value === undefined || value === null) return errors;
+
+  const type = schemaType(schema);
+  switch (type) {
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ path, message: 'must be an object' });
+        break;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors.push({ path: joinPath(path, key), message: 'is required' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        errors.push(...validateValue(value[key], child, joinPath(path, key)));
+      });
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ path, message: 'must be a list' });
+        break;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+      }
+      value.forEach((item, index) => {
+        errors.push(...validateValue(item, schema.items, `${path}[${index}]`));
+      });
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value) || (type === 'integer' && !Number.isInteger(value))) {
+        errors.push({ path, message: `must be ${type === 'integer' ? 'an integer' : 'a number'}` });
+        break;
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be at most ${schema.maximum}` });
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ path, message: 'must be true or false' });
+      }
+      break;
+    default:
+      if (schema['x-kubernetes-int-or-string'] && typeof value === 'number') {
+        break;
+      }
+      if (typeof value !== 'string') {
+        errors.push({ path, message: 'must be a string' });
+        break;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+      }
+      if (schema.pattern && compilePattern(schema.pattern)?.test(value) === false) {
+        errors.push({ path, message: `must match ${schema.pattern}` });
+      }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  return errors;
+}
@@ -0,0 +1,162 @@
+import { schemaType, isFreeFormObject, buildDefaults, pruneEmpty, validateValue } from './openapi';
+
+const schema = {
+  type: 'object',
+  required: ['region', 'size'],
+  properties: {
+    region: { type: 'string', enum: ['eu-west-1', 'us-east-1'] },
+    size: { type: 'string', default: 'small', pattern: '^(small|medium|large)$' },
+    storageGB: { type: 'integer', minimum: 10, maximum: 1000, default: 20 },
+    name: { type: 'string', minLength: 3, maxLength: 8 },
+    public: { type: 'boolean' },
+    tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+    network: {
+      type: 'object',
+      properties: {
+        cidr: { type: 'string' },
+        subnets: { type: 'integer', default: 2 }
+      }
+    },
+    backup: {
+      type: 'object',
+      required: ['schedule'],
+      properties: { schedule: { type: 'string' } }
+    },
+    labels: { type: 'object', additionalProperties: { type: 'string' } },
+    port: { 'x-kubernetes-int-or-string': true }
+  }
+};
+
+const messages = (value, path) => validateValue(value, schema)
+  .filter(error => error.path === path)
+  .map(error => error.message);
+
+describe('schemaType', () => {
+  test('uses the declared type', () => {
+    expect(schemaType({ type: 'integer' })).toBe('integer');
+  });
+
+  test('infers objects and arrays from their shape', () => {
+    expect(schemaType({ properties: {} })).toBe('object');
+    expect(schemaType({ items: { type: 'string' } })).toBe('array');
+    expect(schemaType({})).toBe('object');
+  });
+
+  test('treats int-or-string as a string', () => {
+    expect(schemaType({ 'x-kubernetes-int-or-string': true, type: 'integer' })).toBe('string');
+  });
+
+  test('spots free-form objects', () => {
+    expect(isFreeFormObject(schema.properties.labels)).toBe(true);
+    expect(isFreeFormObject(schema.properties.network)).toBe(false);
+  });
+});
+
+describe('buildDefaults', () => {
+  test('fills in defaults, down into nested objects', () => {
+    expect(buildDefaults(schema, true)).toEqual({
+      size: 'small',
+      storageGB: 20,
+      network: { subnets: 2 }
+    });
+  });
+
+  test('skips objects with nothing to default unless they are required', () => {
+    expect(buildDefaults(schema.properties.backup)).toBeUndefined();
+    expect(buildDefaults(schema.properties.backup, true)).toEqual({});
+  });
+
+  test('copies default values rather than sharing them', () => {
+    const withList = { type: 'array', default: ['a'] };
+    const value = buildDefaults(withList);
+    value.push('b');
+    expect(withList.default).toEqual(['a']);
+  });
+});
+
+describe('pruneEmpty', () => {
+  test('drops empty strings, nulls and objects left empty', () => {
+    expect(pruneEmpty({
+      region: 'eu-west-1',
+      name: '',
+      backup: { schedule: null },
+      network: { cidr: '', subnets: 2 }
+    })).toEqual({ region: 'eu-west-1', network: { subnets: 2 } });
+  });
+
+  test('keeps false and zero', () => {
+    expect(pruneEmpty({ public: false, replicas: 0 })).toEqual({ public: false, replicas: 0 });
+  });
+
+  test('drops empty items from lists', () => {
+    expect(pruneEmpty({ tags: ['a', '', null, 'b'] })).toEqual({ tags: ['a', 'b'] });
+    expect(pruneEmpty({ tags: [] })).toEqual({ tags: [] });
+  });
+
+  test('gives undefined when nothing is left', () => {
+    expect(pruneEmpty({ name: '', backup: {} })).toBeUndefined();
+  });
+});
+
+describe('validateValue', () => {
+  const valid = { region: 'eu-west-1', size: 'small' };
+
+  test('accepts a valid value', () => {
+    expect(validateValue({ ...valid, storageGB: 100, tags: ['a'], port: 5432 }, schema)).toEqual([]);
+  });
+
+  test('reports missing and empty required fields', () => {
+    expect(messages({ size: '' }, 'region')).toEqual(['is required']);
+    expect(messages({ size: '' }, 'size')).toContain('is required');
+  });
+
+  test('checks required fields of nested objects that are set', () => {
+    expect(messages({ ...valid, backup: {} }, 'backup.schedule')).toEqual(['is required']);
+  });
+
+  test('checks enums', () => {
+    expect(messages({ ...valid, region: 'mars-1' }, 'region')).toEqual(['must be one of eu-west-1, us-east-1']);
+  });
+
+  test('checks minimum and maximum', () => {
+    expect(messages({ ...valid, storageGB: 5 }, 'storageGB')).toEqual(['must be at least 10']);
+    expect(messages({ ...valid, storageGB: 2000 }, 'storageGB')).toEqual(['must be at most 1000']);
+    expect(messages({ ...valid, storageGB: 10 }, 'storageGB')).toEqual([]);
+  });
+
+  test('checks string lengths', () => {
+    expect(messages({ ...valid, name: 'ab' }, 'name')).toEqual(['must be at least 3 characters']);
+    expect(messages({ ...valid, name: 'abcdefghi' }, 'name')).toEqual(['must be at most 8 characters']);
+  });
+
+  test('checks list sizes and items', () => {
+    expect(messages({ ...valid, tags: [] }, 'tags')).toEqual(['must have at least 1 item(s)']);
+    expect(messages({ ...valid, tags: ['a', 'b', 'c'] }, 'tags')).toEqual(['must have at most 2 item(s)']);
+    expect(messages({ ...valid, tags: ['a', 1] }, 'tags[1]')).toEqual(['must be a string']);
+  });
+
+  test('checks types', () => {
+    expect(messages({ ...valid, storageGB: 1.5 }, 'storageGB')).toEqual(['must be an integer']);
+    expect(messages({ ...valid, public: 'yes' }, 'public')).toEqual(['must be true or false']);
+    expect(messages({ ...valid, tags: 'a' }, 'tags')).toEqual(['must be a list']);
+    expect(validateValue('x', schema)).toEqual([{ path: '', message: 'must be an object' }]);
+  });
+
+  test('accepts numbers and strings for int-or-string', () => {
+    expect(messages({ ...valid, port: 5432 }, 'port')).toEqual([]);
+    expect(messages({ ...valid, port: 'http' }, 'port')).toEqual([]);
+  });
+
+  test('checks patterns', () => {
+    expect(messages({ ...valid, size: 'huge' }, 'size')).toEqual(['must match ^(small|medium|large)$']);
+  });
+
+  test('leaves patterns JavaScript cannot compile to the API server', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const goPattern = { type: 'string', pattern: '(?i)^abc$' };
+    expect(validateValue('ABC', goPattern)).toEqual([]);
+    expect(validateValue('xyz', goPattern)).toEqual([]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,53 @@
+// Root-cause analysis over a resource trace from fetchResourceTrace
+import { getEventTime } from './time';
+
+const HEALTH_CONDITIONS = ['Synced', 'Ready'];
+const WARNINGS_PER_CAUSE = 3;
+
+const failedConditions = (resource) => (resource?.status?.conditions || [])
+  .filter(c => HEALTH_CONDITIONS.includes(c.type) && c.status === 'False');
+
+const toMillis = (timestamp) => (timestamp ? new Date(timestamp).getTime() : Infinity);
+
+// The children of each level of a trace: the claim owns the XR, the XR owns
+// the managed resources, and those own their own dependencies
+function childrenOf(trace, resource) {
+  if (resource === trace.claim) return trace.composite ? [trace.composite] : [];
+  if (resource === trace.composite) return trace.managedResources || [];
+  return resource.dependencies || [];
+}
+
+// Find the deepest resources in a trace whose Synced or Ready condition is
+// False, i.e. failing ones with no failing resource underneath. They're
+// ranked by when they failed, earliest first, and paired with their most
+// recent Warning events. path is the chain of resources from the claim down.
+export function findRootCauses(trace) {
+  if (!trace?.claim) return [];
+  const causes = [];
+
+  // Returns whether the resource or anything underneath it is failing
+  const visit = (resource, path) => {
+    if (!resource?.metadata) return false;
+    const here = [...path, resource];
+    const childFailing = childrenOf(trace, resource)
+      .map(child => visit(child, here))
+      .some(Boolean);
+    const conditions = failedConditions(resource);
+
+    if (conditions.length > 0 && !childFailing) {
+      const failedAt = conditions
+        .map(c => c.lastTransitionTime)
+        .filter(Boolean)
+        .sort((a, b) => toMillis(a) - toMillis(b))[0] || null;
+      const warnings = (resource.events || [])
+        .filter(event => event.type === 'Warning')
+        .sort((a, b) => new Date(getEventTime(b) || 0) - new Date(getEventTime(a) || 0))
+        .slice(0, WARNINGS_PER_CAUSE);
+      causes.push({ resource, path: here, conditions, failedAt, warnings });
+    }
+    return conditions.length > 0 || childFailing;
+  };
+
+  visit(trace.claim, []);
+  return causes.sort((a, b) => toMillis(a.failedAt) - toMillis(b.failedAt));
+}
@@ -0,0 +1,104 @@
+import { findRootCauses } from './rootCause';
+
+const condition = (type, status, lastTransitionTime) => ({ type, status, lastTransitionTime });
+
+const resource = (kind, name, conditions = [], extra = {}) => ({
+  kind,
+  metadata: { name, uid: `${kind}-${name}` },
+  status: { conditions },
+  ...extra
+});
+
+const warning = (message, lastTimestamp) => ({ type: 'Warning', message, lastTimestamp });
+
+const healthy = [condition('Synced', 'True'), condition('Ready', 'True')];
+const notReady = (at) => [condition('Synced', 'True'), condition('Ready', 'False', at)];
+
+const names = (causes) => causes.map(cause => cause.resource.metadata.name);
+
+describe('findRootCauses', () => {
+  test('finds nothing without a trace or when everything is healthy', () => {
+    expect(findRootCauses(null)).toEqual([]);
+    expect(findRootCauses({
+      claim: resource('DB', 'db', healthy),
+      composite: resource('XDB', 'db-x', healthy),
+      managedResources: [resource('Instance', 'db-i', healthy)]
+    })).toEqual([]);
+  });
+
+  test('blames the deepest failing resource, not the ones above it', () => {
+    const causes = findRootCauses({
+      claim: resource('DB', 'db', notReady()),
+      composite: resource('XDB', 'db-x', notReady()),
+      managedResources: [
+        resource('Instance', 'db-i', healthy),
+        resource('Subnet', 'db-s', notReady())
+      ]
+    });
+    expect(names(causes)).toEqual(['db-s']);
+    expect(causes[0].path.map(r => r.metadata.name)).toEqual(['db', 'db-x', 'db-s']);
+    expect(causes[0].conditions).toEqual([condition('Ready', 'False', undefined)]);
+  });
+
+  test('follows the dependencies of managed resources', () => {
+    const causes = findRootCauses({
+      claim: resource('DB', 'db', notReady()),
+      composite: resource('XDB', 'db-x', notReady()),
+      managedResources: [
+        resource('Instance', 'db-i', notReady(), {
+          dependencies: [resource('Role', 'db-r', [condition('Synced', 'False')])]
+        })
+      ]
+    });
+    expect(names(causes)).toEqual(['db-r']);
+    expect(causes[0].path).toHaveLength(4);
+  });
+
+  test('falls back to the claim when nothing underneath is failing', () => {
+    const causes = findRootCauses({
+      claim: resource('DB', 'db', notReady()),
+      composite: resource('XDB', 'db-x', healthy),
+      managedResources: []
+    });
+    expect(names(causes)).toEqual(['db']);
+  });
+
+  test('ignores Unknown conditions and conditions other than Synced and Ready', () => {
+    expect(findRootCauses({
+      claim: resource('DB', 'db', [condition('Ready', 'Unknown'), condition('Responsive', 'False')])
+    })).toEqual([]);
+  });
+
+  test('ranks causes by their earliest failure, undated ones last', () => {
+    const causes = findRootCauses({
+      claim: resource('DB', 'db', notReady()),
+      composite: resource('XDB', 'db-x', notReady()),
+      managedResources: [
+        resource('Instance', 'late', notReady('2024-01-01T12:00:00Z')),
+        resource('Instance', 'undated', notReady()),
+        resource('Instance', 'early', [
+          condition('Synced', 'False', '2024-01-01T11:00:00Z'),
+          condition('Ready', 'False', '2024-01-01T10:00:00Z')
+        ])
+      ]
+    });
+    expect(names(causes)).toEqual(['early', 'late', 'undated']);
+    expect(causes[0].failedAt).toBe('2024-01-01T10:00:00Z');
+    expect(causes[2].failedAt).toBeNull();
+  });
+
+  test('pairs each cause with its three most recent warnings', () => {
+    const [cause] = findRootCauses({
+      claim: resource('DB', 'db', notReady(), {
+        events: [
+          warning('first', '2024-01-01T10:00:00Z'),
+          { type: 'Normal', message: 'created', lastTimestamp: '2024-01-01T14:00:00Z' },
+          warning('fourth', '2024-01-01T13:00:00Z'),
+          warning('second', '2024-01-01T11:00:00Z'),
+          warning('third', '2024-01-01T12:00:00Z')
+        ]
+      })
+    });
+    expect(cause.warnings.map(event => event.message)).toEqual(['fourth', 'third', 'second']);
+  });
+});
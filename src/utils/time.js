@@ -0,0 +1,32 @@
+// Formatting helpers for Kubernetes timestamps
+
+// Short age like kubectl prints it: 45s, 12m, 5h, 3d
+export function formatAge(timestamp, now = Date.now()) {
+  if (!timestamp) return '';
+  const seconds = Math.max(0, Math.floor((now - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+// When an event last happened. Core v1 events fill lastTimestamp, while ones
+// recorded through events.k8s.io only have eventTime or a series.
+export function getEventTime(event) {
+  return event.lastTimestamp ||
+    event.series?.lastObservedTime ||
+    event.eventTime ||
+    event.firstTimestamp ||
+    event.metadata?.creationTimestamp;
+}
+
+// Length of a span of time with two units: 45s, 12m 5s, 5h 20m, 3d 4h
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
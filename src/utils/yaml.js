@@ -0,0 +1,16 @@
+import yaml from 'js-yaml';
+
+// Helper function to convert JSON to YAML - we use this for displaying resource details
+export const toYAML = (obj) => {
+  try {
+    return yaml.dump(obj, {
+      indent: 2,
+      lineWidth: -1,
+      noRefs: true,
+      sortKeys: false
+    });
+  } catch (error) {
+    console.error('Error converting to YAML:', error);
+    return JSON.stringify(obj, null, 2);
+  }
+};